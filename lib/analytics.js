@@ -0,0 +1,407 @@
+// lib/analytics.js
+// Eventos de navegação gravados como log e funil calculado sob demanda:
+// visita → seleção de ingresso → checkout → pagamento (receita dos pedidos pagos).
+// O log fica fora da base transacional (lib/db/eventLog.js); o dashboard lê os agregados
+// por hora (lib/analyticsRollups.js) no fuso pedido.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { HttpError } = require('./errors');
+const { clientIp } = require('./rateLimit');
+const { toReais } = require('./money');
+const { PAID_STATUSES, isPaid, netCents } = require('./paidOrders');
+const { DEFAULT_TZ, zonedParts, zonedMidnight, addDays, isValidTimeZone } = require('./time');
+const { DIMENSIONS, DIRECT, NONE, hourBucket } = require('./analyticsRollups');
+
+const EVENT_TYPES = ['page_view', 'click', 'ticket_select', 'checkout_started', 'conversion_reported'];
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const GRANULARITIES = ['hour', 'day', 'week'];
+
+// Maior período aceito por granularidade (em dias), para limitar o tamanho da série
+const MAX_RANGE_DAYS = { hour: 31, day: 731, week: 731 };
+
+const BREAKDOWN_LIMIT = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ═══════════════════════════════════════════════════════════════════
+// REGISTRO
+// ═══════════════════════════════════════════════════════════════════
+
+async function recordEvent(req, type, fields) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Tipo de evento de analytics desconhecido: ${type}`);
+  }
+
+  const event = {
+    ...fields,
+    id: uuidv4(),
+    type,
+    at: new Date().toISOString(),
+    sessionId: fields.sessionId || null,
+    eventId: fields.eventId || null,
+    userAgent: req.headers['user-agent'] || null,
+    ip: clientIp(req)
+  };
+
+  // Os agregados são atualizados junto com a gravação: o dashboard nunca diverge do log
+  return db.analytics.record(event);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PERÍODO
+// ═══════════════════════════════════════════════════════════════════
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ?from=&to=&tz=&granularity=&eventId=. Datas ISO ou 'AAAA-MM-DD' (dia inteiro no fuso:
+// from desde a meia-noite, to até o fim do dia). Padrão: últimos 30 dias até agora.
+// Intervalo semiaberto [from, to)
+function parseAnalyticsQuery(query, now = new Date()) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  const tz = query.tz ? String(query.tz) : DEFAULT_TZ;
+  const validTz = isValidTimeZone(tz);
+  if (!validTz) fail('tz', 'Fuso horário inválido (use um nome IANA, ex.: America/Sao_Paulo)');
+
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) fail('granularity', `Use: ${GRANULARITIES.join(', ')}`);
+
+  const parseDate = (field, endOfDay) => {
+    const value = String(query[field]);
+    const date = DATE_ONLY.test(value)
+      ? (validTz ? zonedMidnight(endOfDay ? addDays(value, 1) : value, tz) : null)
+      : new Date(value);
+    if (date && isNaN(date.getTime())) fail(field, 'Data inválida');
+    return date;
+  };
+
+  const to = query.to ? parseDate('to', true) : now;
+  const from = query.from
+    ? parseDate('from', false)
+    : validTz && zonedMidnight(addDays(zonedParts(now, tz).date, 1 - DEFAULT_RANGE_DAYS), tz);
+
+  if (errors.length === 0) {
+    if (from >= to) {
+      fail('from', 'Deve ser anterior a to');
+    } else if (to - from > MAX_RANGE_DAYS[granularity] * DAY_MS) {
+      fail('granularity', `Período máximo de ${MAX_RANGE_DAYS[granularity]} dias para ${granularity}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Parâmetros inválidos', errors);
+  }
+
+  return { from, to, tz, granularity, eventId: query.eventId || null };
+}
+
+function inRange(value, { from, to }) {
+  if (!value) return false;
+  const date = new Date(value);
+  return date >= from && date < to;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// FUNIL
+// ═══════════════════════════════════════════════════════════════════
+
+function sessionsOf(log, type) {
+  return new Set(log.filter(e => e.type === type && e.sessionId).map(e => e.sessionId));
+}
+
+function intersect(a, b) {
+  return new Set([...a].filter(x => b.has(x)));
+}
+
+function rate(part, total) {
+  return total > 0 ? Number(((part / total) * 100).toFixed(2)) : 0;
+}
+
+// Sessões em cada etapa; cada etapa só conta sessões que passaram pela anterior
+function funnelSteps(log, paidOrders) {
+  const viewed = sessionsOf(log, 'page_view');
+  const selected = intersect(sessionsOf(log, 'ticket_select'), viewed);
+  const checkedOut = intersect(sessionsOf(log, 'checkout_started'), selected);
+  const paid = intersect(new Set(paidOrders.map(o => o.sessionId).filter(Boolean)), checkedOut);
+
+  const counts = [
+    ['view', viewed.size],
+    ['ticket_select', selected.size],
+    ['checkout', checkedOut.size],
+    ['paid', paid.size]
+  ];
+
+  return counts.map(([step, sessions], i) => ({
+    step,
+    sessions,
+    rateFromPrevious: i === 0 ? rate(sessions, sessions) : rate(sessions, counts[i - 1][1]),
+    rateFromStart: rate(sessions, counts[0][1])
+  }));
+}
+
+// Pedidos e receita do período (receita líquida de reembolsos, pela data de pagamento)
+function orderTotals(createdOrders, paidOrders) {
+  const grossCents = paidOrders.reduce((sum, o) => sum + o.totalCents, 0);
+  const refundedCents = paidOrders.reduce((sum, o) => sum + (o.refundedCents || 0), 0);
+
+  return {
+    created: createdOrders.length,
+    paid: paidOrders.length,
+    grossCents,
+    refundedCents,
+    revenueCents: grossCents - refundedCents,
+    revenue: toReais(grossCents - refundedCents)
+  };
+}
+
+// Carrega o log e os pedidos do período (opcionalmente de um evento)
+async function loadPeriod(range, eventId = null) {
+  const sameEvent = item => !eventId || item.eventId === eventId;
+
+  const [log, createdOrders, paidOrders] = await Promise.all([
+    db.analytics.list(range, sameEvent),
+    db.orders.list(o => inRange(o.createdAt, range) && sameEvent(o)),
+    db.orders.list(o => isPaid(o) && inRange(o.paidAt, range) && sameEvent(o))
+  ]);
+
+  return { log, createdOrders, paidOrders };
+}
+
+async function computeFunnel({ eventId, ...range }) {
+  const { log, createdOrders, paidOrders } = await loadPeriod(range, eventId);
+
+  return {
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    eventId: eventId || null,
+    steps: funnelSteps(log, paidOrders),
+    orders: orderTotals(createdOrders, paidOrders)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// DASHBOARD
+// ═══════════════════════════════════════════════════════════════════
+
+// Chave do período local (no fuso) que contém o instante
+function bucketKey(instant, tz, granularity) {
+  const parts = zonedParts(instant, tz);
+  if (granularity === 'hour') return `${parts.date}T${String(parts.hour).padStart(2, '0')}:00`;
+  if (granularity === 'week') return addDays(parts.date, -((parts.weekday + 6) % 7));
+  return parts.date;
+}
+
+function emptyMetrics() {
+  return {
+    pageViews: 0,
+    sessions: 0,
+    ticketSelects: 0,
+    checkouts: 0,
+    clicks: 0,
+    orders: 0,
+    paidOrders: 0,
+    revenueCents: 0
+  };
+}
+
+function addRollup(metrics, rollup) {
+  for (const counter of ['pageViews', 'sessions', 'ticketSelects', 'checkouts', 'clicks']) {
+    metrics[counter] += rollup[counter];
+  }
+}
+
+// Receita líquida de reembolsos, na data do pagamento
+function addPaidOrder(metrics, order) {
+  metrics.paidOrders++;
+  metrics.revenueCents += netCents(order);
+}
+
+function finishMetrics(metrics) {
+  return {
+    ...metrics,
+    revenue: toReais(metrics.revenueCents),
+    conversionRate: rate(metrics.paidOrders, metrics.checkouts)
+  };
+}
+
+// Variação percentual de cada métrica (null quando o período anterior é zero)
+function changeBetween(current, previous) {
+  const change = {};
+  for (const [metric, value] of Object.entries(current)) {
+    const before = previous[metric];
+    change[metric] = before ? Number((((value - before) / before) * 100).toFixed(2)) : null;
+  }
+  return change;
+}
+
+// Série com todos os períodos locais do intervalo, inclusive os vazios
+function emptySeries(start, end, tz, granularity) {
+  const series = new Map();
+  for (let t = start.getTime(); t < end.getTime(); t += HOUR_MS) {
+    const key = bucketKey(t, tz, granularity);
+    if (!series.has(key)) series.set(key, { bucket: key, start: new Date(t).toISOString(), ...emptyMetrics() });
+  }
+  return series;
+}
+
+// Origem da sessão de cada pedido, no mesmo formato dos agregados
+function orderDimensions(order, attribution) {
+  return {
+    event: order.eventId,
+    referrer: attribution ? attribution.referrer : DIRECT,
+    utm_source: (attribution && attribution.utmSource) || NONE,
+    utm_medium: (attribution && attribution.utmMedium) || NONE,
+    utm_campaign: (attribution && attribution.utmCampaign) || NONE
+  };
+}
+
+function breakdowns(rollups, createdOrders, paidOrders, attributionOf) {
+  const byDimension = {};
+  for (const dimension of DIMENSIONS) byDimension[dimension] = new Map();
+
+  const entry = (dimension, value) => {
+    const map = byDimension[dimension];
+    if (!map.has(value)) map.set(value, { value, ...emptyMetrics() });
+    return map.get(value);
+  };
+
+  for (const rollup of rollups) addRollup(entry(rollup.dimension, rollup.value), rollup);
+
+  for (const order of createdOrders) {
+    for (const [dimension, value] of Object.entries(orderDimensions(order, attributionOf(order)))) {
+      entry(dimension, value).orders++;
+    }
+  }
+  for (const order of paidOrders) {
+    for (const [dimension, value] of Object.entries(orderDimensions(order, attributionOf(order)))) {
+      addPaidOrder(entry(dimension, value), order);
+    }
+  }
+
+  const top = dimension => [...byDimension[dimension].values()]
+    .map(finishMetrics)
+    .sort((a, b) => b.pageViews - a.pageViews || b.revenueCents - a.revenueCents)
+    .slice(0, BREAKDOWN_LIMIT);
+
+  return {
+    events: top('event'),
+    pages: top('page'),
+    referrers: top('referrer'),
+    utm: { source: top('utm_source'), medium: top('utm_medium'), campaign: top('utm_campaign') }
+  };
+}
+
+// Dashboard no fuso e granularidade pedidos, com comparação ao período anterior de
+// mesma duração; com eventId, só a navegação e os pedidos do evento.
+// Os agregados são por hora: o intervalo é estendido para horas cheias.
+// sessions soma as sessões distintas de cada hora (contagem exata em /funnel).
+// Em fusos com deslocamento fracionário, cada hora UTC cai no período local em que começa.
+async function buildDashboard({ from, to, tz, granularity, eventId }) {
+  const start = new Date(hourBucket(from));
+  const end = new Date(Math.ceil(to.getTime() / HOUR_MS) * HOUR_MS);
+  const previousStart = new Date(start.getTime() - (end - start));
+
+  const inWindow = (value, windowStart) => inRange(value, { from: windowStart, to: end });
+  const sameEvent = order => !eventId || order.eventId === eventId;
+
+  const [rollups, orders, catalogEvents] = await Promise.all([
+    db.analytics.listRollups({ from: previousStart, to: end, eventId }),
+    db.orders.list(o => sameEvent(o) &&
+      (inWindow(o.createdAt, previousStart) || (isPaid(o) && inWindow(o.paidAt, previousStart)))),
+    db.events.list()
+  ]);
+
+  const sessionIds = new Set(orders.map(o => o.sessionId).filter(Boolean));
+  const sessions = await Promise.all([...sessionIds].map(id => db.analytics.getSession(id)));
+  const attributions = new Map(sessions.filter(Boolean).map(s => [s.id, s]));
+  const attributionOf = order => attributions.get(order.sessionId) || null;
+
+  const current = { from: start, to: end };
+  const previous = { from: previousStart, to: start };
+  const isCurrent = value => inRange(value, current);
+
+  const currentRollups = rollups.filter(r => isCurrent(r.bucket));
+  const created = orders.filter(o => isCurrent(o.createdAt));
+  const paid = orders.filter(o => isPaid(o) && isCurrent(o.paidAt));
+
+  const summarize = (windowRollups, windowCreated, windowPaid) => {
+    const metrics = emptyMetrics();
+    windowRollups.filter(r => r.dimension === 'all').forEach(r => addRollup(metrics, r));
+    metrics.orders = windowCreated.length;
+    windowPaid.forEach(o => addPaidOrder(metrics, o));
+    return finishMetrics(metrics);
+  };
+
+  const summary = summarize(currentRollups, created, paid);
+  const previousSummary = summarize(
+    rollups.filter(r => inRange(r.bucket, previous)),
+    orders.filter(o => inRange(o.createdAt, previous)),
+    orders.filter(o => isPaid(o) && inRange(o.paidAt, previous))
+  );
+
+  const series = emptySeries(start, end, tz, granularity);
+  const seriesEntry = instant => series.get(bucketKey(instant, tz, granularity));
+  currentRollups.filter(r => r.dimension === 'all').forEach(r => addRollup(seriesEntry(r.bucket), r));
+  created.forEach(o => seriesEntry(o.createdAt).orders++);
+  paid.forEach(o => addPaidOrder(seriesEntry(o.paidAt), o));
+
+  const { events, pages, referrers, utm } = breakdowns(currentRollups, created, paid, attributionOf);
+
+  const recentConversions = [...paid]
+    .sort((a, b) => b.paidAt.localeCompare(a.paidAt))
+    .slice(0, 10)
+    .map(o => ({
+      orderId: o.id,
+      code: o.code,
+      eventId: o.eventId,
+      sessionId: o.sessionId || null,
+      totalCents: o.totalCents,
+      total: toReais(o.totalCents),
+      status: o.status,
+      paidAt: o.paidAt
+    }));
+
+  return {
+    from: start.toISOString(),
+    to: end.toISOString(),
+    tz,
+    granularity,
+    eventId: eventId || null,
+    summary,
+    comparison: {
+      from: previousStart.toISOString(),
+      to: start.toISOString(),
+      summary: previousSummary,
+      change: changeBetween(summary, previousSummary)
+    },
+    series: [...series.values()].map(finishMetrics),
+    events: events.map(e => ({
+      ...e,
+      eventId: e.value,
+      eventName: catalogEvents.find(ev => ev.id === e.value)?.name || null
+    })),
+    pages,
+    referrers,
+    utm,
+    recentConversions
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PAID_STATUSES,
+  GRANULARITIES,
+  recordEvent,
+  parseAnalyticsQuery,
+  inRange,
+  loadPeriod,
+  funnelSteps,
+  orderTotals,
+  computeFunnel,
+  buildDashboard
+};
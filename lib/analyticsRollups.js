@@ -0,0 +1,460 @@
+// lib/analyticsRollups.js
+// Agregados por hora (UTC) do log de analytics, gravados a cada evento junto com o log
+// (lib/db/eventLog.js). O dashboard lê só os agregados; o fuso é aplicado na leitura,
+// agrupando as horas.
+
+const { runAsPlatform, currentTenantId } = require('./db/scope');
+const { dayOf } = require('./db/eventLog');
+const { addDays } = require('./time');
+
+// Recortes de cada agregado; 'all' é o total do período
+const DIMENSIONS = ['all', 'event', 'page', 'referrer', 'utm_source', 'utm_medium', 'utm_campaign'];
+
+const COUNTERS = ['pageViews', 'sessions', 'ticketSelects', 'checkouts', 'clicks'];
+
+const COUNTER_BY_TYPE = {
+  page_view: 'pageViews',
+  ticket_select: 'ticketSelects',
+  checkout_started: 'checkouts',
+  click: 'clicks'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DIRECT = '(direto)';
+const NONE = '(nenhum)';
+
+// ═══════════════════════════════════════════════════════════════════
+// ORIGEM DA SESSÃO
+// ═══════════════════════════════════════════════════════════════════
+
+// Início da hora UTC do instante, em ISO
+function hourBucket(at) {
+  const date = new Date(at);
+  date.setUTCMinutes(0, 0, 0);
+  return date.toISOString();
+}
+
+function pagePath(page) {
+  return String(page || '').split(/[?#]/)[0] || '/';
+}
+
+// Domínio de origem, sem "www."; sem referrer a visita é direta
+function referrerHost(referrer) {
+  if (!referrer) return DIRECT;
+  try {
+    return new URL(referrer).hostname.toLowerCase().replace(/^www\./, '') || DIRECT;
+  } catch (error) {
+    return DIRECT;
+  }
+}
+
+// UTM informada no corpo ou, na falta, lida da query string da página
+function utmOf(event) {
+  const utm = { ...(event.utm || {}) };
+
+  const query = String(event.page || '').split('?')[1];
+  if (query) {
+    const params = new URLSearchParams(query.split('#')[0]);
+    for (const field of ['source', 'medium', 'campaign', 'term', 'content']) {
+      if (!utm[field] && params.get(`utm_${field}`)) utm[field] = params.get(`utm_${field}`);
+    }
+  }
+
+  return utm;
+}
+
+// Código de promoter informado no corpo ou no parâmetro ?ref= da página
+function promoterCodeOf(event) {
+  if (event.promoterCode) return String(event.promoterCode).trim().toUpperCase();
+
+  const query = String(event.page || '').split('?')[1];
+  const ref = query && new URLSearchParams(query.split('#')[0]).get('ref');
+  return ref ? ref.trim().toUpperCase() : null;
+}
+
+// Origem gravada na primeira visita (ou no checkout, se a visita não foi registrada);
+// eventos seguintes da sessão herdam a mesma
+function newSession(event) {
+  const utm = utmOf(event);
+  return {
+    id: event.sessionId,
+    firstSeenAt: event.at,
+    landingPage: event.page ? pagePath(event.page) : null,
+    referrer: referrerHost(event.referrer),
+    utmSource: utm.source ? String(utm.source).toLowerCase() : null,
+    utmMedium: utm.medium ? String(utm.medium).toLowerCase() : null,
+    utmCampaign: utm.campaign ? String(utm.campaign).toLowerCase() : null,
+    promoterCode: promoterCodeOf(event)
+  };
+}
+
+function startsSession(event) {
+  return ['page_view', 'checkout_started'].includes(event.type);
+}
+
+// Pares [dimensão, valor] em que o evento é contado
+function dimensionsOf(event, attribution) {
+  const pairs = [['all', '*']];
+
+  if (event.eventId) pairs.push(['event', event.eventId]);
+  if (event.type === 'page_view') pairs.push(['page', pagePath(event.page)]);
+
+  pairs.push(
+    ['referrer', attribution ? attribution.referrer : DIRECT],
+    ['utm_source', (attribution && attribution.utmSource) || NONE],
+    ['utm_medium', (attribution && attribution.utmMedium) || NONE],
+    ['utm_campaign', (attribution && attribution.utmCampaign) || NONE]
+  );
+
+  return pairs;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// INCREMENTOS
+// ═══════════════════════════════════════════════════════════════════
+
+function emptyRollup(tenantId, bucket, eventId, dimension, value) {
+  const rollup = { tenantId, bucket, eventId, dimension, value };
+  for (const counter of COUNTERS) rollup[counter] = 0;
+  return rollup;
+}
+
+// Agregados de uma hora por produtor e recorte: o total do produtor (eventId null)
+// e o de cada evento, para o dashboard filtrado por evento
+function groupKey(tenantId, eventId) {
+  return `${tenantId || ''}|${eventId || '*'}`;
+}
+
+// O que o evento soma nos agregados (null se não é contado), com a origem da sessão
+// resolvida na gravação
+function incrementOf(event, attribution) {
+  const counter = COUNTER_BY_TYPE[event.type];
+  if (!counter) return null;
+
+  return {
+    tenantId: event.tenantId || null,
+    bucket: hourBucket(event.at),
+    eventId: event.eventId || null,
+    sessionId: event.sessionId || null,
+    counter,
+    pairs: dimensionsOf(event, attribution)
+  };
+}
+
+// Agregados de um dia: buckets por hora → grupo → recorte; seen guarda as sessões já
+// contadas em cada hora e recorte (contagem única)
+function emptyDay() {
+  return { buckets: new Map(), seen: new Set() };
+}
+
+function groupOf(day, bucket, key) {
+  if (!day.buckets.has(bucket)) day.buckets.set(bucket, new Map());
+  const groups = day.buckets.get(bucket);
+  if (!groups.has(key)) groups.set(key, new Map());
+  return groups.get(key);
+}
+
+function applyIncrement(day, increment) {
+  const { tenantId, bucket, eventId, sessionId, counter, pairs } = increment;
+
+  for (const groupEventId of eventId ? [null, eventId] : [null]) {
+    const key = groupKey(tenantId, groupEventId);
+    const group = groupOf(day, bucket, key);
+
+    for (const [dimension, value] of pairs) {
+      const id = `${dimension}|${value}`;
+      if (!group.has(id)) group.set(id, emptyRollup(tenantId, bucket, groupEventId, dimension, value));
+
+      const rollup = group.get(id);
+      rollup[counter]++;
+
+      const mark = `${bucket}|${key}|${id}|${sessionId}`;
+      if (counter === 'pageViews' && sessionId && !day.seen.has(mark)) {
+        day.seen.add(mark);
+        rollup.sessions++;
+      }
+    }
+  }
+}
+
+function rollupsOf(day) {
+  return [...day.buckets.values()].flatMap(groups => [...groups.values()].flatMap(group => [...group.values()]));
+}
+
+// Dia fechado a partir do resumo gravado (sem marcas de sessão: não recebe mais eventos)
+function dayFromSummary(rollups) {
+  const day = { buckets: new Map(), seen: null };
+  for (const rollup of rollups) {
+    groupOf(day, rollup.bucket, groupKey(rollup.tenantId, rollup.eventId))
+      .set(`${rollup.dimension}|${rollup.value}`, rollup);
+  }
+  return day;
+}
+
+// Dias UTC anteriores a ontem não recebem mais eventos (um dia de folga para gravações
+// em andamento na virada): os incrementos deles são compactados num resumo
+function isClosed(date, now = new Date()) {
+  return date < addDays(dayOf(now), -1);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ÍNDICE
+// ═══════════════════════════════════════════════════════════════════
+
+// Agregados gravados junto com o log: cada evento acrescenta um incremento no arquivo do
+// dia, compartilhado entre processos. Na leitura, os dias fechados vêm do resumo (gravado
+// uma vez, por quem ler primeiro) e os abertos somam só os incrementos acrescentados desde
+// a leitura anterior. O que fica em memória é só cache do que já foi lido.
+function createRollupIndex(log) {
+  const sessions = new Map();
+  let sessionsOffset = 0;
+  const closedDays = new Map();
+  const openDays = new Map();
+  const reading = new Map();
+
+  const sessionKey = (tenantId, sessionId) => `${tenantId || ''}|${sessionId}`;
+
+  // Sessões gravadas por qualquer processo desde a última leitura; vale a primeira de cada id
+  async function refreshSessions() {
+    const read = await log.readSessions(sessionsOffset);
+    if (read.reset) sessions.clear();
+
+    for (const session of read.docs) {
+      const key = sessionKey(session.tenantId, session.id);
+      if (!sessions.has(key)) sessions.set(key, session);
+    }
+    sessionsOffset = read.offset;
+  }
+
+  // Origem da sessão do evento; a sessão só vale para eventos a partir da primeira visita
+  function attributionOf(event) {
+    if (!event.sessionId) return null;
+
+    const session = sessions.get(sessionKey(event.tenantId, event.sessionId));
+    return session && session.firstSeenAt <= event.at ? session : null;
+  }
+
+  async function closedDay(date) {
+    if (closedDays.has(date)) return closedDays.get(date);
+
+    let summary = await log.readSummary(date);
+    if (!summary) {
+      const day = emptyDay();
+      const { docs } = await log.readRollups(date);
+      docs.forEach(increment => applyIncrement(day, increment));
+
+      summary = docs.length > 0 ? rollupsOf(day) : await log.readSummary(date);
+      if (docs.length > 0) await log.writeSummary(date, summary);
+    }
+    if (!summary) return null;
+
+    const day = dayFromSummary(summary);
+    closedDays.set(date, day);
+    openDays.delete(date);
+    return day;
+  }
+
+  // Uma leitura de cada dia por vez: duas somando os mesmos incrementos contariam em dobro
+  function openDay(date) {
+    const read = (reading.get(date) || Promise.resolve()).then(() => readOpenDay(date));
+    reading.set(date, read.catch(() => {}));
+    return read;
+  }
+
+  async function readOpenDay(date) {
+    let day = openDays.get(date) || { ...emptyDay(), offset: 0 };
+
+    const read = await log.readRollups(date, day.offset);
+    if (read.reset) day = { ...emptyDay(), offset: 0 };
+
+    read.docs.forEach(increment => applyIncrement(day, increment));
+    day.offset = read.offset;
+    openDays.set(date, day);
+    return day;
+  }
+
+  return {
+    // Grava o evento (e a sessão, na primeira visita) e o incremento dos agregados
+    async record(event) {
+      await refreshSessions();
+
+      const key = sessionKey(currentTenantId(), event.sessionId);
+      if (event.sessionId && startsSession(event) && !sessions.has(key)) {
+        sessions.set(key, await log.appendSession(newSession(event)));
+      }
+
+      const saved = await log.append(event);
+
+      const increment = incrementOf(saved, attributionOf(saved));
+      if (increment) await log.appendRollup(dayOf(saved.at), increment);
+
+      return saved;
+    },
+
+    // Agregados das horas em [from, to) do produtor do contexto: do total ou, com
+    // eventId, só do evento
+    async list({ from, to, eventId = null }, filter) {
+      const tenantId = currentTenantId();
+      const suffix = groupKey(null, eventId);
+      const now = new Date();
+      const days = new Map();
+      const rollups = [];
+
+      for (let t = new Date(hourBucket(from)).getTime(); t < to.getTime(); t += HOUR_MS) {
+        if (t < from.getTime()) continue;
+
+        const bucket = new Date(t).toISOString();
+        const date = bucket.slice(0, 10);
+        if (!days.has(date)) {
+          days.set(date, await runAsPlatform(() => isClosed(date, now) ? closedDay(date) : openDay(date)));
+        }
+
+        const groups = days.get(date) && days.get(date).buckets.get(bucket);
+        if (!groups) continue;
+
+        const matching = tenantId
+          ? [groups.get(groupKey(tenantId, eventId))]
+          : [...groups].filter(([key]) => key.endsWith(suffix)).map(([, group]) => group);
+
+        for (const group of matching.filter(Boolean)) {
+          for (const rollup of group.values()) {
+            if (!filter || filter(rollup)) rollups.push({ ...rollup });
+          }
+        }
+      }
+
+      return rollups;
+    },
+
+    async getSession(id) {
+      await refreshSessions();
+
+      const session = sessions.get(sessionKey(currentTenantId(), id));
+      return session ? { ...session } : null;
+    },
+
+    // Esquece o que foi lido (o log foi apagado ou reescrito)
+    clear() {
+      sessions.clear();
+      sessionsOffset = 0;
+      closedDays.clear();
+      openDays.clear();
+      reading.clear();
+    }
+  };
+}
+
+// Grava os agregados de todos os dias do log (migração): resumo dos dias fechados e
+// incrementos dos abertos. Dias que já têm agregados gravados ficam como estão.
+function writeRollupsFromLog(log) {
+  const sessions = new Map(log.listSessions().map(s => [`${s.tenantId || ''}|${s.id}`, s]));
+  const attributionOf = event => {
+    const session = event.sessionId && sessions.get(`${event.tenantId || ''}|${event.sessionId}`);
+    return session && session.firstSeenAt <= event.at ? session : null;
+  };
+
+  for (const date of log.days()) {
+    if (log.readSummary(date) || log.readRollups(date).docs.length > 0) continue;
+
+    const increments = log.listDay(date)
+      .sort((a, b) => String(a.at).localeCompare(String(b.at)))
+      .map(event => incrementOf(event, attributionOf(event)))
+      .filter(Boolean);
+
+    if (isClosed(date)) {
+      const day = emptyDay();
+      increments.forEach(increment => applyIncrement(day, increment));
+      log.writeSummary(date, rollupsOf(day));
+    } else {
+      increments.forEach(increment => log.appendRollup(date, increment));
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// AGREGADOS NO DB.JSON (MIGRAÇÃO 004)
+// ═══════════════════════════════════════════════════════════════════
+
+// Só para 004_analytics_rollups, já aplicada em bases existentes: grava agregados, origens
+// e marcas de sessão nas coleções do db.json, descartadas depois por 008_analytics_log_files
+const LEGACY_ROLLUPS = 'analyticsRollups';
+const LEGACY_SESSIONS = 'analyticsSessions';
+const LEGACY_MARKS = 'analyticsRollupMarks';
+
+// Recalcula todos os agregados a partir do log (sem produtores: anterior a 005_multi_tenant)
+function rebuildRollups(tx, log) {
+  for (const name of [LEGACY_ROLLUPS, LEGACY_SESSIONS, LEGACY_MARKS]) tx.removeWhere(name, () => true);
+
+  const sessions = new Map();
+  const rollups = new Map();
+  const seen = new Set();
+  const sorted = [...log].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+  for (const event of sorted) {
+    if (event.sessionId && startsSession(event) && !sessions.has(event.sessionId)) {
+      sessions.set(event.sessionId, newSession(event));
+    }
+
+    const counter = COUNTER_BY_TYPE[event.type];
+    if (!counter) continue;
+
+    const bucket = hourBucket(event.at);
+    const attribution = event.sessionId ? sessions.get(event.sessionId) : null;
+
+    for (const [dimension, value] of dimensionsOf(event, attribution)) {
+      const id = `${bucket}|${dimension}|${value}`;
+      if (!rollups.has(id)) {
+        const rollup = { id, bucket, dimension, value };
+        for (const name of COUNTERS) rollup[name] = 0;
+        rollups.set(id, rollup);
+      }
+
+      const rollup = rollups.get(id);
+      rollup[counter]++;
+
+      const markId = `${id}|${event.sessionId}`;
+      if (counter === 'pageViews' && event.sessionId && !seen.has(markId)) {
+        seen.add(markId);
+        rollup.sessions++;
+      }
+    }
+  }
+
+  for (const session of sessions.values()) tx.insert(LEGACY_SESSIONS, session);
+  for (const rollup of rollups.values()) tx.insert(LEGACY_ROLLUPS, rollup);
+
+  // Eventos que ainda chegarem na hora corrente não podem recontar estas sessões
+  const current = hourBucket(new Date());
+  for (const markId of seen) {
+    if (markId.startsWith(current)) tx.insert(LEGACY_MARKS, { id: markId, bucket: current });
+  }
+
+  return tx.count(LEGACY_ROLLUPS);
+}
+
+// Sessões do log antigo (ordem cronológica), para a migração dos eventos
+function sessionsFromLog(events) {
+  const sessions = new Map();
+  for (const event of events) {
+    const key = `${event.tenantId || ''}|${event.sessionId}`;
+    if (event.sessionId && startsSession(event) && !sessions.has(key)) {
+      sessions.set(key, { ...newSession(event), ...(event.tenantId && { tenantId: event.tenantId }) });
+    }
+  }
+  return [...sessions.values()];
+}
+
+module.exports = {
+  DIMENSIONS,
+  COUNTERS,
+  DIRECT,
+  NONE,
+  hourBucket,
+  referrerHost,
+  utmOf,
+  createRollupIndex,
+  writeRollupsFromLog,
+  rebuildRollups,
+  sessionsFromLog
+};
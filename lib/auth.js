@@ -0,0 +1,264 @@
+// lib/auth.js
+// Autenticação de administradores (tokens assinados HMAC-SHA256 e papéis)
+// e sessões curtas de clientes verificados por código de e-mail
+
+const crypto = require('crypto');
+const db = require('./db');
+const { currentTenantId, runAsPlatform } = require('./db/scope');
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.ADMIN_TOKEN_TTL, 10) || 8 * 60 * 60;
+const CUSTOMER_TOKEN_TTL_SECONDS = parseInt(process.env.CUSTOMER_SESSION_TTL, 10) || 30 * 60;
+
+let AUTH_SECRET = process.env.AUTH_SECRET;
+if (!AUTH_SECRET) {
+  // Sem segredo configurado os tokens só valem enquanto o processo estiver vivo
+  AUTH_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  AUTH_SECRET não definido - usando segredo temporário');
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PAPÉIS E PERMISSÕES
+// ═══════════════════════════════════════════════════════════════════
+
+// Papéis dos usuários de um produtor
+const ROLES = ['owner', 'finance', 'viewer', 'scanner'];
+
+// Super-admin da plataforma: sem produtor, gerencia produtores e pode atuar em qualquer um
+const PLATFORM_ROLE = 'superadmin';
+
+const PERMISSIONS = {
+  'pix-keys:read': ['owner', 'finance'],
+  'pix-keys:write': ['owner'],
+  'orders:read': ['owner', 'finance', 'viewer'],
+  'orders:manage': ['owner', 'finance'],
+  'catalog:read': ['owner', 'finance', 'viewer'],
+  'catalog:write': ['owner'],
+  'reconciliation:read': ['owner', 'finance'],
+  'reconciliation:manage': ['owner', 'finance'],
+  'checkin:scan': ['owner', 'scanner'],
+  'checkin:read': ['owner', 'finance', 'viewer', 'scanner'],
+  'users:manage': ['owner'],
+  'blocklist:manage': ['owner'],
+  'promoters:read': ['owner', 'finance'],
+  'promoters:write': ['owner'],
+  'settlements:read': ['owner', 'finance'],
+  'platform:manage': [PLATFORM_ROLE]
+};
+
+function can(role, permission) {
+  return role === PLATFORM_ROLE || (PERMISSIONS[permission] || []).includes(role);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TOKENS
+// ═══════════════════════════════════════════════════════════════════
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+function encodeToken(claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresAt: new Date((now + ttlSeconds) * 1000).toISOString()
+  };
+}
+
+// tid: produtor do usuário (null para o super-admin)
+function signToken(user) {
+  return encodeToken({ sub: user.id, role: user.role, tid: user.tenantId || null }, TOKEN_TTL_SECONDS);
+}
+
+// Sessão do cliente após o código de e-mail: dá acesso aos pedidos do e-mail ou CPF
+// verificado, no produtor em que o código foi pedido
+function signCustomerToken({ email, cpf }) {
+  return encodeToken({
+    typ: 'customer',
+    sub: email || cpf,
+    email: email || null,
+    cpf: cpf || null,
+    tid: currentTenantId()
+  }, CUSTOMER_TOKEN_TTL_SECONDS);
+}
+
+// Retorna o payload se a assinatura e a validade estiverem corretas, senão null
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MIDDLEWARE
+// ═══════════════════════════════════════════════════════════════════
+
+// Token emitido para o produtor da requisição (o do super-admin vale em todos)
+function sameTenant(claims) {
+  return claims.role === PLATFORM_ROLE || (claims.tid || null) === currentTenantId();
+}
+
+// Super-admin fica fora dos produtores: é lido na visão da plataforma
+async function loadAdmin(claims) {
+  if (claims.role !== PLATFORM_ROLE) return db.adminUsers.get(claims.sub);
+
+  const user = await runAsPlatform(() => db.adminUsers.get(claims.sub));
+  return user && user.role === PLATFORM_ROLE && !user.tenantId ? user : null;
+}
+
+// Lê o token Bearer e carrega o usuário; retorna { claims, user } (ambos podem ser null)
+async function authenticate(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const verified = scheme === 'Bearer' ? verifyToken(token) : null;
+  const claims = verified && verified.typ !== 'customer' ? verified : null;
+  const user = claims && sameTenant(claims) ? await loadAdmin(claims) : null;
+  return { claims, user };
+}
+
+function toRequestAdmin(user) {
+  return { id: user.id, email: user.email, name: user.name, role: user.role, tenantId: user.tenantId || null };
+}
+
+// Exige token válido no header Authorization (Bearer) e, opcionalmente, uma permissão
+function requireAdmin(permission) {
+  return async (req, res, next) => {
+    try {
+      const { claims, user } = await authenticate(req);
+
+      if (!claims) {
+        return res.status(401).json({
+          success: false,
+          error: 'Token de acesso inválido ou expirado'
+        });
+      }
+
+      if (!sameTenant(claims)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Token não vale para este produtor'
+        });
+      }
+
+      if (!user || !user.active) {
+        return res.status(401).json({
+          success: false,
+          error: 'Usuário inativo ou removido'
+        });
+      }
+
+      if (permission && !can(user.role, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Permissão insuficiente'
+        });
+      }
+
+      req.admin = toRequestAdmin(user);
+      next();
+
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Preenche req.admin se houver token válido, sem bloquear a requisição
+function optionalAdmin() {
+  return async (req, res, next) => {
+    try {
+      const { user } = await authenticate(req);
+      if (user && user.active) req.admin = toRequestAdmin(user);
+      next();
+
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// EventSource (SSE) não envia headers: aceita o token em ?access_token= nessas rotas
+function tokenFromQuery() {
+  return (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+  };
+}
+
+// Preenche req.customer ({ email, cpf }) se houver sessão de cliente válida
+function optionalCustomer() {
+  return (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const claims = scheme === 'Bearer' ? verifyToken(token) : null;
+
+    if (claims && claims.typ === 'customer' && (claims.tid || null) === currentTenantId()) {
+      req.customer = { email: claims.email, cpf: claims.cpf };
+    }
+    next();
+  };
+}
+
+// Exige sessão de cliente (401 sem ela)
+function requireCustomer() {
+  const load = optionalCustomer();
+
+  return (req, res, next) => load(req, res, () => {
+    if (!req.customer) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sessão expirada. Solicite um novo código'
+      });
+    }
+    next();
+  });
+}
+
+// Quem está executando a ação, para o histórico dos pedidos
+function actorOf(req, fallbackType = 'anonymous') {
+  if (req.admin) {
+    return { type: 'admin', id: req.admin.id, email: req.admin.email };
+  }
+  if (req.customer) {
+    return { type: 'customer', email: req.customer.email, cpf: req.customer.cpf };
+  }
+  return { type: fallbackType };
+}
+
+module.exports = {
+  ROLES,
+  PLATFORM_ROLE,
+  PERMISSIONS,
+  can,
+  signToken,
+  signCustomerToken,
+  verifyToken,
+  requireAdmin,
+  optionalAdmin,
+  optionalCustomer,
+  requireCustomer,
+  tokenFromQuery,
+  actorOf
+};
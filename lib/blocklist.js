@@ -0,0 +1,61 @@
+// lib/blocklist.js
+// Bloqueio de IPs, CPFs e e-mails abusivos (cadastro pelo painel)
+
+const db = require('./db');
+const { HttpError, sendError } = require('./errors');
+const { clientIp } = require('./rateLimit');
+
+const BLOCK_TYPES = ['ip', 'cpf', 'email'];
+
+// Mesmo formato usado nos pedidos: CPF só dígitos, e-mail minúsculo
+function normalizeBlockValue(type, value) {
+  const text = String(value).trim();
+  if (type === 'cpf') return text.replace(/\D/g, '');
+  if (type === 'email') return text.toLowerCase();
+  return text;
+}
+
+function isActive(entry, now) {
+  return !entry.expiresAt || new Date(entry.expiresAt) > now;
+}
+
+// Primeiro bloqueio ativo entre as identidades informadas ({ ip, cpf, email })
+async function findBlock(identities, now = new Date()) {
+  const wanted = Object.entries(identities)
+    .filter(([type, value]) => BLOCK_TYPES.includes(type) && value)
+    .map(([type, value]) => `${type}:${normalizeBlockValue(type, value)}`);
+
+  if (wanted.length === 0) return null;
+
+  return db.blocklist.find(entry =>
+    wanted.includes(`${entry.type}:${entry.value}`) && isActive(entry, now)
+  );
+}
+
+async function assertNotBlocked(identities) {
+  const block = await findBlock(identities);
+  if (block) {
+    console.log('⛔ Requisição bloqueada:', block.type, block.value);
+    throw new HttpError(403, 'Acesso bloqueado');
+  }
+}
+
+// Middleware para rotas públicas: barra IPs bloqueados
+function blockListedIps() {
+  return async (req, res, next) => {
+    try {
+      await assertNotBlocked({ ip: clientIp(req) });
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  normalizeBlockValue,
+  findBlock,
+  assertNotBlocked,
+  blockListedIps
+};
@@ -0,0 +1,166 @@
+// lib/catalog.js
+// Regras do catálogo: lote vigente, janela de venda e cálculo do carrinho no servidor
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { HttpError } = require('./errors');
+const { toReais, isValidCents } = require('./money');
+const { availableFor } = require('./inventory');
+
+// ═══════════════════════════════════════════════════════════════════
+// LOTES
+// ═══════════════════════════════════════════════════════════════════
+
+function isWithinWindow(startsAt, endsAt, now) {
+  if (startsAt && new Date(startsAt) > now) return false;
+  if (endsAt && new Date(endsAt) <= now) return false;
+  return true;
+}
+
+// Lote vigente: o primeiro ativo cuja janela de venda contém "agora"
+function getCurrentLot(ticketType, now = new Date()) {
+  return (ticketType.lots || []).find(lot =>
+    lot.active !== false && isWithinWindow(lot.startsAt, lot.endsAt, now)
+  ) || null;
+}
+
+function isEventOnSale(event, now = new Date()) {
+  if (!event || !event.active) return false;
+  if (event.date && new Date(event.date) <= now) return false;
+  return isWithinWindow(event.salesStart, event.salesEnd, now);
+}
+
+// Valida e normaliza os lotes enviados pelo admin (lança HttpError 400)
+function normalizeLots(lots) {
+  if (!Array.isArray(lots) || lots.length === 0) {
+    throw new HttpError(400, 'Informe ao menos um lote');
+  }
+
+  return lots.map((lot, index) => {
+    if (!lot || !lot.name) {
+      throw new HttpError(400, `Lote ${index + 1}: nome obrigatório`);
+    }
+    if (!isValidCents(lot.priceCents)) {
+      throw new HttpError(400, `Lote ${index + 1}: priceCents deve ser um inteiro em centavos`);
+    }
+    for (const field of ['startsAt', 'endsAt']) {
+      if (lot[field] && isNaN(new Date(lot[field]).getTime())) {
+        throw new HttpError(400, `Lote ${index + 1}: data inválida em ${field}`);
+      }
+    }
+
+    return {
+      id: lot.id || uuidv4(),
+      name: lot.name,
+      priceCents: lot.priceCents,
+      startsAt: lot.startsAt || null,
+      endsAt: lot.endsAt || null,
+      active: lot.active !== false
+    };
+  });
+}
+
+// Capacidade: inteiro >= 0 ou null (sem limite)
+function normalizeCapacity(capacity) {
+  if (capacity === undefined || capacity === null) return null;
+  if (!Number.isInteger(capacity) || capacity < 0) {
+    throw new HttpError(400, 'capacity deve ser um inteiro maior ou igual a zero');
+  }
+  return capacity;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// VISÃO PÚBLICA
+// ═══════════════════════════════════════════════════════════════════
+
+function publicTicketType(ticketType, event, now = new Date()) {
+  const lot = getCurrentLot(ticketType, now);
+  const available = availableFor(ticketType);
+
+  return {
+    id: ticketType.id,
+    eventId: ticketType.eventId,
+    name: ticketType.name,
+    description: ticketType.description,
+    onSale: Boolean(lot) && ticketType.active && isEventOnSale(event, now) && available !== 0,
+    soldOut: available === 0,
+    available,
+    currentLot: lot && {
+      id: lot.id,
+      name: lot.name,
+      priceCents: lot.priceCents,
+      price: toReais(lot.priceCents),
+      endsAt: lot.endsAt
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CARRINHO
+// ═══════════════════════════════════════════════════════════════════
+
+// Recebe [{ ticketTypeId, quantity }] e devolve os itens com preço do servidor.
+// Preços e total enviados pelo cliente são ignorados.
+async function priceCart(items, now = new Date()) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'Nenhum item no carrinho');
+  }
+
+  // Agrupa itens repetidos do mesmo tipo de ingresso
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = item && item.quantity;
+    if (!item || !item.ticketTypeId) {
+      throw new HttpError(400, 'Cada item deve informar ticketTypeId');
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new HttpError(400, 'Quantidade deve ser um inteiro positivo');
+    }
+    quantities.set(item.ticketTypeId, (quantities.get(item.ticketTypeId) || 0) + quantity);
+  }
+
+  let event = null;
+  const pricedItems = [];
+
+  for (const [ticketTypeId, quantity] of quantities) {
+    const ticketType = await db.ticketTypes.get(ticketTypeId);
+
+    if (!ticketType || !ticketType.active) {
+      throw new HttpError(404, 'Tipo de ingresso não encontrado');
+    }
+
+    if (!event) {
+      event = await db.events.get(ticketType.eventId);
+    } else if (event.id !== ticketType.eventId) {
+      throw new HttpError(400, 'Todos os ingressos devem ser do mesmo evento');
+    }
+
+    const lot = getCurrentLot(ticketType, now);
+
+    if (!isEventOnSale(event, now) || !lot) {
+      throw new HttpError(400, `Ingresso fora do período de vendas: ${ticketType.name}`);
+    }
+
+    pricedItems.push({
+      ticketTypeId,
+      lotId: lot.id,
+      title: `${ticketType.name} - ${lot.name}`,
+      unitPriceCents: lot.priceCents,
+      unitPrice: toReais(lot.priceCents),
+      quantity
+    });
+  }
+
+  const totalCents = pricedItems.reduce((sum, item) => sum + item.unitPriceCents * item.quantity, 0);
+
+  return { event, items: pricedItems, totalCents };
+}
+
+module.exports = {
+  getCurrentLot,
+  isEventOnSale,
+  normalizeLots,
+  normalizeCapacity,
+  publicTicketType,
+  priceCart
+};
@@ -0,0 +1,138 @@
+// lib/checkin.js
+// Validação de ingressos na portaria (online e sincronização offline)
+
+const { v4: uuidv4 } = require('uuid');
+const { verifyTicketToken } = require('./tickets');
+const { publishCheckin } = require('./realtime');
+
+const TICKETS = 'tickets';
+const ORDERS = 'orders';
+const CHECKINS = 'checkins';
+
+// Leituras por lote na sincronização offline
+const MAX_SYNC_BATCH = 500;
+
+// Tolerância para relógio adiantado (ou atrasado) dos leitores
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const REASONS = {
+  invalid_token: 'QR Code inválido',
+  outdated_token: 'QR Code substituído por uma reemissão',
+  ticket_not_found: 'Ingresso não encontrado',
+  wrong_event: 'Ingresso de outro evento',
+  ticket_void: 'Ingresso cancelado',
+  order_not_paid: 'Pedido não está pago',
+  already_used: 'Ingresso já utilizado',
+  invalid_time: 'Horário da leitura inválido'
+};
+
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// Ordem determinística das leituras: horário, depois dispositivo, depois portão
+function compareScans(a, b) {
+  return new Date(a.scannedAt) - new Date(b.scannedAt)
+    || String(a.deviceId || '').localeCompare(String(b.deviceId || ''))
+    || String(a.gate || '').localeCompare(String(b.gate || ''));
+}
+
+function reject(tx, scan, reason, extra = {}) {
+  return tx.insert(CHECKINS, {
+    id: uuidv4(),
+    ticketId: extra.ticketId || null,
+    eventId: scan.eventId,
+    gate: scan.gate || null,
+    deviceId: scan.deviceId || null,
+    scannedAt: scan.scannedAt,
+    receivedAt: new Date().toISOString(),
+    offline: Boolean(scan.offline),
+    operatorId: scan.operatorId || null,
+    result: 'rejected',
+    reason,
+    ...extra
+  });
+}
+
+// Processa uma leitura dentro de uma transação e devolve o registro gravado.
+// Se o ingresso já tiver entrada, vale a leitura mais antiga (regra usada
+// também para resolver conflitos de leituras offline).
+function evaluateScan(tx, scan) {
+  const now = Date.now();
+  const scannedAtMs = new Date(scan.scannedAt).getTime();
+
+  if (isNaN(scannedAtMs) || scannedAtMs > now + MAX_CLOCK_SKEW_MS) {
+    return reject(tx, scan, 'invalid_time');
+  }
+
+  const claims = verifyTicketToken(scan.token);
+  if (!claims) return reject(tx, scan, 'invalid_token');
+
+  const ticket = tx.get(TICKETS, claims.ticketId);
+  if (!ticket) return reject(tx, scan, 'ticket_not_found');
+
+  const ref = { ticketId: ticket.id };
+
+  if (claims.version !== ticket.version) return reject(tx, scan, 'outdated_token', ref);
+
+  // O token lido não existia antes da emissão (ou reemissão): um horário anterior vem de
+  // relógio errado ou foi forjado e não pode tomar o lugar de uma entrada já aceita
+  const issuedAtMs = new Date(ticket.reissuedAt || ticket.issuedAt).getTime();
+  if (scannedAtMs < issuedAtMs - MAX_CLOCK_SKEW_MS) return reject(tx, scan, 'invalid_time', ref);
+  if (ticket.eventId !== scan.eventId) return reject(tx, scan, 'wrong_event', ref);
+  if (ticket.status !== 'valid') return reject(tx, scan, 'ticket_void', ref);
+
+  const order = tx.get(ORDERS, ticket.orderId);
+  if (!order || !PAID_STATUSES.includes(order.status)) {
+    return reject(tx, scan, 'order_not_paid', ref);
+  }
+
+  const record = {
+    id: uuidv4(),
+    ticketId: ticket.id,
+    eventId: ticket.eventId,
+    gate: scan.gate || null,
+    deviceId: scan.deviceId || null,
+    scannedAt: new Date(scannedAtMs).toISOString(),
+    receivedAt: new Date(now).toISOString(),
+    offline: Boolean(scan.offline),
+    operatorId: scan.operatorId || null,
+    result: 'accepted'
+  };
+
+  if (ticket.checkinId) {
+    const previous = tx.get(CHECKINS, ticket.checkinId);
+
+    if (previous && compareScans(previous, record) <= 0) {
+      return reject(tx, scan, 'already_used', {
+        ...ref,
+        firstCheckin: { at: previous.scannedAt, gate: previous.gate, deviceId: previous.deviceId }
+      });
+    }
+
+    // A leitura recebida agora aconteceu antes: ela passa a ser a entrada válida
+    if (previous) {
+      tx.update(CHECKINS, previous.id, { result: 'rejected', reason: 'already_used', supersededBy: record.id });
+    }
+  }
+
+  tx.insert(CHECKINS, record);
+  tx.update(TICKETS, ticket.id, {
+    checkinId: record.id,
+    checkedInAt: record.scannedAt,
+    checkedInGate: record.gate
+  });
+
+  return { ...record, holderName: ticket.holderName, title: ticket.title };
+}
+
+// Leitura processada e publicada no stream da equipe (lib/realtime.js)
+function processScan(tx, scan) {
+  const record = evaluateScan(tx, scan);
+  publishCheckin(tx, record);
+  return record;
+}
+
+function describe(record) {
+  return record.result === 'accepted' ? 'Entrada liberada' : REASONS[record.reason];
+}
+
+module.exports = { REASONS, MAX_SYNC_BATCH, compareScans, processScan, describe };
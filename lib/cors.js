@@ -0,0 +1,53 @@
+// lib/cors.js
+// Política de CORS por lista de origens (com curinga para previews da Vercel)
+
+const cors = require('cors');
+const { HttpError, sendError } = require('./errors');
+
+const DEFAULT_ORIGINS = 'https://guiche-master-frontend.vercel.app,http://localhost:5173';
+
+// "https://app-*.vercel.app": o * cobre um único trecho do host (sem pontos)
+function toMatcher(pattern) {
+  if (!pattern.includes('*')) return origin => origin === pattern;
+
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\\/]/g, '\\$&'));
+  const regex = new RegExp(`^${escaped.join('[a-z0-9-]+')}$`, 'i');
+  return origin => regex.test(origin);
+}
+
+function parseOrigins(spec) {
+  return String(spec || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+// Middlewares [bloqueio de origem, cabeçalhos CORS]; requisições sem Origin
+// (curl, servidores, webhooks) passam, origens fora da lista recebem 403
+function corsPolicy(origins, { methods, allowedHeaders, exposedHeaders = [] }) {
+  const matchers = origins.map(toMatcher);
+  const isAllowed = origin => matchers.some(match => match(origin));
+
+  const guard = (req, res, next) => {
+    const { origin } = req.headers;
+    if (!origin || isAllowed(origin)) return next();
+
+    console.log('❌ Origem bloqueada:', origin, req.method, req.path);
+    sendError(res, new HttpError(403, 'Origem não permitida'));
+  };
+
+  return [guard, cors({
+    origin: true,
+    credentials: false,
+    methods,
+    allowedHeaders,
+    exposedHeaders,
+    maxAge: 600
+  })];
+}
+
+module.exports = {
+  DEFAULT_ORIGINS,
+  parseOrigins,
+  corsPolicy
+};
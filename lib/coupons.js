@@ -0,0 +1,152 @@
+// lib/coupons.js
+// Cupons de desconto: escopo, limites de uso, janela de validade e
+// resgates gravados no pedido (revertidos se o pedido expira/é cancelado/reembolsado)
+
+const db = require('./db');
+const { HttpError } = require('./errors');
+
+const COUPONS = 'coupons';
+const REDEMPTIONS = 'couponRedemptions';
+
+const COUPON_TYPES = ['percent', 'fixed'];
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function couponError(message, reason) {
+  return new HttpError(400, message, { field: 'couponCode', reason });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REGRAS
+// ═══════════════════════════════════════════════════════════════════
+
+function isInScope(coupon, item, eventId) {
+  if (coupon.eventId && coupon.eventId !== eventId) return false;
+  if (coupon.ticketTypeIds && coupon.ticketTypeIds.length > 0) {
+    return coupon.ticketTypeIds.includes(item.ticketTypeId);
+  }
+  return true;
+}
+
+// reader é o store ou a transação em andamento (os limites são rechecados ao gravar o pedido)
+function assertUsable(reader, coupon, { cpf, now = new Date() }) {
+  if (!coupon || !coupon.active) {
+    throw couponError('Cupom inválido', 'not_found');
+  }
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+    throw couponError('Cupom ainda não está válido', 'not_started');
+  }
+  if (coupon.validUntil && now > new Date(coupon.validUntil)) {
+    throw couponError('Cupom expirado', 'expired');
+  }
+
+  const active = reader.list(REDEMPTIONS, r => r.couponId === coupon.id && r.status === 'active');
+
+  if (coupon.maxRedemptions && active.length >= coupon.maxRedemptions) {
+    throw couponError('Cupom esgotado', 'exhausted');
+  }
+  if (coupon.maxPerCpf && cpf && active.filter(r => r.cpf === cpf).length >= coupon.maxPerCpf) {
+    throw couponError('Limite de uso do cupom atingido para este CPF', 'cpf_limit');
+  }
+}
+
+// Desconto sobre os itens no escopo do cupom (carrinho de priceCart)
+function computeDiscount(coupon, cart) {
+  const eligible = cart.items.filter(item => isInScope(coupon, item, cart.event.id));
+  const quantity = eligible.reduce((sum, item) => sum + item.quantity, 0);
+  const eligibleCents = eligible.reduce((sum, item) => sum + item.unitPriceCents * item.quantity, 0);
+
+  if (quantity === 0) {
+    throw couponError('Cupom não válido para estes ingressos', 'out_of_scope');
+  }
+  if (coupon.minQuantity && quantity < coupon.minQuantity) {
+    throw couponError(`Cupom exige ao menos ${coupon.minQuantity} ingressos`, 'min_quantity');
+  }
+
+  const discountCents = coupon.type === 'percent'
+    ? Math.round(eligibleCents * coupon.value / 100)
+    : Math.min(coupon.value, eligibleCents);
+
+  // PIX não aceita cobrança zerada
+  if (discountCents >= cart.totalCents) {
+    throw couponError('O desconto não pode cobrir o valor total do pedido', 'full_discount');
+  }
+
+  return discountCents;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// OPERAÇÕES
+// ═══════════════════════════════════════════════════════════════════
+
+// Aplica o cupom ao carrinho: { coupon, subtotalCents, discountCents, totalCents }
+function applyCoupon(code, cart, { cpf, now = new Date() } = {}) {
+  const normalized = normalizeCode(code);
+  const coupon = db.store.find(COUPONS, c => c.code === normalized);
+
+  assertUsable(db.store, coupon, { cpf, now });
+  const discountCents = computeDiscount(coupon, cart);
+
+  return {
+    coupon,
+    subtotalCents: cart.totalCents,
+    discountCents,
+    totalCents: cart.totalCents - discountCents
+  };
+}
+
+// Registra o uso do cupom junto com a gravação do pedido
+function redeemCoupon(tx, order) {
+  const coupon = tx.get(COUPONS, order.coupon.id);
+  assertUsable(tx, coupon, { cpf: order.customer.cpf });
+
+  return tx.insert(REDEMPTIONS, {
+    id: `${coupon.id}:${order.id}`,
+    couponId: coupon.id,
+    code: coupon.code,
+    orderId: order.id,
+    cpf: order.customer.cpf,
+    discountCents: order.discountCents,
+    status: 'active',
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Devolve o uso do cupom (pedido expirado, cancelado ou reembolsado)
+function releaseCoupon(tx, order) {
+  if (!order.coupon) return null;
+
+  const redemption = tx.find(REDEMPTIONS, r => r.orderId === order.id && r.status === 'active');
+  if (!redemption) return null;
+
+  return tx.update(REDEMPTIONS, redemption.id, {
+    status: 'reversed',
+    reversedAt: new Date().toISOString()
+  });
+}
+
+// Reativa o uso devolvido na expiração (pedido pago com atraso): o cliente pagou o
+// valor com desconto, então o cupom vale mesmo que os limites já tenham sido atingidos
+function restoreCoupon(tx, order) {
+  if (!order.coupon) return null;
+
+  const redemption = tx.find(REDEMPTIONS, r => r.orderId === order.id && r.status === 'reversed');
+  if (!redemption) return null;
+
+  return tx.update(REDEMPTIONS, redemption.id, {
+    status: 'active',
+    reversedAt: null,
+    restoredAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCode,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  restoreCoupon
+};
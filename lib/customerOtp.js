@@ -0,0 +1,110 @@
+// lib/customerOtp.js
+// Códigos de uso único enviados ao e-mail do pedido para o cliente consultar
+// "meus pedidos" sem guardar o código de cada compra
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { HttpError } = require('./errors');
+const { signCustomerToken } = require('./auth');
+const { queueEmail } = require('./notifications');
+
+const OTPS = 'customerOtps';
+const CODE_TTL_MINUTES = parseInt(process.env.CUSTOMER_OTP_TTL_MINUTES, 10) || 10;
+const MAX_ATTEMPTS = 5;
+
+function hashCode(otpId, code) {
+  return crypto.createHash('sha256').update(`${otpId}:${code}`).digest('hex');
+}
+
+// Identificador da solicitação: o e-mail ou o CPF informado
+function subjectOf({ email, cpf }) {
+  return email ? `email:${email}` : `cpf:${cpf}`;
+}
+
+// j***@gmail.com
+function maskEmail(email) {
+  const [user, domain] = email.split('@');
+  return `${user[0]}***@${domain}`;
+}
+
+// Envia um código a cada e-mail usado nos pedidos; null se não houver pedidos
+// (a rota responde igual nos dois casos para não revelar quem é cliente).
+// Cada código abre a sessão só do e-mail para onde foi enviado: quem compra com o CPF
+// de outra pessoa e o próprio e-mail não recebe acesso aos pedidos dela.
+async function requestLoginCode({ email, cpf }) {
+  const orders = await db.orders.list(o => email ? o.customer.email === email : o.customer.cpf === cpf);
+  if (orders.length === 0) return null;
+
+  const recipients = [...new Set(orders.map(o => o.customer.email))];
+  const subject = subjectOf({ email, cpf });
+  const now = new Date();
+
+  db.store.transaction(tx => {
+    // Um código novo invalida os anteriores do mesmo identificador
+    for (const previous of tx.list(OTPS, o => o.subject === subject && o.status === 'pending')) {
+      tx.update(OTPS, previous.id, { status: 'replaced' });
+    }
+
+    for (const sentTo of recipients) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      const id = uuidv4();
+
+      tx.insert(OTPS, {
+        id,
+        subject,
+        email: sentTo,
+        cpf: cpf || null,
+        sentTo,
+        codeHash: hashCode(id, code),
+        status: 'pending',
+        attempts: 0,
+        expiresAt: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+        createdAt: now.toISOString()
+      });
+
+      queueEmail(tx, 'customer_login_code', sentTo, { code, expiresMinutes: CODE_TTL_MINUTES });
+    }
+  });
+
+  return { sentTo: recipients.map(maskEmail), expiresMinutes: CODE_TTL_MINUTES };
+}
+
+// Confere o código e abre a sessão do cliente; 400 genérico em qualquer falha.
+// Com vários e-mails, vale o código de qualquer um deles e a sessão fica no e-mail dele.
+async function verifyLoginCode({ email, cpf, code }) {
+  const subject = subjectOf({ email, cpf });
+  const now = new Date();
+
+  const result = db.store.transaction(tx => {
+    const pending = tx.list(OTPS, o => o.subject === subject && o.status === 'pending' &&
+      new Date(o.expiresAt) > now);
+    if (pending.length === 0) return null;
+
+    const otp = pending.find(o => o.codeHash === hashCode(o.id, code));
+    if (!otp) {
+      // As tentativas contam para todos os códigos do identificador
+      for (const wrong of pending) {
+        const attempts = wrong.attempts + 1;
+        tx.update(OTPS, wrong.id, {
+          attempts,
+          status: attempts >= MAX_ATTEMPTS ? 'locked' : 'pending'
+        });
+      }
+      return null;
+    }
+
+    return tx.update(OTPS, otp.id, { status: 'used', usedAt: now.toISOString() });
+  });
+
+  if (!result) {
+    throw new HttpError(400, 'Código inválido ou expirado');
+  }
+
+  return signCustomerToken({ email: result.email, cpf: result.cpf });
+}
+
+module.exports = {
+  requestLoginCode,
+  verifyLoginCode
+};
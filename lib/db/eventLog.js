@@ -0,0 +1,537 @@
+// lib/db/eventLog.js
+// Log de eventos só de inclusão, fora da base transacional: cada evento é acrescentado
+// ao segmento do seu dia (UTC) e as leituras abrem só os dias do período pedido.
+// Guarda também os agregados por hora (lib/analyticsRollups.js): incrementos acrescentados
+// a cada evento e, para dias fechados, um resumo do dia.
+// Com um produtor no contexto (lib/db/scope.js), leituras e escritas ficam restritas a ele.
+
+const fs = require('fs');
+const path = require('path');
+const { currentTenantId } = require('./scope');
+const { addDays } = require('../time');
+
+const SEGMENT_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const SESSIONS_FILE = 'sessions.jsonl';
+const ROLLUPS_DIR = 'rollups';
+
+const EVENTS_TABLE = 'guiche_analytics_events';
+const SESSIONS_TABLE = 'guiche_analytics_sessions';
+const INCREMENTS_TABLE = 'guiche_analytics_increments';
+const SUMMARIES_TABLE = 'guiche_analytics_summaries';
+
+// Dia UTC de um instante ISO
+function dayOf(at) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+// Dias UTC que cobrem o intervalo semiaberto [from, to)
+function daysBetween(from, to) {
+  const days = [];
+  const last = dayOf(new Date(to.getTime() - 1));
+  for (let day = dayOf(from); day <= last; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+function clone(value) {
+  return structuredClone(value);
+}
+
+// Em memória (testes e STORAGE_DRIVER=memory)
+class MemoryEventLog {
+  constructor() {
+    this.segments = new Map();
+    this.sessions = [];
+    this.increments = new Map();
+    this.summaries = new Map();
+  }
+
+  load() {}
+
+  // ─── Eventos ──────────────────────────────────────────────────────
+
+  // No contexto de um produtor o evento é gravado com o tenantId dele
+  append(event) {
+    const tenantId = currentTenantId();
+    const stored = tenantId ? { ...event, tenantId } : event;
+
+    this._appendEvent(dayOf(stored.at), stored);
+    return clone(stored);
+  }
+
+  // Eventos do intervalo [from, to) visíveis no contexto, na ordem de gravação
+  list({ from, to }, filter) {
+    const tenantId = currentTenantId();
+    const events = [];
+
+    for (const day of daysBetween(from, to)) {
+      for (const event of this._segment(day)) {
+        const at = new Date(event.at);
+        if (at < from || at >= to) continue;
+        if (tenantId && event.tenantId !== tenantId) continue;
+        if (!filter || filter(event)) events.push(event);
+      }
+    }
+
+    return events.map(clone);
+  }
+
+  // Eventos de um dia, de todos os produtores (reconstrução dos agregados)
+  listDay(day) {
+    return this._segment(day).map(clone);
+  }
+
+  // Dias com eventos gravados
+  days() {
+    return [...this.segments.keys()].sort();
+  }
+
+  // ─── Sessões ──────────────────────────────────────────────────────
+
+  // Origem da sessão, gravada uma vez (primeira visita)
+  appendSession(session) {
+    const tenantId = currentTenantId();
+    const stored = tenantId ? { ...session, tenantId } : session;
+
+    this._appendSession(stored);
+    return clone(stored);
+  }
+
+  // Todas as sessões, de todos os produtores
+  listSessions() {
+    return this.sessions.map(clone);
+  }
+
+  // Sessões gravadas a partir de offset (valor devolvido pela leitura anterior), de todos
+  // os produtores; reset indica que o arquivo foi reescrito e a leitura recomeçou do início
+  readSessions(offset = 0) {
+    return sliceFrom(this.sessions, offset);
+  }
+
+  // ─── Agregados ────────────────────────────────────────────────────
+
+  // Incremento dos agregados de um dia (um por evento contado)
+  appendRollup(day, increment) {
+    this._appendIncrement(day, increment);
+  }
+
+  // Incrementos do dia a partir de offset, como em readSessions
+  readRollups(day, offset = 0) {
+    return this._readIncrements(day, offset);
+  }
+
+  // Agregados de um dia fechado, ou null se o resumo ainda não foi gravado
+  readSummary(day) {
+    const summary = this.summaries.get(day);
+    return summary ? summary.map(clone) : null;
+  }
+
+  // Grava o resumo do dia fechado e descarta os incrementos dele
+  writeSummary(day, rollups) {
+    this._writeSummary(day, rollups);
+    this._rewriteIncrements(day, []);
+  }
+
+  // Dias com incrementos ou resumo gravados
+  rollupDays() {
+    return [...new Set([...this.increments.keys(), ...this.summaries.keys()])];
+  }
+
+  // ─── Manutenção ───────────────────────────────────────────────────
+
+  // Remove eventos, sessões e agregados visíveis no contexto (reescreve os arquivos: só
+  // para manutenção, como o reset de testes)
+  removeWhere(filter) {
+    const tenantId = currentTenantId();
+    const keep = doc => (tenantId && doc.tenantId !== tenantId) || !filter(doc);
+
+    for (const day of this.days()) this._rewriteSegment(day, this._segment(day).filter(keep));
+    this._rewriteSessions(this.listSessions().filter(keep));
+
+    for (const day of this.rollupDays()) {
+      this._rewriteIncrements(day, this._readIncrements(day, 0).docs.filter(keep));
+      const summary = this.readSummary(day);
+      if (summary) this._writeSummary(day, summary.filter(keep));
+    }
+  }
+
+  // ─── Internos ─────────────────────────────────────────────────────
+
+  _appendIncrement(day, increment) {
+    if (!this.increments.has(day)) this.increments.set(day, []);
+    this.increments.get(day).push(increment);
+  }
+
+  _readIncrements(day, offset) {
+    return sliceFrom(this.increments.get(day) || [], offset);
+  }
+
+  _rewriteIncrements(day, increments) {
+    if (increments.length > 0) this.increments.set(day, increments);
+    else this.increments.delete(day);
+  }
+
+  _writeSummary(day, rollups) {
+    if (rollups.length > 0) this.summaries.set(day, rollups.map(clone));
+    else this.summaries.delete(day);
+  }
+
+  _rewriteSegment(day, events) {
+    if (events.length > 0) this.segments.set(day, events);
+    else this.segments.delete(day);
+  }
+
+  _rewriteSessions(sessions) {
+    this.sessions = sessions;
+  }
+
+  _segment(day) {
+    return this.segments.get(day) || [];
+  }
+
+  _appendEvent(day, event) {
+    if (!this.segments.has(day)) this.segments.set(day, []);
+    this.segments.get(day).push(event);
+  }
+
+  _appendSession(session) {
+    this.sessions.push(session);
+  }
+}
+
+// Em arquivos: um JSON por linha, um arquivo por dia. Gravar um evento só acrescenta
+// uma linha; os segmentos são lidos do disco a cada consulta (sem cópia em memória).
+class FileEventLog extends MemoryEventLog {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+  }
+
+  days() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .map(name => (name.match(SEGMENT_FILE) || [])[1])
+      .filter(Boolean)
+      .sort();
+  }
+
+  listSessions() {
+    return readLines(path.join(this.dir, SESSIONS_FILE));
+  }
+
+  // offset em bytes: só o que outros processos acrescentaram desde a leitura anterior
+  readSessions(offset = 0) {
+    return readLinesFrom(path.join(this.dir, SESSIONS_FILE), offset);
+  }
+
+  readSummary(day) {
+    const filePath = this._summaryPath(day);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  rollupDays() {
+    const dir = path.join(this.dir, ROLLUPS_DIR);
+    if (!fs.existsSync(dir)) return [];
+
+    return [...new Set(fs.readdirSync(dir).map(name => (name.match(/^(\d{4}-\d{2}-\d{2})\.jsonl?$/) || [])[1]))]
+      .filter(Boolean);
+  }
+
+  _incrementsPath(day) {
+    return path.join(this.dir, ROLLUPS_DIR, `${day}.jsonl`);
+  }
+
+  _summaryPath(day) {
+    return path.join(this.dir, ROLLUPS_DIR, `${day}.json`);
+  }
+
+  _appendIncrement(day, increment) {
+    appendLine(this._incrementsPath(day), increment);
+  }
+
+  _readIncrements(day, offset) {
+    return readLinesFrom(this._incrementsPath(day), offset);
+  }
+
+  _rewriteIncrements(day, increments) {
+    rewriteLines(this._incrementsPath(day), increments);
+  }
+
+  _writeSummary(day, rollups) {
+    const filePath = this._summaryPath(day);
+    if (rollups.length === 0) {
+      fs.rmSync(filePath, { force: true });
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(rollups));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  _segment(day) {
+    return readLines(path.join(this.dir, `${day}.jsonl`));
+  }
+
+  _rewriteSegment(day, events) {
+    rewriteLines(path.join(this.dir, `${day}.jsonl`), events);
+  }
+
+  _rewriteSessions(sessions) {
+    rewriteLines(path.join(this.dir, SESSIONS_FILE), sessions);
+  }
+
+  _appendEvent(day, event) {
+    appendLine(path.join(this.dir, `${day}.jsonl`), event);
+  }
+
+  _appendSession(session) {
+    appendLine(path.join(this.dir, SESSIONS_FILE), session);
+  }
+}
+
+// No Postgres (STORAGE_DRIVER=postgres): uma linha por evento, sessão e incremento. As
+// leituras a partir de offset usam o id da transação que gravou cada linha (xid8) e só
+// pegam transações já terminadas: uma gravação lenta não fica para trás da leitura.
+class PostgresEventLog {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async load() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS ${EVENTS_TABLE} (
+        seq bigserial PRIMARY KEY, day text NOT NULL, tenant_id text, doc json NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${EVENTS_TABLE}_day ON ${EVENTS_TABLE} (day);
+      CREATE TABLE IF NOT EXISTS ${SESSIONS_TABLE} (
+        seq bigserial PRIMARY KEY, xid xid8 NOT NULL DEFAULT pg_current_xact_id(),
+        tenant_id text, doc json NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS ${INCREMENTS_TABLE} (
+        seq bigserial PRIMARY KEY, xid xid8 NOT NULL DEFAULT pg_current_xact_id(),
+        day text NOT NULL, tenant_id text, doc json NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${INCREMENTS_TABLE}_day ON ${INCREMENTS_TABLE} (day, xid);
+      CREATE TABLE IF NOT EXISTS ${SUMMARIES_TABLE} (day text PRIMARY KEY, doc json NOT NULL);
+    `);
+  }
+
+  // ─── Eventos ──────────────────────────────────────────────────────
+
+  async append(event) {
+    const tenantId = currentTenantId();
+    const stored = tenantId ? { ...event, tenantId } : event;
+
+    await this.pool.query(
+      `INSERT INTO ${EVENTS_TABLE} (day, tenant_id, doc) VALUES ($1, $2, $3)`,
+      [dayOf(stored.at), stored.tenantId || null, JSON.stringify(stored)]
+    );
+    return clone(stored);
+  }
+
+  async list({ from, to }, filter) {
+    const { rows } = await this.pool.query(
+      `SELECT doc FROM ${EVENTS_TABLE} WHERE day = ANY($1) AND ($2::text IS NULL OR tenant_id = $2) ORDER BY seq`,
+      [daysBetween(from, to), currentTenantId()]
+    );
+
+    return rows.map(row => row.doc).filter(event => {
+      const at = new Date(event.at);
+      return at >= from && at < to && (!filter || filter(event));
+    });
+  }
+
+  async listDay(day) {
+    const { rows } = await this.pool.query(`SELECT doc FROM ${EVENTS_TABLE} WHERE day = $1 ORDER BY seq`, [day]);
+    return rows.map(row => row.doc);
+  }
+
+  async days() {
+    const { rows } = await this.pool.query(`SELECT DISTINCT day FROM ${EVENTS_TABLE} ORDER BY day`);
+    return rows.map(row => row.day);
+  }
+
+  // ─── Sessões ──────────────────────────────────────────────────────
+
+  async appendSession(session) {
+    const tenantId = currentTenantId();
+    const stored = tenantId ? { ...session, tenantId } : session;
+
+    await this.pool.query(
+      `INSERT INTO ${SESSIONS_TABLE} (tenant_id, doc) VALUES ($1, $2)`,
+      [stored.tenantId || null, JSON.stringify(stored)]
+    );
+    return clone(stored);
+  }
+
+  async listSessions() {
+    const { rows } = await this.pool.query(`SELECT doc FROM ${SESSIONS_TABLE} ORDER BY seq`);
+    return rows.map(row => row.doc);
+  }
+
+  async readSessions(offset = 0) {
+    return this._readFrom(SESSIONS_TABLE, null, offset);
+  }
+
+  // ─── Agregados ────────────────────────────────────────────────────
+
+  async appendRollup(day, increment) {
+    await this.pool.query(
+      `INSERT INTO ${INCREMENTS_TABLE} (day, tenant_id, doc) VALUES ($1, $2, $3)`,
+      [day, increment.tenantId || null, JSON.stringify(increment)]
+    );
+  }
+
+  async readRollups(day, offset = 0) {
+    return this._readFrom(INCREMENTS_TABLE, day, offset);
+  }
+
+  async readSummary(day) {
+    const { rows } = await this.pool.query(`SELECT doc FROM ${SUMMARIES_TABLE} WHERE day = $1`, [day]);
+    return rows.length > 0 ? rows[0].doc : null;
+  }
+
+  async writeSummary(day, rollups) {
+    await this.pool.query(
+      `WITH compacted AS (DELETE FROM ${INCREMENTS_TABLE} WHERE day = $1)
+       INSERT INTO ${SUMMARIES_TABLE} (day, doc) VALUES ($1, $2)
+       ON CONFLICT (day) DO UPDATE SET doc = EXCLUDED.doc`,
+      [day, JSON.stringify(rollups)]
+    );
+  }
+
+  // ─── Manutenção ───────────────────────────────────────────────────
+
+  async removeWhere(filter) {
+    const tenantId = currentTenantId();
+    const keep = doc => (tenantId && doc.tenantId !== tenantId) || !filter(doc);
+
+    for (const table of [EVENTS_TABLE, SESSIONS_TABLE, INCREMENTS_TABLE]) {
+      const { rows } = await this.pool.query(
+        `SELECT seq, doc FROM ${table} WHERE ($1::text IS NULL OR tenant_id = $1)`,
+        [tenantId]
+      );
+      const removed = rows.filter(row => !keep(row.doc)).map(row => row.seq);
+      if (removed.length > 0) await this.pool.query(`DELETE FROM ${table} WHERE seq = ANY($1)`, [removed]);
+    }
+
+    const { rows } = await this.pool.query(`SELECT day, doc FROM ${SUMMARIES_TABLE}`);
+    for (const { day, doc } of rows) {
+      const kept = doc.filter(keep);
+      if (kept.length === doc.length) continue;
+
+      if (kept.length > 0) {
+        await this.pool.query(`UPDATE ${SUMMARIES_TABLE} SET doc = $2 WHERE day = $1`, [day, JSON.stringify(kept)]);
+      } else {
+        await this.pool.query(`DELETE FROM ${SUMMARIES_TABLE} WHERE day = $1`, [day]);
+      }
+    }
+  }
+
+  // Copia o que as migrações gravaram no log em memória (elas são síncronas). Os
+  // documentos já trazem o tenantId: a cópia é feita sem produtor no contexto.
+  async importFrom(log) {
+    for (const day of log.days()) {
+      for (const event of log.listDay(day)) await this.append(event);
+    }
+    for (const session of log.listSessions()) await this.appendSession(session);
+
+    for (const day of log.rollupDays()) {
+      for (const increment of log.readRollups(day).docs) await this.appendRollup(day, increment);
+      const summary = log.readSummary(day);
+      if (summary) await this.writeSummary(day, summary);
+    }
+  }
+
+  // ─── Internos ─────────────────────────────────────────────────────
+
+  async _readFrom(table, day, offset) {
+    const { rows } = await this.pool.query(
+      `SELECT doc, xid::text AS xid FROM ${table}
+       WHERE xid > $1::xid8 AND xid < pg_snapshot_xmin(pg_current_snapshot()) ${day ? 'AND day = $2' : ''}
+       ORDER BY xid, seq`,
+      day ? [String(offset), day] : [String(offset)]
+    );
+
+    return {
+      docs: rows.map(row => row.doc),
+      offset: rows.length > 0 ? rows[rows.length - 1].xid : offset,
+      reset: false
+    };
+  }
+}
+
+function appendLine(filePath, doc) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(doc)}\n`);
+}
+
+// Escrita atômica (arquivo temporário e rename); sem documentos, o arquivo é apagado
+function rewriteLines(filePath, docs) {
+  if (docs.length === 0) {
+    fs.rmSync(filePath, { force: true });
+    return;
+  }
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, docs.map(doc => `${JSON.stringify(doc)}\n`).join(''));
+  fs.renameSync(tmpPath, filePath);
+}
+
+function readLines(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return parseLines(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+// Lê só as linhas completas gravadas a partir de offset (bytes). Arquivo menor que o
+// offset foi reescrito (removeWhere): a leitura recomeça do início com reset
+function readLinesFrom(filePath, offset) {
+  if (!fs.existsSync(filePath)) return { docs: [], offset: 0, reset: offset > 0 };
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const reset = size < offset;
+    const start = reset ? 0 : offset;
+
+    const buffer = Buffer.alloc(size - start);
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+    const end = buffer.lastIndexOf(0x0a) + 1;
+
+    return {
+      docs: parseLines(buffer.subarray(0, end).toString('utf8'), filePath),
+      offset: start + end,
+      reset
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Linha incompleta (processo derrubado no meio da gravação) é ignorada
+function parseLines(content, filePath) {
+  const docs = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      docs.push(JSON.parse(line));
+    } catch (error) {
+      console.error('Linha inválida no log de eventos:', filePath);
+    }
+  }
+  return docs;
+}
+
+// Leitura em memória a partir de uma posição da lista, no formato de readLinesFrom
+function sliceFrom(docs, offset) {
+  const reset = docs.length < offset;
+  const start = reset ? 0 : offset;
+  return { docs: docs.slice(start).map(clone), offset: docs.length, reset };
+}
+
+module.exports = { MemoryEventLog, FileEventLog, PostgresEventLog, dayOf };
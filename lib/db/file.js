@@ -0,0 +1,37 @@
+// lib/db/file.js
+// Armazenamento em arquivo JSON (sobrevive a reinícios do servidor)
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory');
+
+class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    if (!content.trim()) return;
+
+    const parsed = JSON.parse(content);
+    this.data = {
+      meta: parsed.meta || {},
+      collections: parsed.collections || {}
+    };
+  }
+
+  // Escrita atômica: grava num arquivo temporário e renomeia
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,153 @@
+// lib/db/index.js
+// Ponto único de acesso aos dados: escolhe o armazenamento e expõe os repositórios
+
+const path = require('path');
+const { Pool } = require('pg');
+const MemoryStore = require('./memory');
+const FileStore = require('./file');
+const PostgresStore = require('./postgres');
+const { MemoryEventLog, FileEventLog, PostgresEventLog } = require('./eventLog');
+const { runMigrations } = require('./migrations');
+const createPixKeyRepository = require('../repositories/pixKeys');
+const createOrderRepository = require('../repositories/orders');
+const createAnalyticsRepository = require('../repositories/analytics');
+const createAdminUserRepository = require('../repositories/adminUsers');
+const createEventRepository = require('../repositories/events');
+const createTicketTypeRepository = require('../repositories/ticketTypes');
+const createTicketRepository = require('../repositories/tickets');
+const createCheckinRepository = require('../repositories/checkins');
+const createReconciliationRepository = require('../repositories/reconciliation');
+const createWebhookLogRepository = require('../repositories/webhookLogs');
+const createSettingsRepository = require('../repositories/settings');
+const createOutboxRepository = require('../repositories/outbox');
+const createBlocklistRepository = require('../repositories/blocklist');
+const createCouponRepository = require('../repositories/coupons');
+const createPromoterRepository = require('../repositories/promoters');
+const createTenantRepository = require('../repositories/tenants');
+const createFeeRuleRepository = require('../repositories/feeRules');
+const createSettlementRepository = require('../repositories/settlements');
+
+// STORAGE_DRIVER: 'file' (padrão fora da Vercel), 'postgres' (padrão na Vercel; DATABASE_URL)
+// ou 'memory' (testes)
+function storageDriver() {
+  return process.env.STORAGE_DRIVER || (process.env.VERCEL === '1' ? 'postgres' : 'file');
+}
+
+function dataFile() {
+  return process.env.DATA_FILE || path.join(__dirname, '..', '..', 'data', 'db.json');
+}
+
+// DATABASE_URL ou POSTGRES_URL (criada pela integração de Postgres da Vercel)
+function databaseUrl() {
+  return process.env.DATABASE_URL || process.env.POSTGRES_URL;
+}
+
+// Armazenamento transacional e log de analytics (fora da base transacional: gravar um
+// evento não reescreve o documento). ANALYTICS_DIR: padrão, pasta analytics ao lado do DATA_FILE
+function createStorage(driver) {
+  if (driver === 'memory') {
+    return { store: new MemoryStore(), eventLog: new MemoryEventLog() };
+  }
+
+  if (driver === 'file') {
+    // Na Vercel só /tmp é gravável, e ele some a cada cold start e não é compartilhado
+    // entre instâncias: melhor não atender do que perder pedidos e chaves PIX
+    if (process.env.VERCEL === '1') {
+      throw new Error('STORAGE_DRIVER=file não persiste dados na Vercel. ' +
+        'Use STORAGE_DRIVER=postgres com DATABASE_URL.');
+    }
+
+    return {
+      store: new FileStore(dataFile()),
+      eventLog: new FileEventLog(process.env.ANALYTICS_DIR || path.join(path.dirname(dataFile()), 'analytics'))
+    };
+  }
+
+  if (driver === 'postgres') {
+    if (!databaseUrl()) {
+      throw new Error('STORAGE_DRIVER=postgres exige DATABASE_URL (ou POSTGRES_URL).');
+    }
+
+    const pool = new Pool({
+      connectionString: databaseUrl(),
+      max: parseInt(process.env.DATABASE_POOL_SIZE, 10) || 5
+    });
+    pool.on('error', error => console.error('❌ Erro na conexão com o Postgres:', error.message));
+
+    return { store: new PostgresStore(pool), eventLog: new PostgresEventLog(pool) };
+  }
+
+  throw new Error(`STORAGE_DRIVER inválido: ${driver}`);
+}
+
+// Configuração inválida não derruba o processo: as rotas respondem 503 (lib/db/requests.js)
+// e o motivo fica no log
+let storage;
+let storageError = null;
+try {
+  storage = createStorage(storageDriver());
+} catch (error) {
+  storageError = error;
+  storage = { store: new MemoryStore(), eventLog: new MemoryEventLog() };
+  console.error('❌ Armazenamento não configurado:', error.message);
+}
+
+const { store, eventLog } = storage;
+
+// Armazenamentos locais carregam e migram já no require; o Postgres carrega de forma
+// assíncrona (ready). As migrações são síncronas: no Postgres gravam o log de analytics
+// num log em memória, copiado depois de a base migrada ser gravada.
+async function loadRemote() {
+  await store.load();
+  await eventLog.load();
+
+  const staging = new MemoryEventLog();
+  runMigrations(store, { eventLog: staging });
+  await store.flush();
+  await eventLog.importFrom(staging);
+}
+
+let loading = null;
+
+// Resolve quando os dados podem ser usados; uma falha ao carregar é tentada de novo
+// na próxima chamada
+function ready() {
+  if (storageError) return Promise.reject(storageError);
+  if (!loading) {
+    loading = loadRemote().catch(error => {
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+}
+
+if (!storageError && !(store instanceof PostgresStore)) {
+  store.load();
+  eventLog.load();
+  runMigrations(store, { eventLog });
+  loading = Promise.resolve();
+}
+
+module.exports = {
+  store,
+  ready,
+  pixKeys: createPixKeyRepository(store),
+  orders: createOrderRepository(store),
+  analytics: createAnalyticsRepository(eventLog),
+  adminUsers: createAdminUserRepository(store),
+  events: createEventRepository(store),
+  ticketTypes: createTicketTypeRepository(store),
+  tickets: createTicketRepository(store),
+  checkins: createCheckinRepository(store),
+  reconciliation: createReconciliationRepository(store),
+  webhookLogs: createWebhookLogRepository(store),
+  settings: createSettingsRepository(store),
+  outbox: createOutboxRepository(store),
+  blocklist: createBlocklistRepository(store),
+  coupons: createCouponRepository(store),
+  promoters: createPromoterRepository(store),
+  tenants: createTenantRepository(store),
+  feeRules: createFeeRuleRepository(store),
+  settlements: createSettlementRepository(store)
+};
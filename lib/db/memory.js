@@ -0,0 +1,181 @@
+// lib/db/memory.js
+// Armazenamento em memória (usado em testes e como base do armazenamento em arquivo).
+// Com um produtor no contexto (lib/db/scope.js), leituras e escritas ficam restritas a ele.
+
+const { currentTenantId, isScoped } = require('./scope');
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+class MemoryStore {
+  constructor() {
+    this.data = { meta: {}, collections: {} };
+    this.snapshots = null;
+  }
+
+  // Carrega os dados (nada a fazer em memória)
+  load() {}
+
+  // Grava os dados (nada a fazer em memória)
+  persist() {}
+
+  // Relê o que outras instâncias gravaram e espera as gravações pendentes: só no
+  // armazenamento remoto (lib/db/postgres.js); aqui a gravação termina com a transação
+  async sync() {}
+
+  async flush() {}
+
+  clear() {
+    this.data = { meta: {}, collections: {} };
+    this.persist();
+  }
+
+  // ─── Leitura ──────────────────────────────────────────────────────
+
+  list(name, filter) {
+    const docs = this._visible(name);
+    return (filter ? docs.filter(filter) : docs).map(clone);
+  }
+
+  find(name, filter) {
+    return clone(this._visible(name).find(filter)) || null;
+  }
+
+  get(name, id) {
+    return this.find(name, doc => doc.id === id);
+  }
+
+  count(name, filter) {
+    const docs = this._visible(name);
+    return filter ? docs.filter(filter).length : docs.length;
+  }
+
+  // Nomes das coleções existentes (migrações)
+  collections() {
+    return Object.keys(this.data.collections);
+  }
+
+  getMeta(key) {
+    return clone(this.data.meta[key]);
+  }
+
+  // ─── Escrita ──────────────────────────────────────────────────────
+
+  // No contexto de um produtor o documento é gravado com o tenantId dele
+  insert(name, doc) {
+    const tenantId = isScoped(name) && currentTenantId();
+    const stored = tenantId ? { ...doc, tenantId } : doc;
+
+    this._touch(name);
+    this._docs(name).push(clone(stored));
+    this._commit();
+    return clone(stored);
+  }
+
+  // patch pode ser um objeto parcial ou uma função (doc) => novoDoc;
+  // o documento nunca muda de produtor
+  update(name, id, patch) {
+    const docs = this._docs(name);
+    const index = docs.findIndex(doc => doc.id === id && this._inScope(name, doc));
+    if (index === -1) return null;
+
+    this._touch(name);
+    const current = clone(docs[index]);
+    const updated = typeof patch === 'function'
+      ? patch(current)
+      : { ...current, ...patch };
+    if (current.tenantId !== undefined) updated.tenantId = current.tenantId;
+
+    docs[index] = clone(updated);
+    this._commit();
+    return clone(updated);
+  }
+
+  remove(name, id) {
+    const docs = this._docs(name);
+    const index = docs.findIndex(doc => doc.id === id && this._inScope(name, doc));
+    if (index === -1) return false;
+
+    this._touch(name);
+    docs.splice(index, 1);
+    this._commit();
+    return true;
+  }
+
+  removeWhere(name, filter) {
+    const docs = this._docs(name);
+    const kept = docs.filter(doc => !(this._inScope(name, doc) && filter(doc)));
+    const removed = docs.length - kept.length;
+
+    if (removed > 0) {
+      this._touch(name);
+      this.data.collections[name] = kept;
+      this._commit();
+    }
+
+    return removed;
+  }
+
+  setMeta(key, value) {
+    if (this.snapshots && !this.snapshots.has('__meta')) {
+      this.snapshots.set('__meta', clone(this.data.meta));
+    }
+    this.data.meta[key] = clone(value);
+    this._commit();
+  }
+
+  // Executa várias operações de forma atômica: grava uma vez no final
+  // e desfaz tudo se fn lançar erro. fn deve ser síncrona.
+  transaction(fn) {
+    if (this.snapshots) return fn(this);
+
+    this.snapshots = new Map();
+    try {
+      const result = fn(this);
+      this.snapshots = null;
+      this.persist();
+      return result;
+    } catch (error) {
+      for (const [name, docs] of this.snapshots) {
+        if (name === '__meta') this.data.meta = docs;
+        else if (docs === undefined) delete this.data.collections[name];
+        else this.data.collections[name] = docs;
+      }
+      this.snapshots = null;
+      throw error;
+    }
+  }
+
+  // ─── Internos ─────────────────────────────────────────────────────
+
+  _docs(name) {
+    return this.data.collections[name] || [];
+  }
+
+  _inScope(name, doc) {
+    const tenantId = currentTenantId();
+    return !tenantId || !isScoped(name) || doc.tenantId === tenantId;
+  }
+
+  // Documentos que o contexto atual pode ver
+  _visible(name) {
+    const docs = this._docs(name);
+    const tenantId = currentTenantId();
+    if (!tenantId || !isScoped(name)) return docs;
+    return docs.filter(doc => doc.tenantId === tenantId);
+  }
+
+  _touch(name) {
+    if (!this.data.collections[name]) this.data.collections[name] = [];
+    if (this.snapshots && !this.snapshots.has(name)) {
+      this.snapshots.set(name, this.data.collections[name].slice());
+    }
+  }
+
+  _commit() {
+    if (!this.snapshots) this.persist();
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,214 @@
+// lib/db/migrations.js
+// Migrações e seeds, aplicadas em ordem e registradas no próprio banco
+
+const { v4: uuidv4 } = require('uuid');
+const { hashPasswordSync } = require('../password');
+const { rebuildRollups, sessionsFromLog, writeRollupsFromLog } = require('../analyticsRollups');
+const { rebuildKeyUsage } = require('../pixKeyUsage');
+const { isScoped } = require('./scope');
+
+const migrations = [
+  {
+    id: '001_seed_pix_key',
+    // Cadastra a chave PIX inicial a partir do ambiente (substitui a chave fixa no código)
+    up(store) {
+      const key = process.env.PIX_SEED_KEY;
+      if (!key || store.count('pixKeys') > 0) return;
+
+      store.insert('pixKeys', {
+        id: uuidv4(),
+        key,
+        type: process.env.PIX_SEED_TYPE || 'evp',
+        name: process.env.PIX_SEED_NAME || 'Empresa LTDA',
+        active: true,
+        createdAt: new Date().toISOString()
+      });
+    }
+  },
+  {
+    id: '002_seed_admin_user',
+    // Cria o primeiro usuário owner a partir do ambiente
+    up(store) {
+      const email = process.env.ADMIN_EMAIL;
+      const password = process.env.ADMIN_PASSWORD;
+      if (!email || !password || store.count('adminUsers') > 0) return;
+
+      store.insert('adminUsers', {
+        id: uuidv4(),
+        email: email.trim().toLowerCase(),
+        name: process.env.ADMIN_NAME || 'Administrador',
+        role: 'owner',
+        passwordHash: hashPasswordSync(password),
+        active: true,
+        createdAt: new Date().toISOString()
+      });
+    }
+  },
+  {
+    id: '003_analytics_event_log',
+    // Contadores mutáveis viram log de eventos. Cliques agregados sem data não têm
+    // como ser convertidos; receita passa a vir dos pedidos pagos.
+    up(store) {
+      const append = event => store.insert('analyticsLog', { id: uuidv4(), ...event });
+
+      for (const pv of store.list('analyticsPageViews')) {
+        append({
+          type: 'page_view',
+          at: pv.timestamp,
+          sessionId: pv.sessionId || null,
+          eventId: pv.eventId || null,
+          page: pv.page || null,
+          referrer: pv.referrer || null,
+          userAgent: pv.userAgent || null,
+          ip: pv.ip || null
+        });
+      }
+
+      for (const stats of store.list('analyticsEvents')) {
+        for (const selection of stats.ticketSelections || []) {
+          const { sessionId, timestamp, ...data } = selection;
+          append({ type: 'ticket_select', at: timestamp, sessionId: sessionId || null, eventId: stats.id, data });
+        }
+      }
+
+      for (const conversion of store.list('analyticsConversions')) {
+        append({
+          type: 'checkout_started',
+          at: conversion.timestamp,
+          sessionId: conversion.sessionId || null,
+          eventId: conversion.eventId || null
+        });
+      }
+
+      store.removeWhere('analyticsPageViews', () => true);
+      store.removeWhere('analyticsEvents', () => true);
+      store.removeWhere('analyticsConversions', () => true);
+    }
+  },
+  {
+    id: '004_analytics_rollups',
+    // Agregados por hora do dashboard, calculados a partir do log já existente
+    up(store) {
+      rebuildRollups(store, store.list('analyticsLog'));
+    }
+  },
+  {
+    id: '005_multi_tenant',
+    // Dados existentes passam a ser do produtor padrão (mesmo comportamento de antes
+    // para quem não informa produtor) e o super-admin da plataforma vem do ambiente
+    up(store) {
+      const tenantId = uuidv4();
+      const now = new Date().toISOString();
+
+      store.insert('tenants', {
+        id: tenantId,
+        slug: (process.env.DEFAULT_TENANT || 'default').trim().toLowerCase(),
+        name: process.env.DEFAULT_TENANT_NAME || 'Produtor principal',
+        active: true,
+        // Sem chave própria, o dashboard de analytics usa ANALYTICS_SECRET
+        analyticsKey: null,
+        createdAt: now
+      });
+
+      // Reinsere em vez de atualizar um a um: o log de analytics pode ser grande
+      for (const name of store.collections().filter(isScoped)) {
+        const docs = store.list(name, doc => !doc.tenantId);
+        store.removeWhere(name, doc => !doc.tenantId);
+        for (const doc of docs) store.insert(name, { ...doc, tenantId });
+      }
+
+      const email = process.env.PLATFORM_ADMIN_EMAIL;
+      const password = process.env.PLATFORM_ADMIN_PASSWORD;
+      if (!email || !password) return;
+
+      store.insert('adminUsers', {
+        id: uuidv4(),
+        tenantId: null,
+        email: email.trim().toLowerCase(),
+        name: process.env.PLATFORM_ADMIN_NAME || 'Plataforma',
+        role: 'superadmin',
+        passwordHash: hashPasswordSync(password),
+        active: true,
+        createdAt: now
+      });
+    }
+  },
+  {
+    id: '006_pix_key_usage',
+    // Volume diário por chave (limites do roteamento) a partir dos pedidos já pagos
+    up(store) {
+      rebuildKeyUsage(store);
+    }
+  },
+  {
+    id: '007_idempotency_without_body',
+    // Repetições passam a ser remontadas a partir do pedido: descarta as respostas
+    // completas (QR Code e token de acesso) guardadas antes
+    up(store) {
+      store.removeWhere('idempotencyKeys', record => record.body !== undefined);
+    }
+  },
+  {
+    id: '008_analytics_log_files',
+    // Log de analytics sai do db.json para os segmentos diários (lib/db/eventLog.js);
+    // agregados e marcas de sessão passam a ser calculados do log. Eventos e sessões já
+    // copiados numa tentativa anterior interrompida não são repetidos.
+    up(store, { eventLog }) {
+      const sessionKey = s => `${s.tenantId || ''}|${s.id}`;
+      const events = store.list('analyticsLog').sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+      const copied = new Set(eventLog.days().flatMap(day => eventLog.listDay(day).map(e => e.id)));
+      for (const event of events) {
+        if (!copied.has(event.id)) eventLog.append(event);
+      }
+
+      const sessions = new Map(sessionsFromLog(events).map(s => [sessionKey(s), s]));
+      for (const session of store.list('analyticsSessions')) sessions.set(sessionKey(session), session);
+
+      const copiedSessions = new Set(eventLog.listSessions().map(sessionKey));
+      for (const session of sessions.values()) {
+        if (!copiedSessions.has(sessionKey(session))) eventLog.appendSession(session);
+      }
+
+      for (const name of ['analyticsLog', 'analyticsRollups', 'analyticsSessions', 'analyticsRollupMarks']) {
+        store.removeWhere(name, () => true);
+      }
+    }
+  },
+  {
+    id: '009_drop_reissued_access_tokens',
+    // Compras repetidas deixaram de gerar token novo: os tokens extras já entregues
+    // (que qualquer um com CPF, e-mail e carrinho conseguia) deixam de valer
+    up(store) {
+      for (const order of store.list('orders', o => o.accessTokenHashes)) {
+        store.update('orders', order.id, ({ accessTokenHashes, ...rest }) => rest);
+      }
+    }
+  },
+  {
+    id: '010_analytics_rollup_files',
+    // Agregados por hora passam a ser gravados junto com o log: calcula os dos dias já
+    // gravados (resumo dos dias fechados, incrementos dos abertos)
+    up(store, { eventLog }) {
+      writeRollupsFromLog(eventLog);
+    }
+  }
+];
+
+// context: armazenamentos fora da base transacional ({ eventLog })
+function runMigrations(store, context = {}) {
+  const applied = store.getMeta('migrations') || [];
+  const pending = migrations.filter(m => !applied.includes(m.id));
+
+  for (const migration of pending) {
+    store.transaction(tx => {
+      migration.up(tx, context);
+      tx.setMeta('migrations', [...(tx.getMeta('migrations') || []), migration.id]);
+    });
+    console.log('🗄️  Migração aplicada:', migration.id);
+  }
+
+  return pending.map(m => m.id);
+}
+
+module.exports = { migrations, runMigrations };
@@ -0,0 +1,163 @@
+// lib/db/postgres.js
+// Armazenamento no Postgres, para ambientes sem disco persistente (Vercel): o mesmo
+// documento do armazenamento em arquivo, numa linha com número de versão. Cada instância
+// trabalha numa cópia em memória e grava em segundo plano; a gravação só vale se a versão
+// no banco ainda for a lida (ninguém gravou antes). Quem perde a corrida descarta a cópia,
+// relê o banco e as requisições que dependiam dela recebem 503.
+
+const MemoryStore = require('./memory');
+const { HttpError } = require('../errors');
+
+const TABLE = 'guiche_store';
+const ROW_ID = 'main';
+
+function conflictError() {
+  return new HttpError(503, 'Os dados foram alterados por outra requisição. Tente novamente', { retryAfter: 1 });
+}
+
+class PostgresStore extends MemoryStore {
+  constructor(pool) {
+    super();
+    this.pool = pool;
+    this.version = 0;
+    // Número de alterações feitas na cópia (as requisições comparam antes e depois)
+    this.writes = 0;
+    // Muda a cada releitura: gravações enfileiradas antes dela não valem mais
+    this.generation = 0;
+    // Alterações até este número já estão no banco
+    this.savedUpTo = 0;
+    // Intervalos [de, até] de alterações descartadas num conflito
+    this.lost = [];
+    // A cópia tem alterações descartadas e ainda não foi relida
+    this.stale = false;
+    this.saving = Promise.resolve();
+    this.queued = null;
+    this.inFlight = false;
+  }
+
+  async load() {
+    await this.pool.query(
+      `CREATE TABLE IF NOT EXISTS ${TABLE} (id text PRIMARY KEY, data json NOT NULL, version bigint NOT NULL)`
+    );
+    await this._reload();
+  }
+
+  // As transações são síncronas: a gravação fica na fila e flush() espera por ela.
+  // Alterações feitas enquanto uma gravação espera na fila entram nela.
+  persist() {
+    this.writes++;
+    if (this.queued) return;
+
+    const generation = this.generation;
+    const save = this.saving.catch(() => {}).then(() => {
+      this.queued = null;
+      return this._save(generation);
+    });
+    save.catch(error => console.error('❌ Erro ao gravar no Postgres:', error.message));
+
+    this.queued = save;
+    this.saving = save;
+  }
+
+  // Relê o banco se outra instância gravou desde a última leitura. Com alterações locais
+  // ainda não gravadas, nada a fazer: a gravação delas detecta o conflito.
+  async sync() {
+    if (this._busy()) return;
+    if (this.stale) return this._reload();
+
+    const writes = this.writes;
+    const { rows } = await this.pool.query(`SELECT version FROM ${TABLE} WHERE id = $1`, [ROW_ID]);
+    const version = rows.length > 0 ? Number(rows[0].version) : 0;
+
+    if (version !== this.version && !this._busy() && this.writes === writes) await this._reload();
+  }
+
+  // Espera a gravação das alterações feitas depois de writes (this.writes lido antes);
+  // rejeita se alguma delas foi descartada. Alterações de outras requisições no mesmo
+  // intervalo também contam: na dúvida a requisição recebe 503.
+  async flush(writes = 0) {
+    const upTo = this.writes;
+    if (upTo === writes) return;
+
+    for (;;) {
+      if (this.lost.some(([from, to]) => from < upTo && to > writes)) throw conflictError();
+      if (this.savedUpTo >= upTo) return;
+      await this.saving.catch(() => {});
+    }
+  }
+
+  // ─── Internos ─────────────────────────────────────────────────────
+
+  _busy() {
+    return Boolean(this.queued) || this.inFlight;
+  }
+
+  async _save(generation) {
+    // Enfileirada antes de um conflito: as alterações dela já foram descartadas
+    if (generation !== this.generation) throw conflictError();
+    if (this.stale) {
+      this._discard();
+      throw conflictError();
+    }
+
+    const version = this.version;
+    const writes = this.writes;
+    const data = JSON.stringify(this.data);
+
+    this.inFlight = true;
+    let saved = false;
+    try {
+      const result = version === 0
+        ? await this.pool.query(
+          `INSERT INTO ${TABLE} (id, data, version) VALUES ($1, $2, 1) ON CONFLICT (id) DO NOTHING`,
+          [ROW_ID, data]
+        )
+        : await this.pool.query(
+          `UPDATE ${TABLE} SET data = $2, version = version + 1 WHERE id = $1 AND version = $3`,
+          [ROW_ID, data, version]
+        );
+      saved = result.rowCount === 1;
+    } catch (error) {
+      this._discard();
+      throw error;
+    } finally {
+      this.inFlight = false;
+    }
+
+    if (saved) {
+      this.version = version + 1;
+      this.savedUpTo = writes;
+      return;
+    }
+
+    // Outra instância gravou antes: a cópia local está desatualizada
+    this._discard();
+    await this._reload();
+    throw conflictError();
+  }
+
+  // Descarta as alterações ainda não gravadas; a cópia é relida em seguida ou no próximo sync()
+  _discard() {
+    this.lost.push([this.savedUpTo, this.writes]);
+    if (this.lost.length > 100) this.lost.shift();
+    this.generation++;
+    this.queued = null;
+    this.stale = true;
+  }
+
+  async _reload() {
+    const { rows } = await this.pool.query(`SELECT data, version FROM ${TABLE} WHERE id = $1`, [ROW_ID]);
+    const parsed = rows.length > 0 ? rows[0].data : {};
+
+    this.data = {
+      meta: parsed.meta || {},
+      collections: parsed.collections || {}
+    };
+    this.version = rows.length > 0 ? Number(rows[0].version) : 0;
+    this.generation++;
+    this.queued = null;
+    this.stale = false;
+  }
+}
+
+module.exports = PostgresStore;
@@ -0,0 +1,58 @@
+// lib/db/requests.js
+// Requisições sobre o armazenamento: esperam os dados carregarem, releem o que outras
+// instâncias gravaram e só respondem depois de gravar o que alteraram. Em memória e em
+// arquivo tudo isso já está feito quando a rota roda (lib/db/memory.js).
+
+const db = require('./index');
+const { HttpError, sendError } = require('../errors');
+
+function unavailableError() {
+  return new HttpError(503, 'Serviço temporariamente indisponível. Tente novamente', { retryAfter: 5 });
+}
+
+// Resposta de erro no lugar da que a rota montou (a gravação dela falhou)
+function replaceBody(res, end, error) {
+  const failure = error instanceof HttpError ? error : unavailableError();
+  const body = JSON.stringify({ success: false, error: failure.message });
+
+  res.statusCode = failure.status;
+  res.removeHeader('ETag');
+  res.setHeader('Retry-After', String((failure.details && failure.details.retryAfter) || 1));
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  end.call(res, body);
+}
+
+function storageReady() {
+  return async (req, res, next) => {
+    try {
+      await db.ready();
+      await db.store.sync();
+    } catch (error) {
+      console.error('❌ Armazenamento indisponível:', error.message);
+      return sendError(res, unavailableError());
+    }
+
+    // A resposta sai só depois de gravadas as alterações feitas durante a requisição.
+    // Respostas em streaming (SSE, PDF) já enviaram os headers: terminam como estão.
+    const writes = db.store.writes;
+    const end = res.end;
+
+    res.end = function (...args) {
+      res.end = end;
+      db.store.flush(writes).then(
+        () => end.apply(res, args),
+        error => {
+          console.error('❌ Alterações da requisição não gravadas:', req.method, req.path, error.message);
+          if (res.headersSent) end.apply(res, args);
+          else replaceBody(res, end, error);
+        }
+      );
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = { storageReady };
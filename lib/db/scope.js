@@ -0,0 +1,37 @@
+// lib/db/scope.js
+// Isolamento por produtor (tenant): o produtor da requisição fica no contexto
+// assíncrono e o armazenamento só enxerga e grava documentos dele.
+// Sem contexto (migrações, workers, rotas da plataforma) todos os dados ficam visíveis.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Coleções da plataforma, compartilhadas entre produtores; todas as outras são isoladas
+const PLATFORM_COLLECTIONS = new Set(['tenants', 'webhookLogs']);
+
+function currentTenantId() {
+  const context = storage.getStore();
+  return context ? context.tenantId : null;
+}
+
+function isScoped(name) {
+  return !PLATFORM_COLLECTIONS.has(name);
+}
+
+// Executa fn com o produtor informado (null = visão da plataforma)
+function runAsTenant(tenantId, fn) {
+  return storage.run({ tenantId: tenantId || null }, fn);
+}
+
+function runAsPlatform(fn) {
+  return runAsTenant(null, fn);
+}
+
+module.exports = {
+  PLATFORM_COLLECTIONS,
+  currentTenantId,
+  isScoped,
+  runAsTenant,
+  runAsPlatform
+};
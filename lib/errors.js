@@ -0,0 +1,35 @@
+// lib/errors.js
+// Erro com status HTTP, lançado pelas regras de negócio e convertido em resposta pelas rotas
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// Responde no formato padrão da API; erros inesperados viram 500
+function sendError(res, error) {
+  if (error instanceof HttpError) {
+    // 429/503 informam quando tentar de novo
+    if (error.details && error.details.retryAfter) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.details !== undefined && { details: error.details })
+    });
+  }
+
+  console.error('💥 Erro:', error);
+  return res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: error.message
+  });
+}
+
+module.exports = { HttpError, sendError };
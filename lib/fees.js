@@ -0,0 +1,38 @@
+// lib/fees.js
+// Taxa da plataforma sobre cada pedido pago: percentual do valor pago mais valor fixo
+// por ingresso. Vale a regra do evento, senão a padrão do produtor, senão a do ambiente;
+// a regra vigente no pagamento fica gravada no pedido (order.fee).
+
+const { isPaid, netCents, perTicketNetCents } = require('./paidOrders');
+
+const FEE_RULES = 'feeRules';
+
+const DEFAULT_PERCENT = parseFloat(process.env.PLATFORM_FEE_PERCENT) || 0;
+const DEFAULT_PER_TICKET_CENTS = parseInt(process.env.PLATFORM_FEE_PER_TICKET_CENTS, 10) || 0;
+
+// Regra aplicável ao pedido; reader é o store ou uma transação
+function resolveFee(reader, order) {
+  const rule =
+    reader.find(FEE_RULES, r => r.tenantId === order.tenantId && r.eventId === order.eventId) ||
+    reader.find(FEE_RULES, r => r.tenantId === order.tenantId && !r.eventId);
+
+  return rule
+    ? { ruleId: rule.id, percent: rule.percent, perTicketCents: rule.perTicketCents }
+    : { ruleId: null, percent: DEFAULT_PERCENT, perTicketCents: DEFAULT_PER_TICKET_CENTS };
+}
+
+// Sobre o valor líquido de reembolsos: o valor fixo é proporcional ao que não foi
+// reembolsado e a taxa nunca passa do valor líquido
+function feeCents(order, fee = order.fee) {
+  if (!fee || !isPaid(order) || order.totalCents <= 0) return 0;
+
+  const net = netCents(order);
+  const percentCents = Math.round(net * fee.percent / 100);
+
+  return Math.min(net, percentCents + perTicketNetCents(order, fee.perTicketCents));
+}
+
+module.exports = {
+  resolveFee,
+  feeCents
+};
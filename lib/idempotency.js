@@ -0,0 +1,120 @@
+// lib/idempotency.js
+// Header Idempotency-Key: a mesma chave com o mesmo corpo devolve a resposta original
+// (sem criar outro pedido); com outro corpo, 409. O resultado fica guardado na base
+// para valer entre instâncias e reinícios.
+
+const crypto = require('crypto');
+const db = require('./db');
+const { runAsPlatform } = require('./db/scope');
+const { HttpError, sendError } = require('./errors');
+
+const KEYS = 'idempotencyKeys';
+
+const TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+// Requisição original que não terminou (ex.: processo derrubado) libera a chave depois disso
+const LOCK_MS = 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastCleanupAt = 0;
+
+// JSON com as chaves em ordem, para que a ordem dos campos não mude a impressão digital
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function fingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonical(req.body)}`)
+    .digest('hex');
+}
+
+// Chaves vencidas de todos os produtores
+function cleanup(tx, now) {
+  if (now - lastCleanupAt < CLEANUP_INTERVAL_MS) return;
+  lastCleanupAt = now;
+  runAsPlatform(() => tx.removeWhere(KEYS, record => new Date(record.expiresAt).getTime() <= now));
+}
+
+// Reserva a chave ou devolve o registro existente (na mesma transação, sem corrida)
+function claim(scope, key, hash) {
+  return db.store.transaction(tx => {
+    const now = Date.now();
+    cleanup(tx, now);
+
+    const id = `${scope}:${key}`;
+    const existing = tx.get(KEYS, id);
+    const expired = existing && new Date(existing.expiresAt).getTime() <= now;
+    const abandoned = existing && existing.status === 'processing' &&
+      new Date(existing.lockedUntil).getTime() <= now;
+
+    if (existing && !expired && !abandoned) return existing;
+    if (existing) tx.remove(KEYS, id);
+
+    tx.insert(KEYS, {
+      id,
+      fingerprint: hash,
+      status: 'processing',
+      createdAt: new Date(now).toISOString(),
+      lockedUntil: new Date(now + LOCK_MS).toISOString(),
+      expiresAt: new Date(now + TTL_MS).toISOString()
+    });
+    return null;
+  });
+}
+
+// Middleware (depois da validação, para comparar o corpo já normalizado).
+// Só respostas 2xx ficam guardadas; erros liberam a chave para uma nova tentativa.
+// save reduz a resposta ao que é guardado (ex.: o id do pedido, sem QR Code nem token)
+// e replay remonta a resposta a partir disso na repetição.
+function idempotent(scope, { save = body => body, replay = async saved => saved } = {}) {
+  return async (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (!key) return next();
+
+    try {
+      if (key.length > MAX_KEY_LENGTH) {
+        throw new HttpError(400, `Idempotency-Key deve ter até ${MAX_KEY_LENGTH} caracteres`);
+      }
+
+      const hash = fingerprint(req);
+      const existing = claim(scope, key, hash);
+
+      if (existing) {
+        if (existing.fingerprint !== hash) {
+          throw new HttpError(409, 'Idempotency-Key já usada com outra requisição');
+        }
+        if (existing.status === 'processing') {
+          throw new HttpError(409, 'Requisição original ainda em processamento', { retryAfter: 1 });
+        }
+
+        console.log('🔁 Resposta repetida (Idempotency-Key):', scope);
+        const body = await replay(existing.result, req);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(body);
+      }
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    const id = `${scope}:${key}`;
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        db.store.update(KEYS, id, { status: 'completed', statusCode: res.statusCode, result: save(body) });
+      } else {
+        db.store.remove(KEYS, id);
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = { idempotent, fingerprint };
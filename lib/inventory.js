@@ -0,0 +1,79 @@
+// lib/inventory.js
+// Estoque por tipo de ingresso. As funções recebem a transação do store
+// para que reserva/baixa e gravação do pedido aconteçam juntas.
+
+const { HttpError } = require('./errors');
+
+const TICKET_TYPES = 'ticketTypes';
+
+// capacity null = sem limite
+function availableFor(ticketType) {
+  if (ticketType.capacity === null || ticketType.capacity === undefined) return null;
+  return Math.max(0, ticketType.capacity - (ticketType.reserved || 0) - (ticketType.sold || 0));
+}
+
+function adjust(tx, items, changes) {
+  for (const item of items) {
+    tx.update(TICKET_TYPES, item.ticketTypeId, ticketType => {
+      for (const [field, sign] of Object.entries(changes)) {
+        ticketType[field] = Math.max(0, (ticketType[field] || 0) + sign * item.quantity);
+      }
+      return ticketType;
+    });
+  }
+}
+
+// Reserva os itens ou lança 409 se algum estiver esgotado
+function reserve(tx, items) {
+  const soldOut = [];
+
+  for (const item of items) {
+    const ticketType = tx.get(TICKET_TYPES, item.ticketTypeId);
+    const available = ticketType ? availableFor(ticketType) : 0;
+
+    if (available !== null && available < item.quantity) {
+      soldOut.push({ ticketTypeId: item.ticketTypeId, available });
+    }
+  }
+
+  if (soldOut.length > 0) {
+    throw new HttpError(409, 'Ingressos esgotados', soldOut);
+  }
+
+  adjust(tx, items, { reserved: +1 });
+}
+
+// Devolve a reserva ao estoque (pedido expirado ou cancelado)
+function release(tx, items) {
+  adjust(tx, items, { reserved: -1 });
+}
+
+// Converte a reserva em venda (pedido pago)
+function commit(tx, items) {
+  adjust(tx, items, { reserved: -1, sold: +1 });
+}
+
+// Venda sem reserva (pedido expirado pago dentro da tolerância): baixa mesmo sem estoque
+// e devolve os itens que passaram da capacidade
+function sellLate(tx, items) {
+  const oversold = [];
+
+  for (const item of items) {
+    const ticketType = tx.get(TICKET_TYPES, item.ticketTypeId);
+    const available = ticketType ? availableFor(ticketType) : null;
+
+    if (available !== null && available < item.quantity) {
+      oversold.push({ ticketTypeId: item.ticketTypeId, quantity: item.quantity, available });
+    }
+  }
+
+  adjust(tx, items, { sold: +1 });
+  return oversold;
+}
+
+// Devolve ingressos vendidos ao estoque (pedido reembolsado)
+function restock(tx, items) {
+  adjust(tx, items, { sold: -1 });
+}
+
+module.exports = { availableFor, reserve, release, commit, sellLate, restock };
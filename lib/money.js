@@ -0,0 +1,25 @@
+// lib/money.js
+// Valores monetários são guardados em centavos (inteiros)
+
+function toReais(cents) {
+  return Math.round(cents) / 100;
+}
+
+// "1234" centavos -> "12.34" (formato do BR Code, sem erro de ponto flutuante)
+function formatCents(cents) {
+  const value = Math.round(cents);
+  return `${Math.floor(value / 100)}.${String(value % 100).padStart(2, '0')}`;
+}
+
+function isValidCents(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+const brl = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
+// 1234 -> "R$ 12,34"
+function formatBRL(cents) {
+  return brl.format(toReais(cents || 0));
+}
+
+module.exports = { toReais, formatCents, formatBRL, isValidCents };
@@ -0,0 +1,197 @@
+// lib/notifications/index.js
+// E-mails transacionais via outbox: as mensagens são gravadas na mesma
+// transação da mudança do pedido e enviadas depois, com novas tentativas
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { runAsTenant, runAsPlatform } = require('../db/scope');
+const { templates } = require('./templates');
+const { getTransport } = require('./transports');
+
+const OUTBOX = 'outbox';
+const ORDERS = 'orders';
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+const REMINDER_MINUTES = parseInt(process.env.MAIL_REMINDER_MINUTES, 10) || 10;
+const WORKER_INTERVAL_MS = parseInt(process.env.MAIL_WORKER_INTERVAL_MS, 10) || 15 * 1000;
+
+let lastRunAt = 0;
+let running = null;
+
+// ═══════════════════════════════════════════════════════════════════
+// ENFILEIRAMENTO (dentro da transação de quem gera o e-mail)
+// ═══════════════════════════════════════════════════════════════════
+
+// Sem orderId é uma mensagem avulsa (ex.: código de acesso do cliente)
+function queueEmail(tx, template, to, extra = {}, orderId = null) {
+  if (!templates[template]) {
+    throw new Error(`Modelo de e-mail desconhecido: ${template}`);
+  }
+
+  const now = new Date().toISOString();
+
+  return tx.insert(OUTBOX, {
+    id: uuidv4(),
+    template,
+    to,
+    orderId,
+    extra,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lockedUntil: null,
+    lastError: null,
+    createdAt: now,
+    sentAt: null
+  });
+}
+
+function queueOrderEmail(tx, template, order, extra = {}) {
+  return queueEmail(tx, template, order.customer.email, extra, order.id);
+}
+
+// Lembrete para pedidos pendentes que expiram nos próximos REMINDER_MINUTES
+async function queueExpiryReminders(now = new Date()) {
+  const threshold = new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000);
+
+  const due = await db.orders.list(o =>
+    o.status === 'pending' &&
+    !o.reminderQueuedAt &&
+    new Date(o.expiresAt) > now &&
+    new Date(o.expiresAt) <= threshold &&
+    // Pedidos criados já dentro da janela do lembrete não recebem lembrete
+    new Date(o.createdAt) < new Date(new Date(o.expiresAt).getTime() - REMINDER_MINUTES * 60 * 1000)
+  );
+
+  for (const order of due) {
+    runAsTenant(order.tenantId, () => db.store.transaction(tx => {
+      queueOrderEmail(tx, 'order_reminder', order);
+      tx.update(ORDERS, order.id, { reminderQueuedAt: now.toISOString() });
+    }));
+  }
+
+  return due.length;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ENVIO
+// ═══════════════════════════════════════════════════════════════════
+
+// Reserva a mensagem para este processo (evita envio duplicado entre execuções)
+function claim(messageId, now) {
+  return db.store.transaction(tx => {
+    const message = tx.get(OUTBOX, messageId);
+    const free = message && (
+      (message.status === 'pending' && message.nextAttemptAt <= now.toISOString()) ||
+      (message.status === 'sending' && message.lockedUntil <= now.toISOString())
+    );
+    if (!free) return null;
+
+    return tx.update(OUTBOX, messageId, {
+      status: 'sending',
+      lockedUntil: new Date(now.getTime() + SENDING_LEASE_MS).toISOString()
+    });
+  });
+}
+
+async function render(message) {
+  if (!message.orderId) {
+    return templates[message.template]({ extra: message.extra || {} });
+  }
+
+  const order = await db.orders.get(message.orderId);
+  if (!order) throw new Error('Pedido não encontrado');
+
+  const event = order.eventId ? await db.events.get(order.eventId) : null;
+  const tickets = (await db.tickets.listByOrder(order.id)).filter(t => t.status === 'valid');
+
+  return templates[message.template]({ order, event, tickets, extra: message.extra || {} });
+}
+
+async function deliver(message) {
+  const attempts = message.attempts + 1;
+
+  try {
+    const content = await render(message);
+    const result = await getTransport().send({ id: message.id, to: message.to, ...content });
+
+    await db.outbox.update(message.id, {
+      status: 'sent',
+      attempts,
+      sentAt: new Date().toISOString(),
+      providerMessageId: result && result.id,
+      lockedUntil: null,
+      lastError: null
+    });
+    return true;
+
+  } catch (error) {
+    // Backoff exponencial: 1, 2, 4, 8... minutos
+    const failed = attempts >= MAX_ATTEMPTS;
+    await db.outbox.update(message.id, {
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString(),
+      lockedUntil: null,
+      lastError: error.message
+    });
+
+    console.error(`📧 Falha no envio (${attempts}/${MAX_ATTEMPTS}):`, message.template, error.message);
+    return false;
+  }
+}
+
+async function processOutbox(now = new Date()) {
+  const due = await db.outbox.list(m =>
+    (m.status === 'pending' && m.nextAttemptAt <= now.toISOString()) ||
+    (m.status === 'sending' && m.lockedUntil <= now.toISOString())
+  );
+
+  let sent = 0;
+  for (const candidate of due) {
+    const message = claim(candidate.id, now);
+    if (message && await deliver(message)) sent++;
+  }
+
+  return sent;
+}
+
+// Lembretes + envio de todos os produtores; execuções simultâneas compartilham a mesma promessa
+function runNotifications() {
+  if (!running) {
+    lastRunAt = Date.now();
+    running = runAsPlatform(async () => {
+      await queueExpiryReminders();
+      await processOutbox();
+    }).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+// Em ambientes sem processo contínuo (Vercel) o envio roda sob demanda
+function runNotificationsIfDue() {
+  if (Date.now() - lastRunAt < WORKER_INTERVAL_MS) return Promise.resolve();
+  return runNotifications().catch(error => console.error('Erro no envio de e-mails:', error));
+}
+
+function startNotificationWorker() {
+  const timer = setInterval(() => {
+    runNotifications().catch(error => console.error('Erro no envio de e-mails:', error));
+  }, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  queueEmail,
+  queueOrderEmail,
+  queueExpiryReminders,
+  processOutbox,
+  runNotifications,
+  runNotificationsIfDue,
+  startNotificationWorker
+};
@@ -0,0 +1,178 @@
+// lib/notifications/templates.js
+// Modelos de e-mail (pt-BR) do ciclo de vida do pedido e do acesso do cliente
+
+const { formatBRL } = require('../money');
+const { generateQrCode } = require('../pix');
+const { DEFAULT_TZ } = require('../time');
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDateTime(date) {
+  return new Date(date).toLocaleString('pt-BR', {
+    timeZone: DEFAULT_TZ,
+    dateStyle: 'short',
+    timeStyle: 'short'
+  });
+}
+
+function firstName(order) {
+  return String(order.customer.name || '').split(' ')[0];
+}
+
+function itemsText(order) {
+  return order.items.map(item => `${item.quantity}x ${item.title} - ${formatBRL(item.unitPriceCents * item.quantity)}`);
+}
+
+// Estrutura HTML comum: título, parágrafos e blocos extras já escapados
+function layout(title, paragraphs, extraHtml = '') {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto;">
+  <h2>${escapeHtml(title)}</h2>
+  ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n  ')}
+  ${extraHtml}
+  <p style="color: #888; font-size: 12px;">Guichê Master - este é um e-mail automático, não responda.</p>
+</body>
+</html>`;
+}
+
+function itemsHtml(order) {
+  return `<ul>${itemsText(order).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+}
+
+function dataUrlToBuffer(dataUrl) {
+  return Buffer.from(dataUrl.split(',')[1], 'base64');
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MODELOS
+// ═══════════════════════════════════════════════════════════════════
+
+const templates = {
+  async order_created({ order, event }) {
+    const qrCode = await generateQrCode(order.pix.payload);
+    const title = `Pedido ${order.code} - pague com PIX`;
+    const paragraphs = [
+      `Olá, ${firstName(order)}! Recebemos seu pedido${event ? ` para ${event.name}` : ''}.`,
+      `Total: ${formatBRL(order.totalCents)}. Pague até ${formatDateTime(order.expiresAt)} para garantir seus ingressos.`,
+      'Use o PIX copia e cola abaixo ou escaneie o QR Code anexo:'
+    ];
+
+    return {
+      subject: title,
+      text: [...paragraphs, order.pix.payload, '', ...itemsText(order)].join('\n'),
+      html: layout(title, paragraphs,
+        `<pre style="white-space: pre-wrap; word-break: break-all; background: #f4f4f4; padding: 12px;">${escapeHtml(order.pix.payload)}</pre>
+  <img src="cid:pix-qrcode" alt="QR Code PIX" width="240" height="240" />
+  ${itemsHtml(order)}`),
+      attachments: [{ filename: 'pix.png', content: dataUrlToBuffer(qrCode), contentType: 'image/png', cid: 'pix-qrcode' }]
+    };
+  },
+
+  async order_reminder({ order }) {
+    const title = `Seu pedido ${order.code} expira em breve`;
+    const paragraphs = [
+      `Olá, ${firstName(order)}! Ainda não identificamos o pagamento do seu pedido.`,
+      `Ele expira às ${formatDateTime(order.expiresAt)} e os ingressos voltam para venda. Valor: ${formatBRL(order.totalCents)}.`,
+      'PIX copia e cola:'
+    ];
+
+    return {
+      subject: title,
+      text: [...paragraphs, order.pix.payload].join('\n'),
+      html: layout(title, paragraphs,
+        `<pre style="white-space: pre-wrap; word-break: break-all; background: #f4f4f4; padding: 12px;">${escapeHtml(order.pix.payload)}</pre>`)
+    };
+  },
+
+  async order_paid({ order, event, tickets }) {
+    const title = `Pagamento confirmado - pedido ${order.code}`;
+    const paragraphs = [
+      `Olá, ${firstName(order)}! Seu pagamento de ${formatBRL(order.totalCents)} foi confirmado.`,
+      event ? `Evento: ${event.name} - ${event.venue} - ${formatDateTime(event.date)}.` : '',
+      `Seus ${tickets.length} ingresso(s) estão anexados. Apresente o QR Code de cada ingresso na entrada.`
+    ].filter(Boolean);
+
+    const attachments = [];
+    for (const [index, ticket] of tickets.entries()) {
+      const qrCode = await generateQrCode(ticket.token);
+      attachments.push({
+        filename: `ingresso-${index + 1}.png`,
+        content: dataUrlToBuffer(qrCode),
+        contentType: 'image/png',
+        cid: `ticket-${ticket.id}`
+      });
+    }
+
+    const ticketsHtml = tickets.map(ticket => `
+  <div style="border: 1px solid #ddd; padding: 12px; margin: 12px 0;">
+    <strong>${escapeHtml(ticket.title)}</strong><br />
+    Titular: ${escapeHtml(ticket.holderName)}<br />
+    <img src="cid:ticket-${ticket.id}" alt="QR Code do ingresso" width="200" height="200" />
+  </div>`).join('');
+
+    return {
+      subject: title,
+      text: [...paragraphs, ...tickets.map(t => `- ${t.title} (${t.holderName})`)].join('\n'),
+      html: layout(title, paragraphs, ticketsHtml),
+      attachments
+    };
+  },
+
+  async order_expired({ order }) {
+    const title = `Pedido ${order.code} expirado`;
+    const paragraphs = [
+      `Olá, ${firstName(order)}. O prazo de pagamento do pedido ${order.code} terminou e os ingressos foram liberados.`,
+      'Se ainda quiser participar, faça um novo pedido. Se você pagou após o prazo, responda pelo nosso atendimento que faremos o estorno.'
+    ];
+
+    return {
+      subject: title,
+      text: paragraphs.join('\n'),
+      html: layout(title, paragraphs)
+    };
+  },
+
+  async order_refunded({ order, extra }) {
+    const partial = order.status === 'partially_refunded';
+    const title = partial
+      ? `Reembolso parcial do pedido ${order.code}`
+      : `Reembolso do pedido ${order.code}`;
+    const paragraphs = [
+      `Olá, ${firstName(order)}. Registramos um reembolso de ${formatBRL(extra.amountCents)} referente ao pedido ${order.code}.`,
+      partial
+        ? `Total reembolsado até agora: ${formatBRL(order.refundedCents)}. Seus ingressos continuam válidos.`
+        : 'Os ingressos deste pedido foram cancelados.',
+      'O valor será devolvido por PIX na conta de origem do pagamento.'
+    ];
+
+    return {
+      subject: title,
+      text: paragraphs.join('\n'),
+      html: layout(title, paragraphs)
+    };
+  },
+
+  // Código de acesso a "meus pedidos" (sem pedido associado)
+  async customer_login_code({ extra }) {
+    const title = `Seu código de acesso: ${extra.code}`;
+    const paragraphs = [
+      `Use o código ${extra.code} para consultar seus pedidos e ingressos.`,
+      `Ele vale por ${extra.expiresMinutes} minutos. Se você não fez esta solicitação, ignore este e-mail.`
+    ];
+
+    return {
+      subject: title,
+      text: paragraphs.join('\n'),
+      html: layout(title, paragraphs)
+    };
+  }
+};
+
+module.exports = { templates, escapeHtml };
@@ -0,0 +1,19 @@
+// lib/notifications/transports/console.js
+// Transporte de desenvolvimento: apenas registra o e-mail no console
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      console.log('📧 E-mail:', {
+        to: message.to,
+        subject: message.subject,
+        attachments: (message.attachments || []).map(a => a.filename)
+      });
+      return { id: `console-${Date.now()}` };
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,28 @@
+// lib/notifications/transports/file.js
+// Transporte de desenvolvimento/testes: grava cada e-mail em disco (JSON + HTML)
+
+const fs = require('fs');
+const path = require('path');
+
+function createFileTransport({ directory }) {
+  return {
+    name: 'file',
+
+    async send(message) {
+      fs.mkdirSync(directory, { recursive: true });
+
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.id}`;
+      const { attachments = [], html, ...meta } = message;
+
+      fs.writeFileSync(path.join(directory, `${id}.json`), JSON.stringify({
+        ...meta,
+        attachments: attachments.map(a => ({ filename: a.filename, contentType: a.contentType, size: a.content.length }))
+      }, null, 2));
+      fs.writeFileSync(path.join(directory, `${id}.html`), html || '');
+
+      return { id };
+    }
+  };
+}
+
+module.exports = createFileTransport;
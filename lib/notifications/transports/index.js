@@ -0,0 +1,46 @@
+// lib/notifications/transports/index.js
+// Escolha do transporte de e-mail: MAIL_TRANSPORT = smtp | file | console (padrão)
+
+const path = require('path');
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createSmtpTransport = require('./smtp');
+
+let transport = null;
+
+function createTransport() {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+
+  if (name === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.MAIL_FROM || 'Guichê Master <nao-responda@guichemaster.com.br>'
+    });
+  }
+
+  if (name === 'file') {
+    return createFileTransport({
+      directory: process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', '..', '..', 'data', 'mail')
+    });
+  }
+
+  if (name === 'console') return createConsoleTransport();
+
+  throw new Error(`MAIL_TRANSPORT inválido: ${name}`);
+}
+
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+// Permite trocar o transporte (ex.: captura em testes)
+function setTransport(custom) {
+  transport = custom;
+}
+
+module.exports = { getTransport, setTransport };
@@ -0,0 +1,31 @@
+// lib/notifications/transports/smtp.js
+// Envio real via SMTP (nodemailer)
+
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ host, port, secure, user, pass, from }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail({
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: message.attachments
+      });
+      return { id: info.messageId };
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,76 @@
+// lib/orderAccess.js
+// Quem pode ver um pedido: equipe (orders:read), cliente com sessão verificada
+// do e-mail do pedido ou quem tem o token de acesso entregue na compra
+
+const crypto = require('crypto');
+const db = require('./db');
+const { can, optionalAdmin, optionalCustomer } = require('./auth');
+
+function generateAccessToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Só o hash fica gravado no pedido
+function hashAccessToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// A sessão vale para o e-mail que recebeu o código; entrando pelo CPF, só para os
+// pedidos com o mesmo CPF e o mesmo e-mail
+function ownsOrder(customer, order) {
+  if (!customer || !customer.email || order.customer.email !== customer.email) return false;
+  return !customer.cpf || order.customer.cpf === customer.cpf;
+}
+
+function hasValidToken(order, token) {
+  if (!token || !order.accessTokenHash) return false;
+
+  const actual = Buffer.from(hashAccessToken(token), 'hex');
+  return crypto.timingSafeEqual(Buffer.from(order.accessTokenHash, 'hex'), actual);
+}
+
+// Token no header X-Order-Token ou em ?token=
+function canAccessOrder(req, order) {
+  if (req.admin && can(req.admin.role, 'orders:read')) return true;
+  if (ownsOrder(req.customer, order)) return true;
+  return hasValidToken(order, req.get('x-order-token') || req.query.token);
+}
+
+// Middlewares: carrega o pedido de :orderId em req.order se o acesso for permitido
+function requireOrderAccess() {
+  const check = async (req, res, next) => {
+    try {
+      const order = await db.orders.findByIdOrCode(req.params.orderId);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pedido não encontrado'
+        });
+      }
+
+      if (!canAccessOrder(req, order)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado. Use o link da compra ou entre com o código enviado por e-mail'
+        });
+      }
+
+      req.order = order;
+      next();
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return [optionalAdmin(), optionalCustomer(), check];
+}
+
+module.exports = {
+  generateAccessToken,
+  hashAccessToken,
+  ownsOrder,
+  canAccessOrder,
+  requireOrderAccess
+};
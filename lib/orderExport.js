@@ -0,0 +1,146 @@
+// lib/orderExport.js
+// Exportação de pedidos (uma linha por item) em CSV e XLSX para o financeiro
+// e para os relatórios de repasse aos produtores
+
+const ExcelJS = require('exceljs');
+const db = require('./db');
+const { zonedParts, DEFAULT_TZ } = require('./time');
+const { toReais } = require('./money');
+
+// Colunas na ordem da planilha; type define a formatação (money em centavos)
+const COLUMNS = [
+  { key: 'orderCode', header: 'Pedido', width: 22 },
+  { key: 'status', header: 'Status', width: 18 },
+  { key: 'createdAt', header: 'Criado em', type: 'date', width: 18 },
+  { key: 'paidAt', header: 'Pago em', type: 'date', width: 18 },
+  { key: 'eventName', header: 'Evento', width: 30 },
+  { key: 'customerName', header: 'Cliente', width: 28 },
+  { key: 'customerEmail', header: 'E-mail', width: 28 },
+  { key: 'customerCpf', header: 'CPF', width: 14 },
+  { key: 'customerPhone', header: 'Telefone', width: 14 },
+  { key: 'pixKeyName', header: 'Chave PIX', width: 20 },
+  { key: 'pixKey', header: 'Chave', width: 28 },
+  { key: 'paymentSource', header: 'Confirmação', width: 14 },
+  { key: 'couponCode', header: 'Cupom', width: 14 },
+  { key: 'promoterCode', header: 'Promoter', width: 14 },
+  { key: 'utmSource', header: 'Origem (UTM)', width: 16 },
+  { key: 'utmCampaign', header: 'Campanha (UTM)', width: 20 },
+  { key: 'itemTitle', header: 'Item', width: 30 },
+  { key: 'quantity', header: 'Qtd', width: 6 },
+  { key: 'unitPriceCents', header: 'Preço unitário', type: 'money', width: 14 },
+  { key: 'lineTotalCents', header: 'Total do item', type: 'money', width: 14 },
+  { key: 'subtotalCents', header: 'Subtotal do pedido', type: 'money', width: 16 },
+  { key: 'discountCents', header: 'Desconto do pedido', type: 'money', width: 16 },
+  { key: 'totalCents', header: 'Total do pedido', type: 'money', width: 16 },
+  { key: 'refundedCents', header: 'Reembolsado', type: 'money', width: 14 }
+];
+
+// Texto iniciado por =, +, -, @ (ou tab/CR) vira fórmula ao abrir no Excel; nome e
+// demais campos vêm do formulário público, então o apóstrofo força texto
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function plainText(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+// Valores do pedido se repetem em cada item; some só uma vez por pedido ao totalizar
+async function buildExportRows(orders) {
+  const events = await db.events.list();
+  const eventNames = new Map(events.map(e => [e.id, e.name]));
+
+  return orders.flatMap(order => order.items.map(item => ({
+    orderCode: order.code,
+    status: order.status,
+    createdAt: order.createdAt,
+    paidAt: order.paidAt || null,
+    eventName: eventNames.get(order.eventId) || '',
+    customerName: order.customer.name,
+    customerEmail: order.customer.email,
+    customerCpf: order.customer.cpf,
+    customerPhone: order.customer.phone || '',
+    pixKeyName: order.pixKey ? order.pixKey.name : '',
+    pixKey: order.pixKey ? order.pixKey.key : '',
+    paymentSource: order.payment ? order.payment.source : '',
+    couponCode: order.coupon ? order.coupon.code : '',
+    promoterCode: order.attribution && order.attribution.promoter ? order.attribution.promoter.code : '',
+    utmSource: (order.attribution && order.attribution.utmSource) || '',
+    utmCampaign: (order.attribution && order.attribution.utmCampaign) || '',
+    itemTitle: item.title,
+    quantity: item.quantity,
+    unitPriceCents: item.unitPriceCents,
+    lineTotalCents: item.unitPriceCents * item.quantity,
+    subtotalCents: order.subtotalCents ?? order.totalCents,
+    discountCents: order.discountCents || 0,
+    totalCents: order.totalCents,
+    refundedCents: order.refundedCents || 0
+  })));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CSV (padrão do Excel brasileiro: ponto e vírgula, vírgula decimal, BOM UTF-8)
+// ═══════════════════════════════════════════════════════════════════
+
+function formatLocalDate(value) {
+  if (!value) return '';
+  const p = zonedParts(value, DEFAULT_TZ);
+  return `${p.date} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const format = (column, value) => {
+    if (column.type === 'date') return formatLocalDate(value);
+    if (column.type === 'money') return toReais(value).toFixed(2).replace('.', ',');
+    return plainText(value);
+  };
+
+  const lines = [
+    COLUMNS.map(c => csvCell(c.header)).join(';'),
+    ...rows.map(row => COLUMNS.map(c => csvCell(format(c, row[c.key]))).join(';'))
+  ];
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// XLSX
+// ═══════════════════════════════════════════════════════════════════
+
+// Datas gravadas como texto no fuso da aplicação (o Excel não guarda fuso)
+async function toXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Guichê Master';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Pedidos', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS.map(c => ({ key: c.key, header: c.header, width: c.width }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    sheet.addRow(Object.fromEntries(COLUMNS.map(c => {
+      const value = row[c.key];
+      if (c.type === 'money') return [c.key, toReais(value)];
+      if (c.type === 'date') return [c.key, formatLocalDate(value)];
+      return [c.key, plainText(value)];
+    })));
+  }
+
+  for (const column of COLUMNS.filter(c => c.type === 'money')) {
+    sheet.getColumn(column.key).numFmt = '"R$" #,##0.00';
+  }
+
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: COLUMNS.length } };
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  COLUMNS,
+  buildExportRows,
+  toCsv,
+  toXlsx
+};
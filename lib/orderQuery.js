@@ -0,0 +1,176 @@
+// lib/orderQuery.js
+// Busca de pedidos do painel: filtros por query string, ordenação e paginação por cursor
+
+const db = require('./db');
+const { HttpError } = require('./errors');
+const { TRANSITIONS } = require('./orders');
+
+const SORT_FIELDS = ['createdAt', 'paidAt', 'totalCents', 'code'];
+const DATE_FIELDS = ['createdAt', 'paidAt'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Minúsculas e sem acentos, para a busca por nome
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PARÂMETROS
+// ═══════════════════════════════════════════════════════════════════
+
+// Converte a query string em filtros; erros no mesmo formato da validação de corpo
+function parseOrderQuery(query) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  const parseDate = field => {
+    if (!query[field]) return null;
+    const date = new Date(query[field]);
+    if (isNaN(date.getTime())) fail(field, 'Data inválida');
+    return date;
+  };
+
+  const parseCents = field => {
+    if (query[field] === undefined || query[field] === '') return null;
+    const value = Number(query[field]);
+    if (!Number.isInteger(value) || value < 0) fail(field, 'Deve ser um inteiro em centavos');
+    return value;
+  };
+
+  const status = query.status ? String(query.status).split(',').map(s => s.trim()) : [];
+  const unknown = status.filter(s => !(s in TRANSITIONS));
+  if (unknown.length > 0) fail('status', `Status inválido: ${unknown.join(', ')}`);
+
+  const dateField = query.dateField || 'createdAt';
+  if (!DATE_FIELDS.includes(dateField)) fail('dateField', `Use: ${DATE_FIELDS.join(', ')}`);
+
+  const sortSpec = String(query.sort || '-createdAt');
+  const sortField = sortSpec.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(sortField)) fail('sort', `Use: ${SORT_FIELDS.join(', ')} (prefixo - para decrescente)`);
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) fail('limit', `Deve ser de 1 a ${MAX_LIMIT}`);
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+      if (cursor.sort !== sortSpec) fail('cursor', 'Cursor de outra ordenação');
+    } catch (error) {
+      fail('cursor', 'Cursor inválido');
+    }
+  }
+
+  const filters = {
+    status,
+    eventId: query.eventId || null,
+    pixKeyId: query.pixKeyId || null,
+    couponCode: query.couponCode ? String(query.couponCode).trim().toUpperCase() : null,
+    q: query.q ? String(query.q).trim() : null,
+    dateField,
+    from: parseDate('from'),
+    to: parseDate('to'),
+    minCents: parseCents('minCents'),
+    maxCents: parseCents('maxCents'),
+    sort: { spec: sortSpec, field: sortField, desc: sortSpec.startsWith('-') },
+    limit,
+    cursor
+  };
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Parâmetros inválidos', errors);
+  }
+
+  return filters;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// FILTRO E ORDENAÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+// Busca livre: código do pedido, nome, e-mail ou CPF (com ou sem pontuação)
+function matchesSearch(order, q) {
+  const text = normalizeText(q);
+  const digits = q.replace(/\D/g, '');
+
+  return order.code.toLowerCase().includes(text) ||
+    normalizeText(order.customer.name).includes(text) ||
+    order.customer.email.includes(text) ||
+    (digits.length >= 3 && order.customer.cpf.includes(digits));
+}
+
+function matchesFilters(order, f) {
+  if (f.status.length > 0 && !f.status.includes(order.status)) return false;
+  if (f.eventId && order.eventId !== f.eventId) return false;
+  if (f.pixKeyId && (!order.pixKey || order.pixKey.id !== f.pixKeyId)) return false;
+  if (f.couponCode && (!order.coupon || order.coupon.code !== f.couponCode)) return false;
+  if (f.minCents !== null && order.totalCents < f.minCents) return false;
+  if (f.maxCents !== null && order.totalCents > f.maxCents) return false;
+
+  if (f.from || f.to) {
+    const value = order[f.dateField];
+    if (!value) return false;
+    const date = new Date(value);
+    if (f.from && date < f.from) return false;
+    if (f.to && date > f.to) return false;
+  }
+
+  return !f.q || matchesSearch(order, f.q);
+}
+
+// Campo vazio (ex.: paidAt de pedido pendente) fica sempre no fim; empate pelo id
+function compareOrders(a, b, { field, desc }) {
+  const va = a[field] ?? null;
+  const vb = b[field] ?? null;
+
+  if (va !== vb) {
+    if (va === null) return 1;
+    if (vb === null) return -1;
+    const result = va < vb ? -1 : 1;
+    return desc ? -result : result;
+  }
+
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function encodeCursor(order, sort) {
+  const payload = { sort: sort.spec, value: order[sort.field] ?? null, id: order.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Todos os pedidos que atendem aos filtros, já ordenados (usado também na exportação)
+async function filterOrders(filters) {
+  const orders = await db.orders.list(o => matchesFilters(o, filters));
+  return orders.sort((a, b) => compareOrders(a, b, filters.sort));
+}
+
+// Página de resultados: { orders, total, nextCursor }
+async function searchOrders(filters) {
+  const matching = await filterOrders(filters);
+
+  let start = 0;
+  if (filters.cursor) {
+    const anchor = { [filters.sort.field]: filters.cursor.value, id: filters.cursor.id };
+    start = matching.findIndex(order => compareOrders(order, anchor, filters.sort) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + filters.limit);
+  const hasMore = start + filters.limit < matching.length;
+
+  return {
+    orders: page,
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], filters.sort) : null
+  };
+}
+
+module.exports = {
+  parseOrderQuery,
+  filterOrders,
+  searchOrders
+};
@@ -0,0 +1,357 @@
+// lib/orders.js
+// Ciclo de vida dos pedidos: máquina de estados, reserva/baixa de estoque,
+// histórico de alterações e expiração automática
+
+const db = require('./db');
+const { runAsTenant, runAsPlatform } = require('./db/scope');
+const inventory = require('./inventory');
+const tickets = require('./tickets');
+const { redeemCoupon, releaseCoupon, restoreCoupon } = require('./coupons');
+const { queueOrderEmail } = require('./notifications');
+const { publishOrder } = require('./realtime');
+const { recordKeyUsage, keyUsageFor } = require('./pixKeyUsage');
+const { fitsLimits } = require('./pixRouting');
+const { resolveFee } = require('./fees');
+const { HttpError } = require('./errors');
+
+const ORDERS = 'orders';
+const SWEEP_INTERVAL_MS = parseInt(process.env.ORDER_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+const MAX_PENDING_PER_CUSTOMER = parseInt(process.env.MAX_PENDING_ORDERS_PER_CUSTOMER, 10) || 3;
+// Janela em que uma compra igual à anterior devolve o pedido já criado (0 desativa)
+const DUPLICATE_WINDOW_MS = (process.env.DUPLICATE_ORDER_WINDOW_SECONDS
+  ? parseInt(process.env.DUPLICATE_ORDER_WINDOW_SECONDS, 10)
+  : 120) * 1000;
+
+const SYSTEM_ACTOR = { type: 'system' };
+
+let lastSweepAt = 0;
+
+// ═══════════════════════════════════════════════════════════════════
+// MÁQUINA DE ESTADOS
+// ═══════════════════════════════════════════════════════════════════
+
+const TRANSITIONS = {
+  pending: ['paid', 'expired', 'cancelled'],
+  paid: ['refunded', 'partially_refunded'],
+  partially_refunded: ['refunded', 'partially_refunded'],
+  expired: [],
+  cancelled: [],
+  refunded: []
+};
+
+// PIX que cai depois da expiração (extrato importado mais tarde, webhook atrasado):
+// só a conciliação reabre o pedido, dentro da tolerância (ver lib/reconciliation.js)
+const LATE_TRANSITIONS = {
+  expired: ['paid']
+};
+
+// Efeitos de cada transição (estoque, ingressos e cupom), na mesma transação.
+// O retorno (opcional) são campos extras gravados no pedido.
+const EFFECTS = {
+  'pending:paid': (tx, order) => {
+    inventory.commit(tx, order.items);
+    tickets.issueTickets(tx, order);
+  },
+  'pending:expired': (tx, order) => {
+    inventory.release(tx, order.items);
+    releaseCoupon(tx, order);
+  },
+  // A reserva já foi devolvida: vende de novo; sem estoque, o pedido fica marcado
+  // como oversold para a equipe resolver (o cliente já pagou)
+  'expired:paid': (tx, order) => {
+    const oversold = inventory.sellLate(tx, order.items);
+    tickets.issueTickets(tx, order);
+    restoreCoupon(tx, order);
+    return oversold.length > 0 ? { oversold } : undefined;
+  },
+  'pending:cancelled': (tx, order) => {
+    inventory.release(tx, order.items);
+    releaseCoupon(tx, order);
+  },
+  'paid:refunded': (tx, order) => {
+    inventory.restock(tx, order.items);
+    tickets.voidTickets(tx, order);
+    releaseCoupon(tx, order);
+  },
+  'partially_refunded:refunded': (tx, order) => {
+    inventory.restock(tx, order.items);
+    tickets.voidTickets(tx, order);
+    releaseCoupon(tx, order);
+  }
+};
+
+// E-mail enviado ao cliente ao entrar em cada status
+const EMAILS = {
+  paid: 'order_paid',
+  expired: 'order_expired',
+  refunded: 'order_refunded',
+  partially_refunded: 'order_refunded'
+};
+
+// Carimbo de data gravado no pedido ao entrar em cada status
+const TIMESTAMPS = {
+  paid: 'paidAt',
+  expired: 'expiredAt',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt',
+  partially_refunded: 'refundedAt'
+};
+
+function allowedTransitions(from, { late = false } = {}) {
+  return [...(TRANSITIONS[from] || []), ...(late ? LATE_TRANSITIONS[from] || [] : [])];
+}
+
+function canTransition(from, to, options) {
+  return allowedTransitions(from, options).includes(to);
+}
+
+function historyEntry(from, to, actor, details = {}) {
+  return {
+    at: new Date().toISOString(),
+    from,
+    to,
+    actor: actor || SYSTEM_ACTOR,
+    ...details
+  };
+}
+
+// Aplica uma transição validando a máquina de estados (409 se inválida).
+// changes permite gravar campos extras no pedido na mesma transação;
+// late libera as transições de pagamento atrasado (LATE_TRANSITIONS).
+function transition(orderId, to, { actor, reason, changes = {}, details = {}, late = false } = {}) {
+  return db.store.transaction(tx => {
+    const order = tx.get(ORDERS, orderId);
+
+    if (!order) {
+      throw new HttpError(404, 'Pedido não encontrado');
+    }
+
+    const from = order.status;
+    if (!canTransition(from, to, { late })) {
+      throw new HttpError(409, `Transição inválida: ${from} → ${to}`, {
+        from,
+        to,
+        allowed: allowedTransitions(from, { late })
+      });
+    }
+
+    const effect = EFFECTS[`${from}:${to}`];
+    const effectChanges = effect ? effect(tx, order) : undefined;
+
+    const now = new Date().toISOString();
+
+    const updated = tx.update(ORDERS, orderId, {
+      ...changes,
+      ...effectChanges,
+      // Taxa da plataforma vigente no pagamento (base do repasse ao produtor)
+      ...(to === 'paid' && { fee: resolveFee(tx, order) }),
+      status: to,
+      [TIMESTAMPS[to]]: now,
+      updatedAt: now,
+      history: [
+        ...(order.history || []),
+        historyEntry(from, to, actor, { ...(reason && { reason }), ...details })
+      ]
+    });
+
+    recordKeyUsage(tx, order, updated);
+    if (EMAILS[to]) queueOrderEmail(tx, EMAILS[to], updated, details);
+    publishOrder(tx, 'order.status', updated, { from });
+
+    return updated;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// OPERAÇÕES
+// ═══════════════════════════════════════════════════════════════════
+
+// Impede que um mesmo cliente (CPF ou e-mail) segure estoque com vários pedidos em aberto
+function assertPendingLimit(tx, customer, now = new Date()) {
+  const pending = tx.list(ORDERS, o =>
+    o.status === 'pending' &&
+    new Date(o.expiresAt) > now &&
+    (o.customer.cpf === customer.cpf || o.customer.email === customer.email)
+  );
+
+  if (pending.length >= MAX_PENDING_PER_CUSTOMER) {
+    const nextExpiry = Math.min(...pending.map(o => new Date(o.expiresAt).getTime()));
+    throw new HttpError(429, 'Você já possui pedidos aguardando pagamento. Pague ou aguarde a expiração.', {
+      pendingOrders: pending.length,
+      retryAfter: Math.max(1, Math.ceil((nextExpiry - now.getTime()) / 1000))
+    });
+  }
+}
+
+// A chave foi escolhida fora da transação: confere de novo os limites contando os
+// pendentes, para que compras simultâneas não passem juntas do limite
+function assertKeyLimits(tx, order, now = new Date()) {
+  const pixKey = tx.get('pixKeys', order.pixKey.id);
+  if (!pixKey) return;
+
+  const usage = keyUsageFor(tx, now, { includePending: true });
+  if (!fitsLimits(pixKey, usage, order.totalCents)) {
+    throw new HttpError(409, 'A chave PIX escolhida atingiu o limite. Tente novamente');
+  }
+}
+
+function sameCart(a, b) {
+  const quantities = items => items
+    .map(item => `${item.ticketTypeId}:${item.quantity}`)
+    .sort()
+    .join(',');
+  return quantities(a.items) === quantities(b.items) &&
+    (a.coupon ? a.coupon.code : null) === (b.coupon ? b.coupon.code : null);
+}
+
+// Pedido pendente do mesmo cliente (CPF e e-mail) com o mesmo carrinho, criado há pouco:
+// clique duplo ou reenvio do app sem Idempotency-Key
+function findDuplicatePending(tx, order, now = new Date()) {
+  if (!DUPLICATE_WINDOW_MS) return null;
+
+  const since = now.getTime() - DUPLICATE_WINDOW_MS;
+  return tx.find(ORDERS, o =>
+    o.status === 'pending' &&
+    new Date(o.expiresAt) > now &&
+    new Date(o.createdAt).getTime() >= since &&
+    o.customer.cpf === order.customer.cpf &&
+    o.customer.email === order.customer.email &&
+    o.eventId === order.eventId &&
+    sameCart(o, order)
+  );
+}
+
+// Consulta antes de precificar: a compra repetida não deve passar de novo pelos limites
+// do cupom nem pelo rodízio de chaves. createOrder confere de novo dentro da transação.
+async function findDuplicateOrder(order) {
+  return findDuplicatePending(db.store, order);
+}
+
+// Grava o pedido, reserva os ingressos e registra o cupom atomicamente (409 se esgotado).
+// Devolve { order, created }: created = false quando um pedido igual recente foi reaproveitado
+async function createOrder(order, actor) {
+  return db.store.transaction(tx => {
+    const duplicate = findDuplicatePending(tx, order);
+    if (duplicate) return { order: duplicate, created: false };
+
+    assertPendingLimit(tx, order.customer);
+    assertKeyLimits(tx, order);
+    inventory.reserve(tx, order.items);
+    if (order.coupon) redeemCoupon(tx, order);
+    const created = tx.insert(ORDERS, {
+      ...order,
+      refundedCents: 0,
+      history: [historyEntry(null, order.status, actor || { type: 'customer' })]
+    });
+    queueOrderEmail(tx, 'order_created', created);
+    publishOrder(tx, 'order.created', created);
+    return { order: created, created: true };
+  });
+}
+
+// payment descreve a origem da confirmação (extrato, PSP...) e fica gravado no pedido.
+// late: a conciliação já conferiu a tolerância e pode confirmar pedido expirado.
+async function confirmOrder(orderId, actor, payment, { late = false } = {}) {
+  return transition(orderId, 'paid', {
+    actor,
+    late,
+    changes: payment ? { payment } : {}
+  });
+}
+
+async function cancelOrder(orderId, actor, reason) {
+  return transition(orderId, 'cancelled', { actor, reason });
+}
+
+async function expireOrder(orderId) {
+  return transition(orderId, 'expired', { actor: SYSTEM_ACTOR });
+}
+
+// Reembolso total (sem amountCents) ou parcial; acumula em refundedCents
+async function refundOrder(orderId, actor, { amountCents, reason } = {}) {
+  // Leitura e transição na mesma transação: dois reembolsos simultâneos não somam
+  // mais que o total do pedido
+  return db.store.transaction(tx => {
+    const order = tx.get(ORDERS, orderId);
+
+    if (!order) {
+      throw new HttpError(404, 'Pedido não encontrado');
+    }
+
+    const refundable = order.totalCents - (order.refundedCents || 0);
+    const amount = amountCents === undefined ? refundable : amountCents;
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new HttpError(400, 'amountCents deve ser um inteiro positivo em centavos');
+    }
+    if (amount > refundable) {
+      throw new HttpError(400, `Valor acima do reembolsável (${refundable} centavos)`);
+    }
+
+    const refundedCents = (order.refundedCents || 0) + amount;
+    const to = refundedCents === order.totalCents ? 'refunded' : 'partially_refunded';
+
+    return transition(orderId, to, {
+      actor,
+      reason,
+      changes: { refundedCents },
+      details: { amountCents: amount }
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EXPIRAÇÃO AUTOMÁTICA
+// ═══════════════════════════════════════════════════════════════════
+
+// Expira pedidos pendentes vencidos e libera os ingressos reservados.
+// Varre todos os produtores; cada pedido expira no contexto do seu produtor.
+async function sweepExpiredOrders(now = new Date()) {
+  lastSweepAt = now.getTime();
+
+  const stale = await runAsPlatform(() => db.orders.list(o =>
+    o.status === 'pending' && new Date(o.expiresAt) <= now
+  ));
+
+  for (const order of stale) {
+    try {
+      await runAsTenant(order.tenantId, () => expireOrder(order.id));
+      console.log('⌛ Pedido expirado:', order.code);
+    } catch (error) {
+      // Pode ter sido pago/cancelado entre a leitura e a expiração
+      if (!(error instanceof HttpError)) throw error;
+    }
+  }
+
+  return stale.length;
+}
+
+// Em ambientes sem processo contínuo (Vercel) a varredura roda sob demanda
+async function sweepIfDue() {
+  if (Date.now() - lastSweepAt >= SWEEP_INTERVAL_MS) {
+    await sweepExpiredOrders();
+  }
+}
+
+function startOrderSweeper() {
+  const timer = setInterval(() => {
+    sweepExpiredOrders().catch(error => console.error('Erro na varredura de pedidos:', error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  transition,
+  findDuplicateOrder,
+  createOrder,
+  confirmOrder,
+  cancelOrder,
+  expireOrder,
+  refundOrder,
+  sweepExpiredOrders,
+  sweepIfDue,
+  startOrderSweeper
+};
@@ -0,0 +1,33 @@
+// lib/paidOrders.js
+// Valores de pedidos pagos usados por relatórios, taxa, comissão e repasse:
+// o que foi pago menos o que foi reembolsado
+
+// Status de pedidos que chegaram a ser pagos (mesmo que depois reembolsados)
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+function isPaid(order) {
+  return PAID_STATUSES.includes(order.status);
+}
+
+function ticketCount(order) {
+  return order.items.reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// Valor pago menos o reembolsado (0 para pedidos não pagos)
+function netCents(order) {
+  return isPaid(order) ? order.totalCents - (order.refundedCents || 0) : 0;
+}
+
+// Valor fixo por ingresso proporcional ao que não foi reembolsado
+function perTicketNetCents(order, perTicketCents) {
+  if (!isPaid(order) || order.totalCents <= 0) return 0;
+  return Math.round(perTicketCents * ticketCount(order) * netCents(order) / order.totalCents);
+}
+
+module.exports = {
+  PAID_STATUSES,
+  isPaid,
+  ticketCount,
+  netCents,
+  perTicketNetCents
+};
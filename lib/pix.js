@@ -0,0 +1,138 @@
+// lib/pix.js
+// Geração do BR Code PIX estático ("copia e cola") e do QR Code
+
+const QRCode = require('qrcode');
+const { formatCents } = require('./money');
+
+const MERCHANT_CITY = process.env.PIX_MERCHANT_CITY || 'SAO PAULO';
+const MERCHANT_NAME = process.env.PIX_MERCHANT_NAME || '';
+
+// ═══════════════════════════════════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════════════════════════════════
+
+// Campo EMV: ID (2) + tamanho (2) + valor
+function emv(id, value) {
+  const size = String(value.length).padStart(2, '0');
+  return `${id}${size}${value}`;
+}
+
+// Remove acentos e caracteres fora do conjunto aceito pelo BR Code
+function sanitizeText(text, maxLength) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .,\-]/g, '')
+    .trim()
+    .substring(0, maxLength);
+}
+
+// CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF)
+function crc16(payload) {
+  let crc = 0xFFFF;
+
+  for (let i = 0; i < payload.length; i++) {
+    crc ^= payload.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+      crc &= 0xFFFF;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// Formata a chave como o DICT espera (CPF/CNPJ só dígitos, telefone +55...)
+function formatPixKey(key, type) {
+  const value = String(key).trim();
+
+  switch (type) {
+    case 'cpf':
+    case 'cnpj':
+      return /^[\d.\-\/]+$/.test(value) ? value.replace(/\D/g, '') : value;
+    case 'phone': {
+      if (value.startsWith('+')) return `+${value.replace(/\D/g, '')}`;
+      const digits = value.replace(/\D/g, '');
+      return digits.startsWith('55') && digits.length > 11 ? `+${digits}` : `+55${digits}`;
+    }
+    case 'email':
+      return value.toLowerCase();
+    default:
+      return value;
+  }
+}
+
+// txid do BR Code estático: apenas alfanuméricos, até 25 caracteres
+function toTxid(orderCode) {
+  return String(orderCode).replace(/[^A-Za-z0-9]/g, '').substring(0, 25) || '***';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// BR CODE
+// ═══════════════════════════════════════════════════════════════════
+
+// amountCents em centavos (inteiro); sem valor o pagador digita o montante.
+// Com location (cobrança dinâmica do PSP) a chave e o txid ficam na URL da cobrança.
+function buildPixPayload({ key, type, merchantName, merchantCity, amountCents, txid, location }) {
+  const merchantAccount = emv('00', 'br.gov.bcb.pix') +
+    (location ? emv('25', location) : emv('01', formatPixKey(key, type)));
+
+  let payload = emv('00', '01');
+
+  if (location) {
+    payload += emv('01', '12');
+  }
+
+  payload +=
+    emv('26', merchantAccount) +
+    emv('52', '0000') +
+    emv('53', '986');
+
+  if (Number.isInteger(amountCents) && amountCents > 0) {
+    payload += emv('54', formatCents(amountCents));
+  }
+
+  payload +=
+    emv('58', 'BR') +
+    emv('59', sanitizeText(merchantName || MERCHANT_NAME, 25) || 'RECEBEDOR') +
+    emv('60', sanitizeText(merchantCity || MERCHANT_CITY, 15) || 'BRASIL') +
+    emv('62', emv('05', (!location && txid) || '***'));
+
+  payload += '6304';
+  return payload + crc16(payload);
+}
+
+// Monta os dados PIX de um pedido (sem a imagem, que é gerada sob demanda)
+function buildOrderPix(order) {
+  const txid = toTxid(order.code);
+
+  return {
+    txid,
+    payload: buildPixPayload({
+      key: order.pixKey.key,
+      type: order.pixKey.type,
+      merchantName: MERCHANT_NAME || order.pixKey.name,
+      amountCents: order.totalCents,
+      txid
+    })
+  };
+}
+
+// QR Code em data URI (PNG por padrão, SVG com format = 'svg')
+async function generateQrCode(payload, format = 'png') {
+  if (format === 'svg') {
+    const svg = await QRCode.toString(payload, { type: 'svg', margin: 1 });
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+  }
+
+  return QRCode.toDataURL(payload, { margin: 1, width: 300 });
+}
+
+module.exports = {
+  buildPixPayload,
+  buildOrderPix,
+  generateQrCode,
+  formatPixKey,
+  toTxid,
+  crc16
+};
@@ -0,0 +1,80 @@
+// lib/pixKeyUsage.js
+// Volume recebido por chave PIX por dia (fuso de São Paulo), base dos limites diário e
+// mensal do roteamento. Atualizado a cada transição do pedido: conta o valor pago
+// menos o reembolsado, no dia do pagamento.
+
+const { zonedParts } = require('./time');
+const { netCents } = require('./paidOrders');
+
+const USAGE = 'pixKeyUsage';
+
+function addUsage(tx, order, deltaCents) {
+  const day = zonedParts(order.paidAt).date;
+  const id = `${order.pixKey.id}:${day}`;
+  const current = tx.get(USAGE, id);
+
+  if (current) {
+    tx.update(USAGE, id, { receivedCents: current.receivedCents + deltaCents });
+  } else {
+    tx.insert(USAGE, {
+      id,
+      tenantId: order.tenantId,
+      pixKeyId: order.pixKey.id,
+      day,
+      month: day.slice(0, 7),
+      receivedCents: deltaCents
+    });
+  }
+}
+
+// Diferença de valor recebido entre o pedido antes e depois da transição
+function recordKeyUsage(tx, before, after) {
+  const deltaCents = netCents(after) - netCents(before);
+  if (deltaCents === 0 || !after.pixKey || !after.paidAt) return;
+
+  addUsage(tx, after, deltaCents);
+}
+
+// Recalcula tudo a partir dos pedidos (migração)
+function rebuildKeyUsage(tx) {
+  tx.removeWhere(USAGE, () => true);
+
+  for (const order of tx.list('orders', o => o.pixKey && o.paidAt && netCents(o) !== 0)) {
+    addUsage(tx, order, netCents(order));
+  }
+}
+
+// { [pixKeyId]: { dailyCents, monthlyCents } } do dia e do mês de now. Com includePending,
+// os pedidos pendentes ainda no prazo entram no dia de now: o roteamento reserva o limite
+// para eles (o relatório mostra só o recebido)
+function keyUsageFor(reader, now = new Date(), { includePending = false } = {}) {
+  const today = zonedParts(now).date;
+  const month = today.slice(0, 7);
+  const usage = {};
+
+  const add = (pixKeyId, cents, isToday) => {
+    if (!usage[pixKeyId]) usage[pixKeyId] = { dailyCents: 0, monthlyCents: 0 };
+
+    usage[pixKeyId].monthlyCents += cents;
+    if (isToday) usage[pixKeyId].dailyCents += cents;
+  };
+
+  for (const row of reader.list(USAGE, u => u.month === month)) {
+    add(row.pixKeyId, row.receivedCents, row.day === today);
+  }
+
+  if (includePending) {
+    const pending = reader.list('orders', o =>
+      o.status === 'pending' && o.pixKey && new Date(o.expiresAt) > now
+    );
+    for (const order of pending) add(order.pixKey.id, order.totalCents, true);
+  }
+
+  return usage;
+}
+
+module.exports = {
+  recordKeyUsage,
+  rebuildKeyUsage,
+  keyUsageFor
+};
@@ -0,0 +1,225 @@
+// lib/pixRouting.js
+// Escolha da chave PIX que recebe cada pedido: estratégia (aleatória, ponderada
+// ou rodízio), limites diário/mensal, horários de funcionamento e chaves por evento
+
+const db = require('./db');
+const { HttpError } = require('./errors');
+const { zonedParts } = require('./time');
+const { isValidCents } = require('./money');
+const { keyUsageFor } = require('./pixKeyUsage');
+const { isPaid, netCents } = require('./paidOrders');
+
+const STRATEGIES = ['random', 'weighted', 'round_robin'];
+
+const ROUTING_DEFAULTS = {
+  strategy: 'random',
+  maxKeys: parseInt(process.env.PIX_MAX_KEYS, 10) || 5
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// CONFIGURAÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+async function getRoutingSettings() {
+  return db.settings.get('pixRouting', ROUTING_DEFAULTS);
+}
+
+async function updateRoutingSettings({ strategy, maxKeys }) {
+  const current = await getRoutingSettings();
+
+  if (strategy !== undefined && !STRATEGIES.includes(strategy)) {
+    throw new HttpError(400, `Estratégia inválida. Use: ${STRATEGIES.join(', ')}`);
+  }
+  if (maxKeys !== undefined && (!Number.isInteger(maxKeys) || maxKeys < 1)) {
+    throw new HttpError(400, 'maxKeys deve ser um inteiro positivo');
+  }
+
+  return db.settings.set('pixRouting', {
+    strategy: strategy === undefined ? current.strategy : strategy,
+    maxKeys: maxKeys === undefined ? current.maxKeys : maxKeys,
+    lastKeyId: current.lastKeyId || null
+  });
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Valida os campos de roteamento enviados no cadastro/edição da chave (lança HttpError 400)
+function normalizeRoutingFields(body) {
+  const fields = {};
+
+  if (body.weight !== undefined) {
+    if (!Number.isInteger(body.weight) || body.weight < 1) {
+      throw new HttpError(400, 'weight deve ser um inteiro positivo');
+    }
+    fields.weight = body.weight;
+  }
+
+  for (const field of ['dailyLimitCents', 'monthlyLimitCents']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && !isValidCents(body[field])) {
+      throw new HttpError(400, `${field} deve ser um inteiro em centavos ou null`);
+    }
+    fields[field] = body[field];
+  }
+
+  if (body.schedule !== undefined) {
+    if (body.schedule !== null && !Array.isArray(body.schedule)) {
+      throw new HttpError(400, 'schedule deve ser uma lista de janelas ou null');
+    }
+    for (const window of body.schedule || []) {
+      const validDays = Array.isArray(window.days) && window.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6);
+      if (!validDays || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+        throw new HttpError(400, 'Janela inválida em schedule: use { days: [0-6], start: "HH:MM", end: "HH:MM" }');
+      }
+    }
+    fields.schedule = body.schedule && body.schedule.length ? body.schedule : null;
+  }
+
+  if (body.eventIds !== undefined) {
+    if (!Array.isArray(body.eventIds) || body.eventIds.some(id => typeof id !== 'string')) {
+      throw new HttpError(400, 'eventIds deve ser uma lista de ids de evento');
+    }
+    fields.eventIds = body.eventIds;
+  }
+
+  return fields;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ELEGIBILIDADE
+// ═══════════════════════════════════════════════════════════════════
+
+// Sem schedule a chave está sempre ativa. Janelas com start > end cruzam a meia-noite.
+function isWithinSchedule(pixKey, now) {
+  if (!pixKey.schedule || pixKey.schedule.length === 0) return true;
+
+  const { weekday, hour, minute } = zonedParts(now);
+  const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+  return pixKey.schedule.some(window => {
+    if (!window.days.includes(weekday)) return false;
+    return window.start <= window.end
+      ? time >= window.start && time < window.end
+      : time >= window.start || time < window.end;
+  });
+}
+
+// Recebido no dia e no mês (fuso de São Paulo) por chave: pago menos reembolsado,
+// no dia do pagamento (ver lib/pixKeyUsage.js)
+async function getKeyUsage(now = new Date()) {
+  return keyUsageFor(db.store, now);
+}
+
+// Recebido mais os pedidos pendentes ainda no prazo: o que a chave já tem comprometido
+// com os limites (usado na seleção)
+async function getKeyCommitments(now = new Date()) {
+  return keyUsageFor(db.store, now, { includePending: true });
+}
+
+function fitsLimits(pixKey, usage, amountCents) {
+  const used = usage[pixKey.id] || { dailyCents: 0, monthlyCents: 0 };
+  if (pixKey.dailyLimitCents != null && used.dailyCents + amountCents > pixKey.dailyLimitCents) return false;
+  if (pixKey.monthlyLimitCents != null && used.monthlyCents + amountCents > pixKey.monthlyLimitCents) return false;
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SELEÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+function pickWeighted(keys) {
+  const total = keys.reduce((sum, k) => sum + (k.weight || 1), 0);
+  let roll = Math.random() * total;
+
+  for (const key of keys) {
+    roll -= key.weight || 1;
+    if (roll < 0) return key;
+  }
+  return keys[keys.length - 1];
+}
+
+// Próxima chave depois da última usada, na ordem de cadastro
+function pickRoundRobin(keys, lastKeyId) {
+  const ordered = [...keys].sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  const all = ordered.map(k => k.id);
+  const lastIndex = all.indexOf(lastKeyId);
+  return ordered[(lastIndex + 1) % ordered.length];
+}
+
+// Retorna a chave que deve receber o pedido, ou null se nenhuma estiver disponível
+async function selectPixKey({ eventId, amountCents }, now = new Date()) {
+  const settings = await getRoutingSettings();
+  const usage = await getKeyCommitments(now);
+
+  const available = (await db.pixKeys.listActive()).filter(k =>
+    isWithinSchedule(k, now) && fitsLimits(k, usage, amountCents)
+  );
+
+  // Chaves dedicadas ao evento têm prioridade sobre as gerais
+  const dedicated = available.filter(k => k.eventIds && k.eventIds.includes(eventId));
+  const general = available.filter(k => !k.eventIds || k.eventIds.length === 0);
+  const candidates = dedicated.length > 0 ? dedicated : general;
+
+  if (candidates.length === 0) return null;
+
+  let selected;
+  if (settings.strategy === 'weighted') {
+    selected = pickWeighted(candidates);
+  } else if (settings.strategy === 'round_robin') {
+    selected = pickRoundRobin(candidates, settings.lastKeyId);
+    await db.settings.set('pixRouting', { ...settings, lastKeyId: selected.id });
+  } else {
+    selected = candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  return selected;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RELATÓRIO
+// ═══════════════════════════════════════════════════════════════════
+
+// Volume por chave no período [from, to) (datas já validadas, ver parseAnalyticsQuery):
+// pedidos criados, recebido (pagos no período, menos reembolsos), pendente e uso dos limites
+async function buildKeyReport({ from, to }, now = new Date()) {
+  const inPeriod = value => Boolean(value) && new Date(value) >= from && new Date(value) < to;
+
+  const keys = await db.pixKeys.list();
+  const usage = await getKeyUsage(now);
+  const orders = await db.orders.list(o => inPeriod(o.createdAt) || inPeriod(o.paidAt));
+
+  return keys.map(key => {
+    const keyOrders = orders.filter(o => o.pixKey.id === key.id);
+    const created = keyOrders.filter(o => inPeriod(o.createdAt));
+    const paid = keyOrders.filter(o => isPaid(o) && inPeriod(o.paidAt));
+    const used = usage[key.id] || { dailyCents: 0, monthlyCents: 0 };
+
+    return {
+      id: key.id,
+      name: key.name,
+      type: key.type,
+      active: key.active,
+      weight: key.weight || 1,
+      eventIds: key.eventIds || [],
+      orders: created.length,
+      paidOrders: paid.length,
+      receivedCents: paid.reduce((sum, o) => sum + o.totalCents, 0),
+      refundedCents: paid.reduce((sum, o) => sum + (o.refundedCents || 0), 0),
+      netCents: paid.reduce((sum, o) => sum + netCents(o), 0),
+      pendingCents: created.filter(o => o.status === 'pending').reduce((sum, o) => sum + o.totalCents, 0),
+      today: { usedCents: used.dailyCents, limitCents: key.dailyLimitCents ?? null },
+      month: { usedCents: used.monthlyCents, limitCents: key.monthlyLimitCents ?? null },
+      withinSchedule: isWithinSchedule(key, now)
+    };
+  });
+}
+
+module.exports = {
+  STRATEGIES,
+  getRoutingSettings,
+  updateRoutingSettings,
+  normalizeRoutingFields,
+  fitsLimits,
+  selectPixKey,
+  buildKeyReport
+};
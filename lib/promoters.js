@@ -0,0 +1,163 @@
+// lib/promoters.js
+// Atribuição de marketing: UTM e código de promoter (afiliado) levados ao pedido,
+// regra de comissão congelada na compra e relatório de comissões a pagar
+
+const db = require('./db');
+const { normalizeCode } = require('./coupons');
+const { toReais } = require('./money');
+const { isPaid, ticketCount, netCents, perTicketNetCents } = require('./paidOrders');
+
+const COMMISSION_TYPES = ['percent', 'per_ticket'];
+
+const NONE = '(nenhum)';
+
+// ═══════════════════════════════════════════════════════════════════
+// ATRIBUIÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+function lower(value) {
+  return value ? String(value).trim().toLowerCase() : null;
+}
+
+// Promoter ativo com o código e que atua no evento (sem eventIds = todos)
+async function findPromoterFor(code, eventId) {
+  if (!code) return null;
+
+  const promoter = await db.promoters.findByCode(normalizeCode(code));
+  if (!promoter || !promoter.active) return null;
+  if (promoter.eventIds && promoter.eventIds.length > 0 && !promoter.eventIds.includes(eventId)) return null;
+
+  return promoter;
+}
+
+// UTM e promoter do corpo da compra; o que faltar vem da primeira visita da sessão.
+// Código desconhecido ou inativo fica registrado, mas sem comissão.
+async function resolveAttribution({ utm, promoterCode, sessionId, eventId }) {
+  const session = sessionId ? await db.analytics.getSession(sessionId) : null;
+  const fromBody = utm || {};
+
+  const code = promoterCode || (session && session.promoterCode) || null;
+  const promoter = await findPromoterFor(code, eventId);
+
+  const attribution = {
+    utmSource: lower(fromBody.source) || (session && session.utmSource) || null,
+    utmMedium: lower(fromBody.medium) || (session && session.utmMedium) || null,
+    utmCampaign: lower(fromBody.campaign) || (session && session.utmCampaign) || null,
+    utmTerm: lower(fromBody.term),
+    utmContent: lower(fromBody.content),
+    referrer: session ? session.referrer : null,
+    promoterCode: code ? normalizeCode(code) : null,
+    promoter: promoter && { id: promoter.id, code: promoter.code, name: promoter.name },
+    commission: promoter && { type: promoter.commissionType, value: promoter.commissionValue }
+  };
+
+  const empty = Object.values(attribution).every(value => value === null);
+  return empty ? null : attribution;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// COMISSÃO
+// ═══════════════════════════════════════════════════════════════════
+
+// Sobre o valor líquido de reembolsos: percentual do valor, ou valor fixo por
+// ingresso proporcional ao que não foi reembolsado
+function commissionCents(order) {
+  const commission = order.attribution && order.attribution.commission;
+  if (!commission || !isPaid(order) || order.totalCents <= 0) return 0;
+
+  if (commission.type === 'percent') {
+    return Math.round(netCents(order) * commission.value / 100);
+  }
+  return perTicketNetCents(order, commission.value);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RELATÓRIO
+// ═══════════════════════════════════════════════════════════════════
+
+function emptyTotals() {
+  return { orders: 0, tickets: 0, grossCents: 0, refundedCents: 0, revenueCents: 0, commissionCents: 0 };
+}
+
+function addOrder(totals, order) {
+  totals.orders++;
+  totals.tickets += ticketCount(order);
+  totals.grossCents += order.totalCents;
+  totals.refundedCents += order.refundedCents || 0;
+  totals.revenueCents += netCents(order);
+  totals.commissionCents += commissionCents(order);
+}
+
+function withReais(totals) {
+  return { ...totals, revenue: toReais(totals.revenueCents), commission: toReais(totals.commissionCents) };
+}
+
+// Pedidos pagos no período (pela data de pagamento) agrupados por promoter,
+// campanha e evento; pedidos sem promoter aparecem com promoter null
+async function buildCommissionReport({ from, to, eventId, promoterId }) {
+  const [orders, events, promoters] = await Promise.all([
+    db.orders.list(o => isPaid(o) && o.paidAt &&
+      new Date(o.paidAt) >= from && new Date(o.paidAt) < to &&
+      (!eventId || o.eventId === eventId) &&
+      (!promoterId || (o.attribution && o.attribution.promoter && o.attribution.promoter.id === promoterId))),
+    db.events.list(),
+    db.promoters.list()
+  ]);
+
+  const eventNames = new Map(events.map(e => [e.id, e.name]));
+  const promotersById = new Map(promoters.map(p => [p.id, p]));
+
+  const rows = new Map();
+  const byPromoter = new Map();
+  const totals = emptyTotals();
+
+  for (const order of orders) {
+    const attribution = order.attribution || {};
+    const promoter = attribution.promoter || null;
+    const campaign = attribution.utmCampaign || NONE;
+    const key = `${promoter ? promoter.id : ''}|${campaign}|${order.eventId}`;
+
+    if (!rows.has(key)) {
+      rows.set(key, {
+        promoterId: promoter ? promoter.id : null,
+        promoterCode: promoter ? promoter.code : null,
+        promoterName: promoter ? promoter.name : null,
+        campaign,
+        eventId: order.eventId,
+        eventName: eventNames.get(order.eventId) || null,
+        ...emptyTotals()
+      });
+    }
+    addOrder(rows.get(key), order);
+
+    if (promoter) {
+      if (!byPromoter.has(promoter.id)) {
+        const current = promotersById.get(promoter.id);
+        byPromoter.set(promoter.id, {
+          promoterId: promoter.id,
+          promoterCode: promoter.code,
+          promoterName: current ? current.name : promoter.name,
+          ...emptyTotals()
+        });
+      }
+      addOrder(byPromoter.get(promoter.id), order);
+    }
+
+    addOrder(totals, order);
+  }
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    rows: [...rows.values()].map(withReais).sort((a, b) => b.revenueCents - a.revenueCents),
+    promoters: [...byPromoter.values()].map(withReais).sort((a, b) => b.commissionCents - a.commissionCents),
+    totals: withReais(totals)
+  };
+}
+
+module.exports = {
+  COMMISSION_TYPES,
+  resolveAttribution,
+  commissionCents,
+  buildCommissionReport
+};
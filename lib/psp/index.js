@@ -0,0 +1,52 @@
+// lib/psp/index.js
+// Adaptadores de PSP (provedor de pagamento). Cada provedor implementa:
+//   name                          identificador gravado nos pedidos
+//   createCharge(order)           -> { chargeId, txid, location, payload }
+//   verifyWebhook({ rawBody, headers }) -> boolean
+//   parseWebhook(body)            -> [{ endToEndId, txid, valor, horario, chave }]
+
+const db = require('../db');
+
+const providers = {
+  mock: require('./mock')
+};
+
+// PSP_PROVIDER vazio = só BR Code estático (conciliação por extrato)
+function getProvider() {
+  const name = process.env.PSP_PROVIDER;
+  if (!name) return null;
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`PSP_PROVIDER inválido: ${name}`);
+  }
+  return provider;
+}
+
+// Substitui o BR Code estático do pedido pela cobrança dinâmica do PSP.
+// Se o PSP falhar o pedido continua com o BR Code estático.
+async function attachCharge(order) {
+  const provider = getProvider();
+  if (!provider) return order.pix;
+
+  try {
+    const charge = await provider.createCharge(order);
+    const pix = {
+      txid: charge.txid,
+      payload: charge.payload,
+      provider: provider.name,
+      chargeId: charge.chargeId,
+      location: charge.location,
+      staticPayload: order.pix.payload
+    };
+
+    await db.orders.update(order.id, { pix });
+    return pix;
+
+  } catch (error) {
+    console.error(`Erro ao criar cobrança no PSP ${provider.name}:`, error.message);
+    return order.pix;
+  }
+}
+
+module.exports = { providers, getProvider, attachCharge };
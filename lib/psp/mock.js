@@ -0,0 +1,77 @@
+// lib/psp/mock.js
+// PSP simulado para desenvolvimento: gera cobranças locais e webhooks assinados
+
+const crypto = require('crypto');
+const { buildPixPayload } = require('../pix');
+const { formatCents } = require('../money');
+
+const WEBHOOK_SECRET = process.env.PSP_WEBHOOK_SECRET || 'mock-webhook-secret';
+const BASE_LOCATION = 'pix.mock.local/v2/cob';
+
+function signBody(rawBody) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+}
+
+// Cobrança dinâmica (cob): txid de 32 caracteres alfanuméricos
+async function createCharge(order) {
+  const txid = order.id.replace(/-/g, '');
+  const location = `${BASE_LOCATION}/${txid}`;
+
+  return {
+    chargeId: txid,
+    txid,
+    location,
+    payload: buildPixPayload({
+      merchantName: order.pixKey.name,
+      amountCents: order.totalCents,
+      location
+    })
+  };
+}
+
+// Assinatura no header X-Webhook-Signature: sha256=<hex do HMAC do corpo bruto>
+function verifyWebhook({ rawBody, headers }) {
+  const header = String(headers['x-webhook-signature'] || '');
+  const signature = header.replace(/^sha256=/, '');
+  const expected = signBody(rawBody || '');
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Formato do webhook PIX do BACEN: { pix: [{ endToEndId, txid, valor, horario, chave }] }
+function parseWebhook(body) {
+  return (body && Array.isArray(body.pix) ? body.pix : []).map(pix => ({
+    endToEndId: pix.endToEndId,
+    txid: pix.txid,
+    valor: pix.valor,
+    horario: pix.horario,
+    chave: pix.chave
+  }));
+}
+
+// Monta um webhook de pagamento como o PSP enviaria (usado pela rota de simulação)
+function buildPaymentWebhook(order, { amountCents } = {}) {
+  const body = JSON.stringify({
+    pix: [{
+      endToEndId: `E${crypto.randomBytes(15).toString('hex').toUpperCase()}`.substring(0, 32),
+      txid: order.pix.txid,
+      valor: formatCents(amountCents === undefined ? order.totalCents : amountCents),
+      horario: new Date().toISOString(),
+      chave: order.pixKey.key
+    }]
+  });
+
+  return {
+    rawBody: body,
+    headers: { 'x-webhook-signature': `sha256=${signBody(body)}` }
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  createCharge,
+  verifyWebhook,
+  parseWebhook,
+  buildPaymentWebhook
+};
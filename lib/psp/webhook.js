@@ -0,0 +1,168 @@
+// lib/psp/webhook.js
+// Processamento dos webhooks PIX do PSP: assinatura, idempotência e confirmação
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { runAsTenant, runAsPlatform } = require('../db/scope');
+const { transition } = require('../orders');
+const { paidWithinGrace } = require('../reconciliation');
+const { parseAmountCents } = require('../statements');
+const { HttpError } = require('../errors');
+
+const ENTRIES = 'statementEntries';
+
+// Headers guardados no log (sem Authorization/cookies)
+const LOGGED_HEADERS = ['content-type', 'user-agent', 'x-webhook-signature', 'x-forwarded-for'];
+
+function pickHeaders(headers) {
+  return LOGGED_HEADERS.reduce((acc, name) => {
+    if (headers[name] !== undefined) acc[name] = headers[name];
+    return acc;
+  }, {});
+}
+
+// Chave como o PSP informa: e-mail em minúsculas; CPF, CNPJ e telefone sem pontuação
+function comparableKey(key) {
+  const value = String(key).trim().toLowerCase();
+  return value.includes('@') ? value : value.replace(/[^\w+]/g, '');
+}
+
+// Produtor do PIX sem pedido: o dono da chave que recebeu. Chave cadastrada em mais
+// de um produtor (ou desconhecida) deixa o crédito na fila da plataforma.
+async function tenantOfKey(receivingKey) {
+  if (!receivingKey) return null;
+
+  const wanted = comparableKey(receivingKey);
+  const keys = await db.pixKeys.list();
+  const tenants = new Set(keys.filter(k => comparableKey(k.key) === wanted).map(k => k.tenantId));
+
+  return tenants.size === 1 ? [...tenants][0] : null;
+}
+
+// Um PIX recebido: confirma o pedido ou manda para a fila de revisão da conciliação.
+// O endToEndId garante que reentregas do mesmo PIX não sejam processadas duas vezes:
+// a checagem, a confirmação e a entrada da conciliação ficam numa única transação.
+async function processPix(provider, pix, logId) {
+  const fingerprint = `psp:${provider.name}:${pix.endToEndId}`;
+
+  if (!pix.endToEndId || !pix.txid) {
+    return { endToEndId: pix.endToEndId, result: 'invalid' };
+  }
+
+  const amountCents = parseAmountCents(pix.valor);
+  const receivedAt = pix.horario ? new Date(pix.horario).toISOString() : new Date().toISOString();
+  const found = await db.orders.find(o => o.pix && o.pix.txid === pix.txid);
+
+  // O webhook chega sem produtor: a entrada da conciliação e a confirmação ficam no
+  // produtor do pedido ou, sem pedido, no dono da chave que recebeu
+  const tenantId = found ? found.tenantId : await tenantOfKey(pix.chave);
+
+  return runAsTenant(tenantId, () => db.store.transaction(tx => {
+    // Reentregas chegam sem produtor definido: procura em todos
+    if (runAsPlatform(() => tx.find(ENTRIES, e => e.fingerprint === fingerprint))) {
+      return { endToEndId: pix.endToEndId, result: 'duplicate' };
+    }
+
+    // Relido na transação: o status pode ter mudado desde a busca acima
+    const order = found && tx.get('orders', found.id);
+
+    const entry = {
+      id: uuidv4(),
+      importId: null,
+      source: 'psp',
+      provider: provider.name,
+      webhookLogId: logId,
+      fingerprint,
+      fitId: pix.endToEndId,
+      postedAt: receivedAt,
+      amountCents,
+      description: `PIX ${pix.txid}`,
+      receivingKey: pix.chave || null,
+      status: 'review',
+      reason: null,
+      candidates: order ? [order.id] : [],
+      orderId: null,
+      createdAt: new Date().toISOString()
+    };
+
+    // Pedido já confirmado por este mesmo PIX (sem a entrada da conciliação): nada a refazer
+    const confirmedByThis = order && order.payment && order.payment.endToEndId === pix.endToEndId;
+
+    // Pedido já expirado ainda é confirmado se o PIX foi recebido dentro da tolerância
+    if (!order) entry.reason = 'unmatched';
+    else if (confirmedByThis) entry.reason = null;
+    else if (!['pending', 'expired'].includes(order.status)) entry.reason = 'order_not_pending';
+    else if (order.status === 'expired' && !paidWithinGrace(order, receivedAt)) entry.reason = 'outside_window';
+    else if (order.totalCents !== amountCents) entry.reason = 'amount_mismatch';
+
+    if (!entry.reason) {
+      const confirmed = confirmedByThis ? order : transition(order.id, 'paid', {
+        actor: { type: 'psp', provider: provider.name },
+        late: true,
+        changes: {
+          payment: {
+            method: 'pix',
+            source: 'psp',
+            provider: provider.name,
+            endToEndId: pix.endToEndId,
+            amountCents,
+            receivedAt
+          }
+        }
+      });
+
+      Object.assign(entry, { status: 'matched', orderId: order.id, matchedBy: 'txid', resolvedAt: entry.createdAt });
+      console.log('⚡ Pagamento confirmado via PSP:', order.code);
+      if (confirmed.oversold) console.log('⚠️  Pedido pago após expiração sem estoque:', order.code);
+    } else {
+      console.log('⚠️  PIX do PSP para revisão:', pix.txid, entry.reason);
+    }
+
+    tx.insert(ENTRIES, entry);
+
+    return {
+      endToEndId: pix.endToEndId,
+      result: entry.status,
+      ...(entry.reason && { reason: entry.reason })
+    };
+  }));
+}
+
+// Registra o corpo bruto, valida a assinatura e processa cada PIX da notificação
+async function handlePixWebhook(provider, { rawBody, headers, body }) {
+  const log = await db.webhookLogs.create({
+    id: uuidv4(),
+    provider: provider.name,
+    receivedAt: new Date().toISOString(),
+    headers: pickHeaders(headers),
+    rawBody,
+    signatureValid: null,
+    results: null
+  });
+
+  const signatureValid = provider.verifyWebhook({ rawBody, headers });
+
+  if (!signatureValid) {
+    await db.webhookLogs.update(log.id, { signatureValid: false });
+    throw new HttpError(401, 'Assinatura do webhook inválida');
+  }
+
+  await db.webhookLogs.update(log.id, { signatureValid: true });
+
+  // Com erro no meio, o log guarda o que já foi processado e o PSP reenvia a notificação
+  // (os PIX já gravados voltam como duplicate)
+  const results = [];
+  try {
+    for (const pix of provider.parseWebhook(body)) {
+      results.push(await processPix(provider, pix, log.id));
+    }
+  } catch (error) {
+    await db.webhookLogs.update(log.id, { results, error: error.message });
+    throw error;
+  }
+
+  await db.webhookLogs.update(log.id, { results });
+  return results;
+}
+
+module.exports = { handlePixWebhook };
@@ -0,0 +1,82 @@
+// lib/rateLimit.js
+// Limite de requisições por janela fixa (memória do processo), por IP ou por cliente
+
+const { HttpError, sendError } = require('./errors');
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const buckets = new Map();
+let lastCleanupAt = Date.now();
+
+// "10/1m" = 10 requisições por minuto; "0" ou "off" desativa
+function parseLimit(spec, fallback) {
+  const value = String(spec || fallback).trim();
+  if (value === '0' || value === 'off') return null;
+
+  const match = value.match(/^(\d+)\/(\d+)([smh])$/);
+  if (!match) {
+    throw new Error(`Limite inválido: "${value}" (use o formato 10/1m)`);
+  }
+
+  return { max: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+}
+
+function cleanup(now) {
+  if (now - lastCleanupAt < CLEANUP_INTERVAL_MS) return;
+  lastCleanupAt = now;
+
+  for (const [key, bucket] of buckets) {
+    if (bucket.resetAt <= now) buckets.delete(key);
+  }
+}
+
+// Conta uma requisição; retorna os segundos de espera quando o limite estourou
+function hit(key, { max, windowMs }, now = Date.now()) {
+  cleanup(now);
+
+  let bucket = buckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    buckets.set(key, bucket);
+  }
+
+  bucket.count++;
+  return bucket.count > max ? Math.ceil((bucket.resetAt - now) / 1000) : 0;
+}
+
+// IPv4 mapeado em IPv6 (::ffff:1.2.3.4) vira o IPv4 puro
+function clientIp(req) {
+  return String(req.ip || req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+// Middleware: keys(req) devolve as identidades contadas (ex.: IP, CPF, e-mail);
+// todas são contadas e a maior espera é devolvida no Retry-After
+function rateLimit(name, limit, keys = req => [`ip:${clientIp(req)}`]) {
+  return (req, res, next) => {
+    if (!limit) return next();
+
+    const retryAfter = Math.max(0, ...keys(req)
+      .filter(Boolean)
+      .map(key => hit(`${name}:${key}`, limit)));
+
+    if (retryAfter > 0) {
+      console.log('🚦 Limite excedido:', name, clientIp(req));
+      return sendError(res, new HttpError(429, `Muitas requisições. Tente novamente em ${retryAfter}s`, { retryAfter }));
+    }
+
+    next();
+  };
+}
+
+function resetRateLimits() {
+  buckets.clear();
+}
+
+module.exports = {
+  parseLimit,
+  hit,
+  clientIp,
+  rateLimit,
+  resetRateLimits
+};
@@ -0,0 +1,204 @@
+// lib/realtime.js
+// Atualizações em tempo real por Server-Sent Events: pedidos, pagamentos e check-ins.
+// Os eventos são gravados com número sequencial (id do SSE) na mesma transação da
+// alteração, o que permite reenviar o que se perdeu na reconexão (Last-Event-ID).
+// A entrega ao vivo é por processo: cada instância avisa só as conexões abertas nela.
+// Cada conexão recebe só os eventos do produtor em que foi aberta.
+
+const db = require('./db');
+const { currentTenantId, runAsPlatform } = require('./db/scope');
+const { isPaid, netCents } = require('./paidOrders');
+
+const STREAM = 'streamEvents';
+const SEQ_META = 'streamSeq';
+
+// Quantos eventos ficam guardados para reenvio (somando todos os produtores)
+const RETENTION = parseInt(process.env.SSE_RETENTION, 10) || 1000;
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25 * 1000;
+// Conexão encerrada depois desse tempo (limite de funções serverless); o navegador reconecta
+const MAX_DURATION_MS = parseInt(process.env.SSE_MAX_DURATION_MS, 10) || 5 * 60 * 1000;
+const RETRY_MS = 3000;
+
+const subscribers = new Set();
+let lastDeliveredSeq = db.store.getMeta(SEQ_META) || 0;
+let flushScheduled = false;
+
+// ═══════════════════════════════════════════════════════════════════
+// PUBLICAÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+// Grava o evento na transação; a entrega acontece depois do commit
+// (se a transação for desfeita, o evento some junto)
+function publish(tx, type, data, { orderId = null, eventId = null } = {}) {
+  const seq = (tx.getMeta(SEQ_META) || 0) + 1;
+  tx.setMeta(SEQ_META, seq);
+
+  tx.insert(STREAM, { id: String(seq), seq, type, orderId, eventId, at: new Date().toISOString(), data });
+
+  // A sequência é global: o descarte vale para os eventos de todos os produtores
+  if (seq % 100 === 0) {
+    runAsPlatform(() => tx.removeWhere(STREAM, e => e.seq <= seq - RETENTION));
+  }
+
+  scheduleFlush();
+}
+
+function publishOrder(tx, type, order, extra = {}) {
+  publish(tx, type, {
+    orderId: order.id,
+    code: order.code,
+    eventId: order.eventId,
+    status: order.status,
+    totalCents: order.totalCents,
+    customerName: order.customer.name,
+    ...extra
+  }, { orderId: order.id, eventId: order.eventId });
+}
+
+function publishCheckin(tx, record) {
+  publish(tx, 'checkin', {
+    ticketId: record.ticketId,
+    eventId: record.eventId,
+    result: record.result,
+    reason: record.reason || null,
+    gate: record.gate,
+    holderName: record.holderName || null,
+    title: record.title || null,
+    scannedAt: record.scannedAt
+  }, { eventId: record.eventId });
+}
+
+function scheduleFlush() {
+  if (flushScheduled) return;
+  flushScheduled = true;
+  // Fora do contexto de quem publicou: a entrega vê os eventos de todos os produtores
+  setImmediate(() => runAsPlatform(flush));
+}
+
+// Entrega os eventos novos e, para a equipe, os contadores dos eventos afetados
+function flush() {
+  flushScheduled = false;
+  if (subscribers.size === 0) {
+    lastDeliveredSeq = db.store.getMeta(SEQ_META) || 0;
+    return;
+  }
+
+  const events = db.store.list(STREAM, e => e.seq > lastDeliveredSeq).sort((a, b) => a.seq - b.seq);
+  if (events.length === 0) return;
+  lastDeliveredSeq = events[events.length - 1].seq;
+
+  const touched = new Map(events.filter(e => e.eventId).map(e => [e.eventId, e.tenantId]));
+  const stats = [...touched].map(([eventId, tenantId]) => ({ tenantId, snapshot: eventStats(db.store, eventId) }));
+
+  for (const subscriber of subscribers) {
+    for (const event of events) {
+      if (subscriber.filter(event)) subscriber.send(event);
+    }
+    if (subscriber.withStats) {
+      for (const { tenantId, snapshot } of stats) {
+        if (subscriber.filter({ eventId: snapshot.eventId, type: 'event.stats', tenantId })) {
+          subscriber.write('event.stats', snapshot);
+        }
+      }
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CONTADORES
+// ═══════════════════════════════════════════════════════════════════
+
+// reader é o store ou uma transação
+function eventStats(reader, eventId) {
+  const orders = reader.list('orders', o => o.eventId === eventId);
+  const paid = orders.filter(isPaid);
+  const tickets = reader.list('tickets', t => t.eventId === eventId && t.status === 'valid');
+
+  return {
+    eventId,
+    pendingOrders: orders.filter(o => o.status === 'pending').length,
+    paidOrders: paid.length,
+    ticketsSold: tickets.length,
+    checkedIn: tickets.filter(t => t.checkinId).length,
+    revenueCents: paid.reduce((sum, o) => sum + netCents(o), 0),
+    at: new Date().toISOString()
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CONEXÃO SSE
+// ═══════════════════════════════════════════════════════════════════
+
+function parseLastEventId(req) {
+  const value = req.get('last-event-id') || req.query.lastEventId;
+  const seq = parseInt(value, 10);
+  return Number.isInteger(seq) && seq >= 0 ? seq : null;
+}
+
+// Abre o stream: reenvia o que o cliente perdeu (ou avisa com 'reset' se o histórico
+// já foi descartado), envia o estado inicial e passa a entregar os eventos novos.
+// filter(evento) decide o que a conexão recebe; withStats inclui os contadores por evento.
+function openStream(req, res, { filter: accepts, snapshot = null, withStats = false }) {
+  const tenantId = currentTenantId();
+  const filter = event => (!tenantId || event.tenantId === tenantId) && accepts(event);
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (type, data, id) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const currentSeq = db.store.getMeta(SEQ_META) || 0;
+  const lastEventId = parseLastEventId(req);
+
+  // lastSeq evita repetir um evento reenviado que também chega pela entrega ao vivo
+  let lastSeq = lastEventId === null ? currentSeq : Math.min(lastEventId, currentSeq);
+  const send = event => {
+    if (event.seq <= lastSeq) return;
+    lastSeq = event.seq;
+    write(event.type, { ...event.data, at: event.at }, event.seq);
+  };
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (lastEventId !== null) {
+    // Lacuna conferida no log de todos os produtores: a sequência é global, então os
+    // eventos de outro produtor não indicam histórico descartado; o filtro escolhe o reenvio
+    const missed = runAsPlatform(() => db.store.list(STREAM, e => e.seq > lastSeq))
+      .sort((a, b) => a.seq - b.seq);
+    const oldest = missed.length > 0 ? missed[0].seq : currentSeq + 1;
+
+    // Histórico descartado, ou id de outra base (maior que o último gravado)
+    if (oldest > lastSeq + 1 || lastEventId > currentSeq) {
+      write('reset', { message: 'Histórico indisponível: recarregue o estado completo' });
+    }
+    missed.filter(filter).forEach(send);
+  }
+
+  if (snapshot) write('snapshot', snapshot);
+
+  const subscriber = { filter, send, write, withStats };
+  subscribers.add(subscriber);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const timeout = setTimeout(() => res.end(), MAX_DURATION_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+    subscribers.delete(subscriber);
+  });
+}
+
+module.exports = {
+  publish,
+  publishOrder,
+  publishCheckin,
+  eventStats,
+  openStream
+};
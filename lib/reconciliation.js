@@ -0,0 +1,252 @@
+// lib/reconciliation.js
+// Conciliação de extratos: casa créditos PIX com pedidos pendentes (ou expirados há
+// menos que a tolerância) e confirma automaticamente; o que for ambíguo ou sem par vai
+// para a fila de revisão
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { parseStatement } = require('./statements');
+const { formatPixKey } = require('./pix');
+const { confirmOrder } = require('./orders');
+const { HttpError } = require('./errors');
+
+// Tolerância após expiresAt (crédito pode cair com atraso) e antes de createdAt (relógios)
+const GRACE_MINUTES = parseInt(process.env.RECONCILIATION_GRACE_MINUTES, 10) || 60;
+const EARLY_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Pedidos que um crédito ainda pode pagar (expirado só dentro da tolerância)
+const PAYABLE_STATUSES = ['pending', 'expired'];
+
+const REVIEW_REASONS = {
+  unmatched: 'Nenhum pedido corresponde ao crédito',
+  ambiguous: 'Mais de um pedido corresponde ao crédito',
+  amount_mismatch: 'Valor diferente do pedido',
+  key_mismatch: 'Crédito recebido em outra chave PIX',
+  outside_window: 'Crédito fora da janela do pedido',
+  order_not_pending: 'Pedido não aguarda pagamento (pago, cancelado ou reembolsado)'
+};
+
+function alnum(text) {
+  return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function keyMatches(order, entry, pixKeyId) {
+  if (pixKeyId && order.pixKey.id !== pixKeyId) return false;
+  if (!entry.receivingKey) return true;
+
+  const received = entry.receivingKey.trim();
+  return received === order.pixKey.key
+    || formatPixKey(received, order.pixKey.type) === formatPixKey(order.pixKey.key, order.pixKey.type);
+}
+
+// Crédito recebido até GRACE_MINUTES depois da expiração do pedido
+function paidWithinGrace(order, receivedAt) {
+  return new Date(receivedAt).getTime() <= new Date(order.expiresAt).getTime() + GRACE_MINUTES * 60 * 1000;
+}
+
+function withinWindow(order, entry) {
+  const postedAt = new Date(entry.postedAt).getTime();
+  const start = new Date(order.createdAt).getTime() - EARLY_TOLERANCE_MS;
+  return postedAt >= start && paidWithinGrace(order, entry.postedAt);
+}
+
+// Decide o destino de um crédito: { orderId } para confirmar, ou { reason, candidates } para revisão
+function matchEntry(entry, orders, pixKeyId) {
+  const description = alnum(entry.description);
+
+  // 1) txid / código do pedido no histórico do lançamento
+  const byTxid = orders.filter(o => o.pix && description.includes(alnum(o.pix.txid)));
+
+  if (byTxid.length === 1) {
+    const order = byTxid[0];
+    let reason = null;
+
+    // Já confirmado pelo PSP: o extrato só comprova o crédito
+    if (order.status === 'paid' && order.payment?.source === 'psp' && order.totalCents === entry.amountCents) {
+      return { orderId: order.id, matchedBy: 'txid', alreadyPaid: true };
+    }
+
+    if (!PAYABLE_STATUSES.includes(order.status)) reason = 'order_not_pending';
+    else if (order.totalCents !== entry.amountCents) reason = 'amount_mismatch';
+    else if (!keyMatches(order, entry, pixKeyId)) reason = 'key_mismatch';
+    else if (!withinWindow(order, entry)) reason = 'outside_window';
+
+    return reason
+      ? { reason, candidates: [order.id] }
+      : { orderId: order.id, matchedBy: 'txid' };
+  }
+
+  // 2) Sem txid: valor exato + chave + janela, entre pedidos pendentes ou recém-expirados
+  const candidates = orders.filter(o =>
+    PAYABLE_STATUSES.includes(o.status) &&
+    o.totalCents === entry.amountCents &&
+    keyMatches(o, entry, pixKeyId) &&
+    withinWindow(o, entry)
+  );
+
+  if (candidates.length === 1) {
+    return { orderId: candidates[0].id, matchedBy: 'amount' };
+  }
+
+  return {
+    reason: candidates.length > 1 ? 'ambiguous' : 'unmatched',
+    candidates: candidates.map(o => o.id)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// IMPORTAÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+async function importStatement(content, { format, pixKeyId, fileName, actor }) {
+  let parsed;
+  try {
+    parsed = parseStatement(content, format);
+  } catch (error) {
+    throw new HttpError(400, `Extrato inválido: ${error.message}`);
+  }
+
+  if (pixKeyId && !await db.pixKeys.get(pixKeyId)) {
+    throw new HttpError(404, 'Chave PIX não encontrada');
+  }
+
+  const statementImport = await db.reconciliation.createImport({
+    id: uuidv4(),
+    format: parsed.format,
+    fileName: fileName || null,
+    pixKeyId: pixKeyId || null,
+    importedAt: new Date().toISOString(),
+    importedBy: actor,
+    summary: null
+  });
+
+  const summary = { credits: 0, matched: 0, review: 0, duplicates: 0, debits: 0, invalid: parsed.invalid };
+
+  for (const entry of parsed.entries) {
+    if (entry.amountCents <= 0) {
+      summary.debits++;
+      continue;
+    }
+
+    summary.credits++;
+
+    if (await db.reconciliation.findEntryByFingerprint(entry.fingerprint)) {
+      summary.duplicates++;
+      continue;
+    }
+
+    // Recarrega a cada crédito: confirmações anteriores do mesmo extrato mudam o status
+    const orders = await db.orders.list(o => o.pix && o.status !== 'refunded');
+    const result = matchEntry(entry, orders, pixKeyId);
+
+    const record = {
+      id: uuidv4(),
+      importId: statementImport.id,
+      source: 'statement',
+      ...entry,
+      status: 'review',
+      reason: result.reason || null,
+      candidates: result.candidates || [],
+      orderId: null,
+      createdAt: new Date().toISOString()
+    };
+
+    if (result.alreadyPaid) {
+      Object.assign(record, { status: 'matched', orderId: result.orderId, matchedBy: 'psp', resolvedAt: record.createdAt });
+      summary.matched++;
+    } else if (result.orderId) {
+      const order = await confirmOrder(result.orderId, { type: 'reconciliation', importId: statementImport.id }, {
+        method: 'pix',
+        source: 'statement',
+        entryId: record.id,
+        amountCents: entry.amountCents,
+        receivedAt: entry.postedAt
+      }, { late: true });
+
+      Object.assign(record, { status: 'matched', orderId: order.id, matchedBy: result.matchedBy, resolvedAt: record.createdAt });
+      summary.matched++;
+      console.log('🏦 Pagamento conciliado:', order.code);
+      if (order.oversold) console.log('⚠️  Pedido pago após expiração sem estoque:', order.code);
+    } else {
+      summary.review++;
+    }
+
+    await db.reconciliation.createEntry(record);
+  }
+
+  return db.reconciliation.updateImport(statementImport.id, { summary });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// FILA DE REVISÃO
+// ═══════════════════════════════════════════════════════════════════
+
+async function getReviewEntry(entryId) {
+  const entry = await db.reconciliation.getEntry(entryId);
+
+  if (!entry) {
+    throw new HttpError(404, 'Lançamento não encontrado');
+  }
+  if (entry.status !== 'review') {
+    throw new HttpError(409, `Lançamento já resolvido (status: ${entry.status})`);
+  }
+
+  return entry;
+}
+
+// Casamento manual: confirma o pedido escolhido pela equipe
+async function manualMatch(entryId, orderIdOrCode, actor) {
+  const entry = await getReviewEntry(entryId);
+  const order = await db.orders.findByIdOrCode(orderIdOrCode);
+
+  if (!order) {
+    throw new HttpError(404, 'Pedido não encontrado');
+  }
+
+  if (order.status === 'expired' && !paidWithinGrace(order, entry.postedAt)) {
+    throw new HttpError(409, 'Pedido expirado e crédito fora da tolerância de conciliação', {
+      expiresAt: order.expiresAt,
+      postedAt: entry.postedAt,
+      graceMinutes: GRACE_MINUTES
+    });
+  }
+
+  const confirmed = await confirmOrder(order.id, actor, {
+    method: 'pix',
+    source: 'statement',
+    entryId: entry.id,
+    amountCents: entry.amountCents,
+    receivedAt: entry.postedAt
+  }, { late: true });
+
+  if (confirmed.oversold) console.log('⚠️  Pedido pago após expiração sem estoque:', confirmed.code);
+
+  return db.reconciliation.updateEntry(entry.id, {
+    status: 'matched',
+    orderId: order.id,
+    matchedBy: 'manual',
+    amountDifferenceCents: entry.amountCents - order.totalCents,
+    resolvedBy: actor,
+    resolvedAt: new Date().toISOString()
+  });
+}
+
+async function rejectEntry(entryId, actor, note) {
+  const entry = await getReviewEntry(entryId);
+
+  return db.reconciliation.updateEntry(entry.id, {
+    status: 'rejected',
+    note: note || null,
+    resolvedBy: actor,
+    resolvedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  REVIEW_REASONS,
+  paidWithinGrace,
+  matchEntry,
+  importStatement,
+  manualMatch,
+  rejectEntry
+};
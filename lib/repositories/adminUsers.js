@@ -0,0 +1,45 @@
+// lib/repositories/adminUsers.js
+// Repositório de usuários administrativos
+
+const COLLECTION = 'adminUsers';
+
+function createAdminUserRepository(store) {
+  return {
+    async list() {
+      return store.list(COLLECTION);
+    },
+
+    async get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    async findByEmail(email) {
+      const normalized = String(email).trim().toLowerCase();
+      return store.find(COLLECTION, u => u.email === normalized);
+    },
+
+    // Super-admin da plataforma (sem produtor); ler fora do contexto de produtor
+    async findPlatformAdmin(email, role) {
+      const normalized = String(email).trim().toLowerCase();
+      return store.find(COLLECTION, u => u.email === normalized && u.role === role && !u.tenantId);
+    },
+
+    async count(filter) {
+      return store.count(COLLECTION, filter);
+    },
+
+    async create(user) {
+      return store.insert(COLLECTION, user);
+    },
+
+    async update(id, patch) {
+      return store.update(COLLECTION, id, patch);
+    },
+
+    async remove(id) {
+      return store.remove(COLLECTION, id);
+    }
+  };
+}
+
+module.exports = createAdminUserRepository;
@@ -0,0 +1,39 @@
+// lib/repositories/analytics.js
+// Repositório de analytics: log de eventos só de inclusão (lib/db/eventLog.js, fora da
+// base transacional) e os agregados por hora gravados com ele por lib/analyticsRollups.js
+
+const { createRollupIndex } = require('../analyticsRollups');
+
+function createAnalyticsRepository(log) {
+  const rollups = createRollupIndex(log);
+
+  return {
+    // Grava o evento e atualiza os agregados
+    async record(event) {
+      return rollups.record(event);
+    },
+
+    // Eventos do período [from, to)
+    async list(range, filter) {
+      return log.list(range, filter);
+    },
+
+    // Agregados das horas do período [from, to)
+    async listRollups(range, filter) {
+      return rollups.list(range, filter);
+    },
+
+    // Origem (referrer/UTM/promoter) da sessão
+    async getSession(id) {
+      return rollups.getSession(id);
+    },
+
+    // Apenas para testes (POST /api/analytics/reset)
+    async reset() {
+      await log.removeWhere(() => true);
+      rollups.clear();
+    }
+  };
+}
+
+module.exports = createAnalyticsRepository;
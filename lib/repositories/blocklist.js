@@ -0,0 +1,26 @@
+// lib/repositories/blocklist.js
+// Bloqueios de IP, CPF e e-mail gerenciados pelo painel
+
+const COLLECTION = 'blocklist';
+
+function createBlocklistRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COLLECTION, filter);
+    },
+
+    async find(filter) {
+      return store.find(COLLECTION, filter);
+    },
+
+    async create(entry) {
+      return store.insert(COLLECTION, entry);
+    },
+
+    async remove(id) {
+      return store.remove(COLLECTION, id);
+    }
+  };
+}
+
+module.exports = createBlocklistRepository;
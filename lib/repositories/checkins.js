@@ -0,0 +1,22 @@
+// lib/repositories/checkins.js
+// Repositório de leituras de ingressos na portaria
+
+const COLLECTION = 'checkins';
+
+function createCheckinRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COLLECTION, filter);
+    },
+
+    async listByEvent(eventId) {
+      return store.list(COLLECTION, c => c.eventId === eventId);
+    },
+
+    async count(filter) {
+      return store.count(COLLECTION, filter);
+    }
+  };
+}
+
+module.exports = createCheckinRepository;
@@ -0,0 +1,39 @@
+// lib/repositories/coupons.js
+// Repositório de cupons de desconto e seus resgates
+
+const COUPONS = 'coupons';
+const REDEMPTIONS = 'couponRedemptions';
+
+function createCouponRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COUPONS, filter);
+    },
+
+    async get(id) {
+      return store.get(COUPONS, id);
+    },
+
+    async findByCode(code) {
+      return store.find(COUPONS, c => c.code === code);
+    },
+
+    async create(coupon) {
+      return store.insert(COUPONS, coupon);
+    },
+
+    async update(id, patch) {
+      return store.update(COUPONS, id, patch);
+    },
+
+    async remove(id) {
+      return store.remove(COUPONS, id);
+    },
+
+    async listRedemptions(filter) {
+      return store.list(REDEMPTIONS, filter);
+    }
+  };
+}
+
+module.exports = createCouponRepository;
@@ -0,0 +1,30 @@
+// lib/repositories/events.js
+// Repositório de eventos do catálogo
+
+const COLLECTION = 'events';
+
+function createEventRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COLLECTION, filter);
+    },
+
+    async get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    async create(event) {
+      return store.insert(COLLECTION, event);
+    },
+
+    async update(id, patch) {
+      return store.update(COLLECTION, id, patch);
+    },
+
+    async remove(id) {
+      return store.remove(COLLECTION, id);
+    }
+  };
+}
+
+module.exports = createEventRepository;
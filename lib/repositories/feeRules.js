@@ -0,0 +1,35 @@
+// lib/repositories/feeRules.js
+// Repositório das taxas da plataforma por produtor (padrão) e por evento
+
+const FEE_RULES = 'feeRules';
+
+function createFeeRuleRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(FEE_RULES, filter);
+    },
+
+    async get(id) {
+      return store.get(FEE_RULES, id);
+    },
+
+    // eventId null = regra padrão do produtor
+    async findFor(tenantId, eventId) {
+      return store.find(FEE_RULES, r => r.tenantId === tenantId && r.eventId === (eventId || null));
+    },
+
+    async create(rule) {
+      return store.insert(FEE_RULES, rule);
+    },
+
+    async update(id, patch) {
+      return store.update(FEE_RULES, id, patch);
+    },
+
+    async remove(id) {
+      return store.remove(FEE_RULES, id);
+    }
+  };
+}
+
+module.exports = createFeeRuleRepository;
@@ -0,0 +1,39 @@
+// lib/repositories/orders.js
+// Repositório de pedidos
+
+const COLLECTION = 'orders';
+
+function createOrderRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COLLECTION, filter);
+    },
+
+    async get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    // Aceita tanto o UUID quanto o código GM-...
+    async findByIdOrCode(idOrCode) {
+      return store.find(COLLECTION, o => o.id === idOrCode || o.code === idOrCode);
+    },
+
+    async find(filter) {
+      return store.find(COLLECTION, filter);
+    },
+
+    async count(filter) {
+      return store.count(COLLECTION, filter);
+    },
+
+    async create(order) {
+      return store.insert(COLLECTION, order);
+    },
+
+    async update(id, patch) {
+      return store.update(COLLECTION, id, patch);
+    }
+  };
+}
+
+module.exports = createOrderRepository;
@@ -0,0 +1,22 @@
+// lib/repositories/outbox.js
+// Fila de e-mails transacionais aguardando envio
+
+const COLLECTION = 'outbox';
+
+function createOutboxRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COLLECTION, filter);
+    },
+
+    async get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    async update(id, patch) {
+      return store.update(COLLECTION, id, patch);
+    }
+  };
+}
+
+module.exports = createOutboxRepository;
@@ -0,0 +1,42 @@
+// lib/repositories/pixKeys.js
+// Repositório de chaves PIX
+
+const COLLECTION = 'pixKeys';
+
+function createPixKeyRepository(store) {
+  return {
+    async list() {
+      return store.list(COLLECTION);
+    },
+
+    async listActive() {
+      return store.list(COLLECTION, k => k.active);
+    },
+
+    async get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    async findByKey(key) {
+      return store.find(COLLECTION, k => k.key === key);
+    },
+
+    async count(filter) {
+      return store.count(COLLECTION, filter);
+    },
+
+    async create(pixKey) {
+      return store.insert(COLLECTION, pixKey);
+    },
+
+    async update(id, patch) {
+      return store.update(COLLECTION, id, patch);
+    },
+
+    async remove(id) {
+      return store.remove(COLLECTION, id);
+    }
+  };
+}
+
+module.exports = createPixKeyRepository;
@@ -0,0 +1,34 @@
+// lib/repositories/promoters.js
+// Repositório de promoters (afiliados) e suas regras de comissão
+
+const PROMOTERS = 'promoters';
+
+function createPromoterRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(PROMOTERS, filter);
+    },
+
+    async get(id) {
+      return store.get(PROMOTERS, id);
+    },
+
+    async findByCode(code) {
+      return store.find(PROMOTERS, p => p.code === code);
+    },
+
+    async create(promoter) {
+      return store.insert(PROMOTERS, promoter);
+    },
+
+    async update(id, patch) {
+      return store.update(PROMOTERS, id, patch);
+    },
+
+    async remove(id) {
+      return store.remove(PROMOTERS, id);
+    }
+  };
+}
+
+module.exports = createPromoterRepository;
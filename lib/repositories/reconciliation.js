@@ -0,0 +1,47 @@
+// lib/repositories/reconciliation.js
+// Repositório de extratos importados e seus lançamentos
+
+const IMPORTS = 'statementImports';
+const ENTRIES = 'statementEntries';
+
+function createReconciliationRepository(store) {
+  return {
+    async listImports() {
+      return store.list(IMPORTS);
+    },
+
+    async getImport(id) {
+      return store.get(IMPORTS, id);
+    },
+
+    async createImport(statementImport) {
+      return store.insert(IMPORTS, statementImport);
+    },
+
+    async updateImport(id, patch) {
+      return store.update(IMPORTS, id, patch);
+    },
+
+    async listEntries(filter) {
+      return store.list(ENTRIES, filter);
+    },
+
+    async getEntry(id) {
+      return store.get(ENTRIES, id);
+    },
+
+    async findEntryByFingerprint(fingerprint) {
+      return store.find(ENTRIES, e => e.fingerprint === fingerprint);
+    },
+
+    async createEntry(entry) {
+      return store.insert(ENTRIES, entry);
+    },
+
+    async updateEntry(id, patch) {
+      return store.update(ENTRIES, id, patch);
+    }
+  };
+}
+
+module.exports = createReconciliationRepository;
@@ -0,0 +1,25 @@
+// lib/repositories/settings.js
+// Configurações editáveis pelo painel, guardadas por chave
+
+const COLLECTION = 'settings';
+
+function createSettingsRepository(store) {
+  return {
+    // Retorna o valor salvo mesclado sobre os padrões
+    async get(id, defaults = {}) {
+      const saved = store.get(COLLECTION, id);
+      return { ...defaults, ...(saved ? saved.value : {}) };
+    },
+
+    async set(id, value) {
+      return store.transaction(tx => {
+        const doc = { id, value, updatedAt: new Date().toISOString() };
+        return tx.get(COLLECTION, id)
+          ? tx.update(COLLECTION, id, doc)
+          : tx.insert(COLLECTION, doc);
+      }).value;
+    }
+  };
+}
+
+module.exports = createSettingsRepository;
@@ -0,0 +1,22 @@
+// lib/repositories/settlements.js
+// Repositório dos repasses (acertos) aos produtores
+
+const SETTLEMENTS = 'settlements';
+
+function createSettlementRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(SETTLEMENTS, filter);
+    },
+
+    async get(id) {
+      return store.get(SETTLEMENTS, id);
+    },
+
+    async remove(id) {
+      return store.remove(SETTLEMENTS, id);
+    }
+  };
+}
+
+module.exports = createSettlementRepository;
@@ -0,0 +1,32 @@
+// lib/repositories/tenants.js
+// Repositório de produtores (tenants): cada um com seus eventos, chaves PIX,
+// pedidos, usuários e analytics
+
+const TENANTS = 'tenants';
+
+function createTenantRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(TENANTS, filter);
+    },
+
+    async get(id) {
+      return store.get(TENANTS, id);
+    },
+
+    async findBySlug(slug) {
+      const normalized = String(slug).trim().toLowerCase();
+      return store.find(TENANTS, t => t.slug === normalized);
+    },
+
+    async create(tenant) {
+      return store.insert(TENANTS, tenant);
+    },
+
+    async update(id, patch) {
+      return store.update(TENANTS, id, patch);
+    }
+  };
+}
+
+module.exports = createTenantRepository;
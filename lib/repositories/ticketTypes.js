@@ -0,0 +1,34 @@
+// lib/repositories/ticketTypes.js
+// Repositório de tipos de ingresso (setores/categorias) de cada evento
+
+const COLLECTION = 'ticketTypes';
+
+function createTicketTypeRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COLLECTION, filter);
+    },
+
+    async listByEvent(eventId) {
+      return store.list(COLLECTION, t => t.eventId === eventId);
+    },
+
+    async get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    async create(ticketType) {
+      return store.insert(COLLECTION, ticketType);
+    },
+
+    async update(id, patch) {
+      return store.update(COLLECTION, id, patch);
+    },
+
+    async remove(id) {
+      return store.remove(COLLECTION, id);
+    }
+  };
+}
+
+module.exports = createTicketTypeRepository;
@@ -0,0 +1,30 @@
+// lib/repositories/tickets.js
+// Repositório de ingressos emitidos
+
+const COLLECTION = 'tickets';
+
+function createTicketRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COLLECTION, filter);
+    },
+
+    async listByOrder(orderId) {
+      return store.list(COLLECTION, t => t.orderId === orderId);
+    },
+
+    async get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    async count(filter) {
+      return store.count(COLLECTION, filter);
+    },
+
+    async update(id, patch) {
+      return store.update(COLLECTION, id, patch);
+    }
+  };
+}
+
+module.exports = createTicketRepository;
@@ -0,0 +1,22 @@
+// lib/repositories/webhookLogs.js
+// Registro bruto de todos os webhooks recebidos
+
+const COLLECTION = 'webhookLogs';
+
+function createWebhookLogRepository(store) {
+  return {
+    async list(filter) {
+      return store.list(COLLECTION, filter);
+    },
+
+    async create(log) {
+      return store.insert(COLLECTION, log);
+    },
+
+    async update(id, patch) {
+      return store.update(COLLECTION, id, patch);
+    }
+  };
+}
+
+module.exports = createWebhookLogRepository;
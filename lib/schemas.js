@@ -0,0 +1,477 @@
+// lib/schemas.js
+// Esquemas dos corpos aceitos por cada rota (ver lib/validation.js)
+
+const net = require('net');
+const v = require('./validation');
+const { BLOCK_TYPES } = require('./blocklist');
+const { COUPON_TYPES } = require('./coupons');
+const { COMMISSION_TYPES: PROMOTER_COMMISSION_TYPES } = require('./promoters');
+const { ROLES } = require('./auth');
+const { MAX_SYNC_BATCH } = require('./checkin');
+
+const id = (options) => v.string({ max: 100, ...options });
+
+// ═══════════════════════════════════════════════════════════════════
+// PAGAMENTO
+// ═══════════════════════════════════════════════════════════════════
+
+const cartItems = v.array(v.object({
+  ticketTypeId: id(),
+  quantity: v.integer({ min: 1, max: 50 })
+}), { min: 1, max: 20 });
+
+const couponCode = v.string({ optional: true, max: 40 });
+
+// Atribuição de marketing: parâmetros utm_* e código do promoter (?ref=)
+const utmField = v.string({ optional: true, max: 200 });
+
+const utm = v.object({
+  source: utmField,
+  medium: utmField,
+  campaign: utmField,
+  term: utmField,
+  content: utmField
+}, { optional: true });
+
+const promoterCode = v.string({ optional: true, max: 40 });
+
+const payment = v.object({
+  customer: v.object({
+    name: v.string({ max: 120 }),
+    email: v.email(),
+    cpf: v.cpf(),
+    phone: v.phone({ optional: true })
+  }),
+  items: cartItems,
+  couponCode,
+  sessionId: id({ optional: true }),
+  utm,
+  promoterCode
+});
+
+// Prévia do desconto; com o CPF também confere o limite por cliente
+const couponValidate = v.object({
+  couponCode: v.string({ max: 40 }),
+  items: cartItems,
+  cpf: v.cpf({ optional: true })
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// ÁREA DO CLIENTE
+// ═══════════════════════════════════════════════════════════════════
+
+// Exatamente um identificador: e-mail ou CPF
+function checkIdentifier({ email, cpf }) {
+  return (email ? 1 : 0) + (cpf ? 1 : 0) === 1
+    ? []
+    : [{ field: 'email', message: 'Informe o e-mail ou o CPF' }];
+}
+
+const otpRequest = v.object({
+  email: v.email({ optional: true }),
+  cpf: v.cpf({ optional: true })
+}, { check: checkIdentifier });
+
+const otpVerify = v.object({
+  email: v.email({ optional: true }),
+  cpf: v.cpf({ optional: true }),
+  code: v.string({ max: 6, pattern: /^\d{6}$/, message: 'Código deve ter 6 dígitos' })
+}, { check: checkIdentifier });
+
+// ═══════════════════════════════════════════════════════════════════
+// ADMIN
+// ═══════════════════════════════════════════════════════════════════
+
+const login = v.object({
+  email: v.email(),
+  password: v.string({ max: 200 })
+});
+
+// Senha de usuário novo ou trocada (no login vale a já cadastrada)
+const newPassword = (options) => v.string({
+  max: 200,
+  pattern: /^.{8,}$/,
+  message: 'Use ao menos 8 caracteres',
+  ...options
+});
+
+const adminUserCreate = v.object({
+  email: v.email(),
+  name: v.string({ optional: true, max: 120 }),
+  password: newPassword(),
+  role: v.oneOf(ROLES)
+});
+
+const adminUserUpdate = v.object({
+  name: v.string({ optional: true, max: 120 }),
+  password: newPassword({ optional: true }),
+  role: v.oneOf(ROLES, { optional: true }),
+  active: v.boolean({ optional: true })
+});
+
+// Campos de roteamento são validados por normalizeRoutingFields
+const routingFields = {
+  weight: v.any(),
+  dailyLimitCents: v.any(),
+  monthlyLimitCents: v.any(),
+  schedule: v.any(),
+  eventIds: v.any()
+};
+
+function checkPixKey({ key, type }) {
+  const message = key !== undefined && type !== undefined && v.pixKeyError(key, type);
+  return message ? [{ field: 'key', message }] : [];
+}
+
+const pixKeyCreate = v.object({
+  key: v.string({ max: 140 }),
+  type: v.oneOf(v.PIX_KEY_TYPES),
+  name: v.string({ max: 100 }),
+  ...routingFields
+}, { check: checkPixKey });
+
+const pixKeyUpdate = v.object({
+  key: v.string({ optional: true, max: 140 }),
+  type: v.oneOf(v.PIX_KEY_TYPES, { optional: true }),
+  name: v.string({ optional: true, max: 100 }),
+  active: v.boolean({ optional: true }),
+  ...routingFields
+});
+
+const pixRoutingSettings = v.object({
+  strategy: v.string({ optional: true, max: 20 }),
+  maxKeys: v.integer({ optional: true, min: 1 })
+});
+
+// Crédito do extrato casado pela equipe: id ou código do pedido
+const reconciliationMatch = v.object({
+  orderId: id()
+});
+
+const reconciliationReject = v.object({
+  note: v.string({ optional: true, max: 500 })
+});
+
+// Crédito do PSP sem produtor entregue pela plataforma a um produtor
+const reconciliationAssign = v.object({
+  tenantId: id()
+});
+
+const orderCancel = v.object({
+  reason: v.string({ optional: true, max: 500 })
+});
+
+const orderRefund = v.object({
+  amountCents: v.integer({ optional: true, min: 1 }),
+  reason: v.string({ optional: true, max: 500 })
+});
+
+function checkBlockValue({ type, value }) {
+  const valid = type === 'ip' ? net.isIP(value) > 0
+    : type === 'cpf' ? v.isValidCpf(value)
+    : v.isValidEmail(value);
+  return valid ? [] : [{ field: 'value', message: `Valor inválido para o tipo ${type}` }];
+}
+
+const blockCreate = v.object({
+  type: v.oneOf(BLOCK_TYPES),
+  value: v.string({ max: 254 }),
+  reason: v.string({ optional: true, max: 500 }),
+  expiresAt: v.string({ optional: true, max: 40 })
+}, { check: checkBlockValue });
+
+function checkCoupon({ type, value, validFrom, validUntil }) {
+  const problems = [];
+  if (type === 'percent' && value > 100) {
+    problems.push({ field: 'value', message: 'Percentual deve ser de 1 a 100' });
+  }
+  if (validFrom && validUntil && validFrom >= validUntil) {
+    problems.push({ field: 'validUntil', message: 'Deve ser posterior a validFrom' });
+  }
+  return problems;
+}
+
+// value: percentual (1-100) ou centavos, conforme type; limites null = sem limite
+const couponFields = {
+  description: v.string({ optional: true, max: 200 }),
+  eventId: id({ optional: true }),
+  ticketTypeIds: v.array(id(), { optional: true }),
+  maxRedemptions: v.integer({ optional: true, min: 1 }),
+  maxPerCpf: v.integer({ optional: true, min: 1 }),
+  minQuantity: v.integer({ optional: true, min: 1 }),
+  validFrom: v.date({ optional: true }),
+  validUntil: v.date({ optional: true }),
+  active: v.boolean({ optional: true })
+};
+
+const couponCreate = v.object({
+  code: v.string({ max: 30, pattern: /^[A-Za-z0-9_-]{3,30}$/, message: 'Use de 3 a 30 letras, números, - ou _' }),
+  type: v.oneOf(COUPON_TYPES),
+  value: v.integer({ min: 1 }),
+  ...couponFields
+}, { check: checkCoupon });
+
+const couponUpdate = v.object({
+  type: v.oneOf(COUPON_TYPES, { optional: true }),
+  value: v.integer({ optional: true, min: 1 }),
+  ...couponFields
+}, { check: checkCoupon });
+
+// value: percentual (1-100) do valor pago ou centavos por ingresso, conforme commissionType;
+// eventIds vazio = todos os eventos
+const promoterFields = {
+  name: v.string({ max: 120 }),
+  email: v.email({ optional: true }),
+  commissionType: v.oneOf(PROMOTER_COMMISSION_TYPES),
+  commissionValue: v.integer({ min: 0 }),
+  eventIds: v.array(id(), { optional: true }),
+  active: v.boolean({ optional: true })
+};
+
+function checkCommission({ commissionType, commissionValue }) {
+  return commissionType === 'percent' && commissionValue > 100
+    ? [{ field: 'commissionValue', message: 'Percentual deve ser de 0 a 100' }]
+    : [];
+}
+
+const promoterCreate = v.object({
+  code: v.string({ max: 30, pattern: /^[A-Za-z0-9_-]{3,30}$/, message: 'Use de 3 a 30 letras, números, - ou _' }),
+  ...promoterFields
+}, { check: checkCommission });
+
+const promoterUpdate = v.object({
+  name: v.string({ optional: true, max: 120 }),
+  email: v.email({ optional: true }),
+  commissionType: v.oneOf(PROMOTER_COMMISSION_TYPES, { optional: true }),
+  commissionValue: v.integer({ optional: true, min: 0 }),
+  eventIds: v.array(id(), { optional: true }),
+  active: v.boolean({ optional: true })
+}, { check: checkCommission });
+
+// ═══════════════════════════════════════════════════════════════════
+// CATÁLOGO
+// ═══════════════════════════════════════════════════════════════════
+
+// Datas opcionais aceitam null para limpar; a data do evento não
+function checkEvent({ date, salesStart, salesEnd }) {
+  const problems = [];
+  if (date === null) {
+    problems.push({ field: 'date', message: 'Campo obrigatório' });
+  }
+  if (salesStart && salesEnd && salesStart >= salesEnd) {
+    problems.push({ field: 'salesEnd', message: 'Deve ser posterior a salesStart' });
+  }
+  return problems;
+}
+
+const eventCreate = v.object({
+  name: v.string({ max: 200 }),
+  venue: v.string({ max: 200 }),
+  date: v.date(),
+  description: v.string({ optional: true, max: 5000 }),
+  salesStart: v.date({ optional: true }),
+  salesEnd: v.date({ optional: true })
+}, { check: checkEvent });
+
+const eventUpdate = v.object({
+  name: v.string({ optional: true, max: 200 }),
+  venue: v.string({ optional: true, max: 200 }),
+  date: v.date({ optional: true }),
+  description: v.string({ optional: true, max: 5000 }),
+  salesStart: v.date({ optional: true }),
+  salesEnd: v.date({ optional: true }),
+  active: v.boolean({ optional: true })
+}, { check: checkEvent });
+
+// Lotes sem id ganham um na gravação (ver normalizeLots)
+const lot = v.object({
+  id: id({ optional: true }),
+  name: v.string({ max: 100 }),
+  priceCents: v.integer({ min: 0 }),
+  startsAt: v.date({ optional: true }),
+  endsAt: v.date({ optional: true }),
+  active: v.boolean({ optional: true })
+});
+
+// capacity null = sem limite
+const ticketTypeCreate = v.object({
+  name: v.string({ max: 120 }),
+  description: v.string({ optional: true, max: 2000 }),
+  lots: v.array(lot, { min: 1, max: 20 }),
+  capacity: v.integer({ optional: true, min: 0 })
+});
+
+const ticketTypeUpdate = v.object({
+  name: v.string({ optional: true, max: 120 }),
+  description: v.string({ optional: true, max: 2000 }),
+  lots: v.array(lot, { optional: true, min: 1, max: 20 }),
+  capacity: v.integer({ optional: true, min: 0 }),
+  active: v.boolean({ optional: true })
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// PLATAFORMA (PRODUTORES)
+// ═══════════════════════════════════════════════════════════════════
+
+// Slug vira o subdomínio da API e o valor do header X-Tenant
+const tenantCreate = v.object({
+  slug: v.string({ max: 40, pattern: /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/, message: 'Use letras minúsculas, números e -' }),
+  name: v.string({ max: 120 }),
+  owner: v.object({
+    email: v.email(),
+    name: v.string({ optional: true, max: 120 }),
+    password: newPassword()
+  })
+});
+
+const tenantUpdate = v.object({
+  name: v.string({ optional: true, max: 120 }),
+  active: v.boolean({ optional: true })
+});
+
+// Taxa da plataforma: percentual do valor pago + centavos por ingresso; sem eventId é
+// a regra padrão do produtor
+function checkFeePercent({ percent }) {
+  return percent !== undefined && percent > 100
+    ? [{ field: 'percent', message: 'Percentual deve ser de 0 a 100' }]
+    : [];
+}
+
+const feeRuleCreate = v.object({
+  tenantId: id(),
+  eventId: id({ optional: true }),
+  percent: v.number({ min: 0 }),
+  perTicketCents: v.integer({ min: 0 })
+}, { check: checkFeePercent });
+
+const feeRuleUpdate = v.object({
+  percent: v.number({ optional: true, min: 0 }),
+  perTicketCents: v.integer({ optional: true, min: 0 })
+}, { check: checkFeePercent });
+
+// Sem from, o período começa no fim do último repasse do produtor
+const settlementCreate = v.object({
+  tenantId: id(),
+  from: v.date({ optional: true }),
+  to: v.date()
+});
+
+const settlementPay = v.object({
+  reference: v.string({ optional: true, max: 140 }),
+  note: v.string({ optional: true, max: 500 })
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// INGRESSOS
+// ═══════════════════════════════════════════════════════════════════
+
+const ticketReissue = v.object({
+  holderName: v.string({ optional: true, max: 120 }),
+  holderCpf: v.cpf({ optional: true })
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// PORTARIA
+// ═══════════════════════════════════════════════════════════════════
+
+const scanFields = {
+  token: v.string({ max: 2000 }),
+  eventId: id(),
+  gate: v.string({ optional: true, max: 60 }),
+  deviceId: id({ optional: true })
+};
+
+const checkinScan = v.object(scanFields);
+
+// scannedAt inválido não derruba o lote: a leitura é recusada (invalid_time)
+const checkinSync = v.object({
+  deviceId: id({ optional: true }),
+  scans: v.array(v.object({
+    ...scanFields,
+    scannedAt: v.any()
+  }), { min: 1, max: MAX_SYNC_BATCH })
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// ANALYTICS
+// ═══════════════════════════════════════════════════════════════════
+
+// utm/promoterCode são opcionais: sem eles, utm_* e ref da própria página são usados
+const pageView = v.object({
+  page: v.string({ max: 500 }),
+  eventId: id({ optional: true }),
+  sessionId: id(),
+  referrer: v.string({ optional: true, max: 2000 }),
+  utm,
+  promoterCode
+});
+
+const click = v.object({
+  eventId: id({ optional: true }),
+  action: v.string({ max: 50 }),
+  sessionId: id(),
+  data: v.object({}, { optional: true, passthrough: true })
+});
+
+// total enviado pelo navegador é aceito por compatibilidade e ignorado:
+// a receita vem dos pedidos pagos
+const checkout = v.object({
+  eventId: id({ optional: true }),
+  sessionId: id(),
+  items: v.array(v.any(), { optional: true }),
+  total: v.number({ optional: true, min: 0 }),
+  utm,
+  promoterCode
+});
+
+const conversion = v.object({
+  eventId: id({ optional: true }),
+  orderId: id({ optional: true }),
+  sessionId: id(),
+  total: v.number({ optional: true, min: 0 })
+});
+
+const analyticsReset = v.object({
+  key: v.string({ max: 200 })
+});
+
+module.exports = {
+  payment,
+  couponValidate,
+  otpRequest,
+  otpVerify,
+  login,
+  adminUserCreate,
+  adminUserUpdate,
+  pixKeyCreate,
+  pixKeyUpdate,
+  pixRoutingSettings,
+  reconciliationMatch,
+  reconciliationReject,
+  reconciliationAssign,
+  orderCancel,
+  orderRefund,
+  blockCreate,
+  couponCreate,
+  couponUpdate,
+  promoterCreate,
+  promoterUpdate,
+  eventCreate,
+  eventUpdate,
+  ticketTypeCreate,
+  ticketTypeUpdate,
+  tenantCreate,
+  tenantUpdate,
+  feeRuleCreate,
+  feeRuleUpdate,
+  settlementCreate,
+  settlementPay,
+  ticketReissue,
+  checkinScan,
+  checkinSync,
+  pageView,
+  click,
+  checkout,
+  conversion,
+  analyticsReset
+};
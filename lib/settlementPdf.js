@@ -0,0 +1,139 @@
+// lib/settlementPdf.js
+// Demonstrativo de repasse em PDF: totais por evento e lançamentos por pedido
+
+const PDFDocument = require('pdfkit');
+const { zonedParts, DEFAULT_TZ } = require('./time');
+const { formatBRL } = require('./money');
+
+const STATUS_LABELS = {
+  draft: 'Rascunho',
+  approved: 'Aprovado',
+  paid: 'Pago'
+};
+
+const ENTRY_LABELS = {
+  sale: 'Venda',
+  adjustment: 'Ajuste'
+};
+
+const MARGIN = 40;
+
+function formatDate(value) {
+  if (!value) return '-';
+  const p = zonedParts(value, DEFAULT_TZ);
+  return `${String(p.day).padStart(2, '0')}/${String(p.month).padStart(2, '0')}/${p.year} ` +
+    `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+// Linha de tabela com colunas de largura fixa; valores alinhados à direita a partir da 2ª coluna
+function row(doc, columns, values, { bold = false } = {}) {
+  const y = doc.y;
+  let x = MARGIN;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  values.forEach((value, index) => {
+    doc.text(String(value), x, y, {
+      width: columns[index] - 4,
+      align: index === 0 ? 'left' : 'right',
+      lineBreak: false,
+      ellipsis: true
+    });
+    x += columns[index];
+  });
+
+  doc.x = MARGIN;
+  doc.y = y + 16;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+}
+
+// Resolve com o Buffer do PDF
+function renderSettlementPdf(settlement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { totals } = settlement;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`Demonstrativo de repasse nº ${settlement.number}`);
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Produtor: ${settlement.tenantName}`)
+      .text(`Período: ${settlement.periodStart ? formatDate(settlement.periodStart) : 'início'} a ${formatDate(settlement.periodEnd)}`)
+      .text(`Situação: ${STATUS_LABELS[settlement.status] || settlement.status}`)
+      .text(`Gerado em: ${formatDate(settlement.createdAt)}`);
+
+    if (settlement.approvedAt) doc.text(`Aprovado em: ${formatDate(settlement.approvedAt)}`);
+    if (settlement.paidAt) {
+      doc.text(`Pago em: ${formatDate(settlement.paidAt)}` +
+        (settlement.paymentReference ? ` (ref. ${settlement.paymentReference})` : ''));
+    }
+
+    // Por evento
+    const eventColumns = [155, 45, 45, 65, 65, 65, 65];
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Por evento');
+    doc.moveDown(0.5);
+    doc.fontSize(9);
+    row(doc, eventColumns, ['Evento', 'Pedidos', 'Ingr.', 'Vendido', 'Reembolsos', 'Taxa', 'Repasse'], { bold: true });
+
+    for (const line of settlement.lines) {
+      ensureSpace(doc, 16);
+      row(doc, eventColumns, [
+        line.eventName || line.eventId,
+        line.orders,
+        line.tickets,
+        formatBRL(line.grossCents),
+        formatBRL(line.refundedCents),
+        formatBRL(line.feeCents),
+        formatBRL(line.payoutCents)
+      ]);
+    }
+
+    row(doc, eventColumns, [
+      'Total',
+      totals.orders,
+      totals.tickets,
+      formatBRL(totals.grossCents),
+      formatBRL(totals.refundedCents),
+      formatBRL(totals.feeCents),
+      formatBRL(totals.payoutCents)
+    ], { bold: true });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text(`Valor a repassar: ${formatBRL(totals.payoutCents)}`);
+
+    // Lançamentos
+    const entryColumns = [115, 60, 85, 65, 65, 55, 60];
+    const eventNames = new Map(settlement.lines.map(line => [line.eventId, line.eventName || line.eventId]));
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Lançamentos');
+    doc.moveDown(0.5);
+    doc.fontSize(8);
+    row(doc, entryColumns, ['Pedido', 'Tipo', 'Evento', 'Vendido', 'Reembolsos', 'Taxa', 'Repasse'], { bold: true });
+
+    for (const entry of settlement.entries) {
+      ensureSpace(doc, 16);
+      row(doc, entryColumns, [
+        entry.code,
+        ENTRY_LABELS[entry.type] || entry.type,
+        eventNames.get(entry.eventId),
+        formatBRL(entry.grossCents),
+        formatBRL(entry.refundedCents),
+        formatBRL(entry.feeCents),
+        formatBRL(entry.payoutCents)
+      ]);
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = { renderSettlementPdf };
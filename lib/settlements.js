@@ -0,0 +1,250 @@
+// lib/settlements.js
+// Repasses aos produtores: cada período soma, por evento, o que foi pago menos o que foi
+// reembolsado e desconta a taxa da plataforma. O demonstrativo segue
+// rascunho → aprovado → pago.
+// Cada pedido entra uma vez como venda; reembolsos posteriores entram como ajuste
+// (negativo) no próximo repasse, já que o valor anterior pode ter sido pago.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { runAsTenant } = require('./db/scope');
+const { PAID_STATUSES, ticketCount } = require('./paidOrders');
+const { resolveFee, feeCents } = require('./fees');
+const { toReais } = require('./money');
+const { HttpError } = require('./errors');
+
+const SETTLEMENTS = 'settlements';
+
+const SETTLEMENT_STATUSES = ['draft', 'approved', 'paid'];
+
+const TRANSITIONS = {
+  draft: ['approved'],
+  approved: ['paid'],
+  paid: []
+};
+
+// Carimbo de data gravado ao entrar em cada status
+const TIMESTAMPS = {
+  approved: 'approvedAt',
+  paid: 'paidAt'
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// APURAÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+function emptyTotals() {
+  return { orders: 0, tickets: 0, grossCents: 0, refundedCents: 0, netCents: 0, feeCents: 0, payoutCents: 0 };
+}
+
+function addEntry(totals, entry) {
+  if (entry.type === 'sale') {
+    totals.orders++;
+    totals.tickets += entry.tickets;
+  }
+  totals.grossCents += entry.grossCents;
+  totals.refundedCents += entry.refundedCents;
+  totals.netCents += entry.netCents;
+  totals.feeCents += entry.feeCents;
+  totals.payoutCents += entry.payoutCents;
+}
+
+function withReais(totals) {
+  return { ...totals, net: toReais(totals.netCents), fee: toReais(totals.feeCents), payout: toReais(totals.payoutCents) };
+}
+
+// Valores de cada pedido já lançados em repasses anteriores (rascunhos incluídos:
+// descarte o rascunho para apurar de novo)
+function settledByOrder(settlements) {
+  const settled = new Map();
+
+  for (const settlement of settlements) {
+    for (const entry of settlement.entries) {
+      const current = settled.get(entry.orderId) || { grossCents: 0, refundedCents: 0, feeCents: 0, fee: entry.fee };
+      settled.set(entry.orderId, {
+        grossCents: current.grossCents + entry.grossCents,
+        refundedCents: current.refundedCents + entry.refundedCents,
+        feeCents: current.feeCents + entry.feeCents,
+        fee: current.fee
+      });
+    }
+  }
+
+  return settled;
+}
+
+// Diferença entre o estado atual do pedido e o que já foi lançado; null se nada mudou.
+// Pedidos pagos antes das regras de taxa usam a regra vigente na apuração.
+function entryFor(tx, order, previous) {
+  const fee = order.fee || (previous && previous.fee) || resolveFee(tx, order);
+  const before = previous || { grossCents: 0, refundedCents: 0, feeCents: 0 };
+
+  const grossCents = order.totalCents - before.grossCents;
+  const refundedCents = (order.refundedCents || 0) - before.refundedCents;
+  const chargedCents = feeCents(order, fee) - before.feeCents;
+
+  if (grossCents === 0 && refundedCents === 0 && chargedCents === 0) return null;
+
+  return {
+    orderId: order.id,
+    code: order.code,
+    eventId: order.eventId,
+    type: previous ? 'adjustment' : 'sale',
+    paidAt: order.paidAt,
+    tickets: ticketCount(order),
+    fee,
+    grossCents,
+    refundedCents,
+    netCents: grossCents - refundedCents,
+    feeCents: chargedCents,
+    payoutCents: grossCents - refundedCents - chargedCents
+  };
+}
+
+// Gera o rascunho do repasse de um produtor: vendas pagas no período ainda não
+// repassadas e ajustes de pedidos já repassados (reembolsos desde então).
+// Sem from, o período começa no fim do último repasse.
+async function createSettlement(tenantId, { from, to }, actor) {
+  const tenant = await db.tenants.get(tenantId);
+
+  if (!tenant) {
+    throw new HttpError(404, 'Produtor não encontrado');
+  }
+
+  return runAsTenant(tenantId, () => db.store.transaction(tx => {
+    const previous = tx.list(SETTLEMENTS).sort((a, b) => b.periodEnd.localeCompare(a.periodEnd));
+    const periodStart = from || (previous[0] ? previous[0].periodEnd : null);
+    const periodEnd = to;
+
+    if (periodStart && periodStart >= periodEnd) {
+      throw new HttpError(400, 'Período inválido: início deve ser anterior ao fim', { periodStart, periodEnd });
+    }
+    if (new Date(periodEnd) > new Date()) {
+      throw new HttpError(400, 'O período ainda não terminou');
+    }
+
+    const settled = settledByOrder(previous);
+    const inPeriod = order => order.paidAt && (!periodStart || order.paidAt >= periodStart) && order.paidAt < periodEnd;
+
+    const orders = tx.list('orders', o =>
+      PAID_STATUSES.includes(o.status) && (settled.has(o.id) || inPeriod(o))
+    );
+
+    const entries = orders
+      .map(order => entryFor(tx, order, settled.get(order.id)))
+      .filter(Boolean)
+      .sort((a, b) => String(a.paidAt).localeCompare(String(b.paidAt)));
+
+    if (entries.length === 0) {
+      throw new HttpError(400, 'Nenhum valor a repassar no período');
+    }
+
+    const eventNames = new Map(tx.list('events').map(e => [e.id, e.name]));
+    const lines = new Map();
+    const totals = emptyTotals();
+
+    for (const entry of entries) {
+      if (!lines.has(entry.eventId)) {
+        lines.set(entry.eventId, { eventId: entry.eventId, eventName: eventNames.get(entry.eventId) || null, ...emptyTotals() });
+      }
+      addEntry(lines.get(entry.eventId), entry);
+      addEntry(totals, entry);
+    }
+
+    const now = new Date().toISOString();
+
+    const settlement = tx.insert(SETTLEMENTS, {
+      id: uuidv4(),
+      number: previous.length + 1,
+      tenantName: tenant.name,
+      periodStart,
+      periodEnd,
+      status: 'draft',
+      lines: [...lines.values()].map(withReais),
+      totals: withReais(totals),
+      entries,
+      createdAt: now,
+      history: [{ from: null, to: 'draft', at: now, actor }]
+    });
+
+    console.log('🧾 Repasse gerado:', tenant.slug, settlement.number, totals.payoutCents);
+    return settlement;
+  }));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// FLUXO
+// ═══════════════════════════════════════════════════════════════════
+
+function transitionSettlement(id, to, { actor, changes = {}, details = {} } = {}) {
+  return db.store.transaction(tx => {
+    const settlement = tx.get(SETTLEMENTS, id);
+
+    if (!settlement) {
+      throw new HttpError(404, 'Repasse não encontrado');
+    }
+
+    const from = settlement.status;
+    if (!(TRANSITIONS[from] || []).includes(to)) {
+      throw new HttpError(409, `Transição inválida: ${from} → ${to}`, {
+        from,
+        to,
+        allowed: TRANSITIONS[from] || []
+      });
+    }
+
+    const now = new Date().toISOString();
+
+    return tx.update(SETTLEMENTS, id, {
+      ...changes,
+      status: to,
+      [TIMESTAMPS[to]]: now,
+      updatedAt: now,
+      history: [...settlement.history, { from, to, at: now, actor, ...details }]
+    });
+  });
+}
+
+async function approveSettlement(id, actor) {
+  return transitionSettlement(id, 'approved', { actor });
+}
+
+// reference: identificação da transferência ao produtor (ex.: endToEndId do PIX)
+async function markSettlementPaid(id, actor, { reference, note } = {}) {
+  return transitionSettlement(id, 'paid', {
+    actor,
+    changes: { paymentReference: reference || null },
+    details: note ? { note } : {}
+  });
+}
+
+// Só rascunhos podem ser descartados (os pedidos voltam a entrar no próximo repasse)
+async function discardSettlement(id) {
+  return db.store.transaction(tx => {
+    const settlement = tx.get(SETTLEMENTS, id);
+
+    if (!settlement) {
+      throw new HttpError(404, 'Repasse não encontrado');
+    }
+    if (settlement.status !== 'draft') {
+      throw new HttpError(409, 'Só repasses em rascunho podem ser descartados');
+    }
+
+    return tx.remove(SETTLEMENTS, id);
+  });
+}
+
+// Versão do demonstrativo sem o detalhe por pedido (listagens)
+function summarize(settlement) {
+  const { entries, history, ...rest } = settlement;
+  return { ...rest, entriesCount: entries.length };
+}
+
+module.exports = {
+  SETTLEMENT_STATUSES,
+  createSettlement,
+  approveSettlement,
+  markSettlementPaid,
+  discardSettlement,
+  summarize
+};
@@ -0,0 +1,209 @@
+// lib/statements.js
+// Leitura de extratos bancários (OFX e CSV) em lançamentos normalizados
+
+const crypto = require('crypto');
+
+// Extratos brasileiros sem fuso explícito estão no horário de Brasília
+const DEFAULT_OFFSET = '-03:00';
+
+// ═══════════════════════════════════════════════════════════════════
+// VALORES E DATAS
+// ═══════════════════════════════════════════════════════════════════
+
+// "R$ 1.234,56" / "1234.56" / "-50,00" -> centavos (inteiro)
+function parseAmountCents(value) {
+  let text = String(value || '').replace(/R\$|\s/g, '');
+  if (!text) return null;
+
+  const negative = text.startsWith('-') || /^\(.*\)$/.test(text);
+  text = text.replace(/[-+()]/g, '');
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (lastDot > lastComma && lastComma !== -1) {
+    text = text.replace(/,/g, '');
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+
+  const number = Number(text);
+  if (!isFinite(number)) return null;
+
+  const cents = Math.round(number * 100);
+  return negative ? -cents : cents;
+}
+
+// "19/10/2026 14:30" / "2026-10-19" / ISO -> ISO em UTC
+function parseDate(value) {
+  const text = String(value || '').trim();
+
+  const br = text.match(/^(\d{2})\/(\d{2})\/(\d{4})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (br) {
+    const [, d, m, y, hh = '00', mm = '00', ss = '00'] = br;
+    return new Date(`${y}-${m}-${d}T${hh}:${mm}:${ss}${DEFAULT_OFFSET}`).toISOString();
+  }
+
+  const isoDate = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoDate) {
+    return new Date(`${text}T00:00:00${DEFAULT_OFFSET}`).toISOString();
+  }
+
+  const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}${DEFAULT_OFFSET}`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// DTPOSTED do OFX: AAAAMMDD[HHMMSS[.XXX]][[-3:BRT]]
+function parseOfxDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?/);
+  if (!match) return null;
+
+  const [, y, m, d, hh = '00', mm = '00', ss = '00', tz] = match;
+  let offset = DEFAULT_OFFSET;
+
+  if (tz !== undefined) {
+    const hours = Number(tz);
+    const sign = hours < 0 ? '-' : '+';
+    const abs = Math.abs(hours);
+    offset = `${sign}${String(Math.floor(abs)).padStart(2, '0')}:${String(Math.round((abs % 1) * 60)).padStart(2, '0')}`;
+  }
+
+  const date = new Date(`${y}-${m}-${d}T${hh}:${mm}:${ss}${offset}`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Identificador estável do lançamento para não importar o mesmo crédito duas vezes
+function fingerprint(entry) {
+  const base = entry.fitId
+    ? `fitid:${entry.fitId}`
+    : `${entry.postedAt}|${entry.amountCents}|${entry.description}`;
+  return crypto.createHash('sha256').update(base).digest('hex').substring(0, 32);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// OFX
+// ═══════════════════════════════════════════════════════════════════
+
+function ofxField(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+}
+
+function parseOfx(content) {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map(block => {
+    const memo = ofxField(block, 'MEMO');
+    const name = ofxField(block, 'NAME');
+
+    return {
+      fitId: ofxField(block, 'FITID') || null,
+      postedAt: parseOfxDate(ofxField(block, 'DTPOSTED')),
+      amountCents: parseAmountCents(ofxField(block, 'TRNAMT')),
+      description: [name, memo].filter(Boolean).join(' - '),
+      receivingKey: null
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CSV
+// ═══════════════════════════════════════════════════════════════════
+
+// Nomes de coluna aceitos (sem acento, minúsculos)
+const CSV_COLUMNS = {
+  postedAt: ['data', 'date', 'data lancamento', 'data do lancamento', 'datahora', 'data/hora'],
+  amountCents: ['valor', 'amount', 'valor (r$)', 'credito'],
+  description: ['descricao', 'description', 'historico', 'memo', 'detalhes'],
+  fitId: ['id', 'identificador', 'fitid', 'id transacao', 'end to end', 'endtoendid'],
+  receivingKey: ['chave', 'chave pix', 'pix key', 'chave recebedora']
+};
+
+function normalizeHeader(header) {
+  return header.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/"/g, '').trim().toLowerCase();
+}
+
+function splitCsvLine(line, separator) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === separator && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return [];
+
+  const separator = (lines[0].match(/;/g) || []).length >= (lines[0].match(/,/g) || []).length ? ';' : ',';
+  const headers = splitCsvLine(lines[0], separator).map(normalizeHeader);
+
+  const columns = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    columns[field] = headers.findIndex(h => names.includes(h));
+  }
+
+  if (columns.postedAt === -1 || columns.amountCents === -1) {
+    throw new Error('CSV sem colunas de data e valor');
+  }
+
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line, separator);
+    const cell = field => (columns[field] === -1 ? '' : cells[columns[field]] || '');
+
+    return {
+      fitId: cell('fitId') || null,
+      postedAt: parseDate(cell('postedAt')),
+      amountCents: parseAmountCents(cell('amountCents')),
+      description: cell('description'),
+      receivingKey: cell('receivingKey') || null
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ENTRADA
+// ═══════════════════════════════════════════════════════════════════
+
+function detectFormat(content) {
+  return /<OFX>|OFXHEADER/i.test(content) ? 'ofx' : 'csv';
+}
+
+// Retorna os lançamentos válidos (com data e valor) e quantos foram descartados
+function parseStatement(content, format = detectFormat(content)) {
+  const entries = format === 'ofx' ? parseOfx(content) : parseCsv(content);
+  const valid = entries.filter(e => e.postedAt && Number.isInteger(e.amountCents));
+
+  return {
+    format,
+    entries: valid.map(e => ({ ...e, fingerprint: fingerprint(e) })),
+    invalid: entries.length - valid.length
+  };
+}
+
+module.exports = {
+  parseStatement,
+  parseAmountCents,
+  parseDate,
+  parseOfxDate,
+  detectFormat
+};
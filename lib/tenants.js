@@ -0,0 +1,241 @@
+// lib/tenants.js
+// Vários produtores (tenants) no mesmo backend: cada requisição roda no contexto de
+// um produtor e só enxerga os dados dele (ver lib/db/scope.js). Cadastro de
+// produtores e totais consolidados ficam com o super-admin da plataforma.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { runAsTenant, runAsPlatform } = require('./db/scope');
+const { verifyToken } = require('./auth');
+const { hashPassword } = require('./password');
+const { toReais } = require('./money');
+const { isPaid, ticketCount } = require('./paidOrders');
+const { HttpError, sendError } = require('./errors');
+
+// Produtor de quem não informa nenhum (o dono dos dados de antes do multi-produtor)
+const DEFAULT_TENANT = (process.env.DEFAULT_TENANT || 'default').trim().toLowerCase();
+
+// "produtor.api.exemplo.com.br" resolve o produtor "produtor" com TENANT_BASE_DOMAIN=api.exemplo.com.br
+const BASE_DOMAIN = (process.env.TENANT_BASE_DOMAIN || '').trim().toLowerCase();
+
+// Rotas sem produtor: a plataforma e os webhooks do PSP (que localizam o produtor pelo pedido)
+const PLATFORM_PATHS = ['/api/platform', '/api/webhooks'];
+
+// Ids citados no caminho que identificam o produtor
+const PATH_REFERENCES = [
+  [/^\/api\/(?:admin\/|checkin\/)?events\/([^/]+)/, id => db.events.get(id)],
+  [/^\/api\/admin\/ticket-types\/([^/]+)/, id => db.ticketTypes.get(id)],
+  [/^\/api\/(?:order|payment|admin\/orders)\/([^/]+)/, id => db.orders.findByIdOrCode(id)]
+];
+
+function generateAnalyticsKey() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RESOLUÇÃO DO PRODUTOR
+// ═══════════════════════════════════════════════════════════════════
+
+// Por slug ou id
+async function findTenant(ref) {
+  const value = String(ref).trim().toLowerCase();
+  return await db.tenants.findBySlug(value) || await db.tenants.get(value);
+}
+
+function subdomainOf(hostname) {
+  if (!BASE_DOMAIN || !hostname) return null;
+
+  const host = hostname.toLowerCase();
+  if (!host.endsWith(`.${BASE_DOMAIN}`)) return null;
+
+  const subdomain = host.slice(0, -(BASE_DOMAIN.length + 1));
+  return subdomain && !subdomain.includes('.') ? subdomain : null;
+}
+
+// Produtor gravado no token da equipe ou do cliente (Bearer ou ?access_token= do SSE)
+function tokenTenantId(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const raw = scheme === 'Bearer' ? token : req.query.access_token;
+  const claims = raw ? verifyToken(raw) : null;
+  return claims && claims.tid ? claims.tid : null;
+}
+
+// Evento, tipo de ingresso ou pedido citado no caminho, na query ou no corpo
+async function referencedTenantId(req) {
+  for (const [pattern, load] of PATH_REFERENCES) {
+    const match = req.path.match(pattern);
+    const doc = match && await load(decodeURIComponent(match[1]));
+    if (doc) return doc.tenantId;
+  }
+
+  const body = req.body || {};
+
+  const eventId = body.eventId || req.query.eventId;
+  const event = eventId && await db.events.get(String(eventId));
+  if (event) return event.tenantId;
+
+  const item = Array.isArray(body.items) && body.items.find(i => i && i.ticketTypeId);
+  const ticketType = item && await db.ticketTypes.get(String(item.ticketTypeId));
+  if (ticketType) return ticketType.tenantId;
+
+  return null;
+}
+
+// Header X-Tenant ou subdomínio (produtor informado precisa existir), produtor do
+// token, entidade citada na requisição e, sem nada disso, o produtor padrão
+async function resolveTenant(req) {
+  const explicit = req.get('x-tenant') || subdomainOf(req.hostname);
+
+  if (explicit) {
+    const tenant = await findTenant(explicit);
+    if (!tenant) throw new HttpError(404, 'Produtor não encontrado');
+    return tenant;
+  }
+
+  const tenantId = tokenTenantId(req) || await referencedTenantId(req);
+  const tenant = tenantId
+    ? await db.tenants.get(tenantId)
+    : await db.tenants.findBySlug(DEFAULT_TENANT);
+
+  if (!tenant) throw new HttpError(400, 'Informe o produtor (header X-Tenant)');
+  return tenant;
+}
+
+// Middleware global (depois do parser do corpo): define req.tenant e executa o
+// restante da requisição no contexto do produtor
+function tenantContext() {
+  return async (req, res, next) => {
+    if (PLATFORM_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`))) {
+      return runAsPlatform(next);
+    }
+
+    try {
+      const tenant = await runAsPlatform(() => resolveTenant(req));
+
+      if (!tenant.active) {
+        throw new HttpError(403, 'Produtor desativado');
+      }
+
+      req.tenant = tenant;
+
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    runAsTenant(req.tenant.id, next);
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CADASTRO
+// ═══════════════════════════════════════════════════════════════════
+
+// Produtor e seu primeiro usuário (owner) gravados juntos
+async function createTenant({ slug, name, owner }) {
+  if (await db.tenants.findBySlug(slug)) {
+    throw new HttpError(400, 'Slug de produtor já cadastrado');
+  }
+
+  const passwordHash = await hashPassword(owner.password);
+  const now = new Date().toISOString();
+
+  return db.store.transaction(tx => {
+    const tenant = tx.insert('tenants', {
+      id: uuidv4(),
+      slug,
+      name,
+      active: true,
+      analyticsKey: generateAnalyticsKey(),
+      createdAt: now
+    });
+
+    const user = runAsTenant(tenant.id, () => tx.insert('adminUsers', {
+      id: uuidv4(),
+      email: owner.email,
+      name: owner.name || '',
+      role: 'owner',
+      passwordHash,
+      active: true,
+      createdAt: now
+    }));
+
+    return { tenant, owner: user };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TOTAIS DA PLATAFORMA
+// ═══════════════════════════════════════════════════════════════════
+
+function emptyTotals() {
+  return { events: 0, orders: 0, paidOrders: 0, ticketsSold: 0, grossCents: 0, refundedCents: 0, revenueCents: 0 };
+}
+
+function withReais(totals) {
+  return { ...totals, revenue: toReais(totals.revenueCents) };
+}
+
+// Pedidos criados e pagos no período, por produtor e somados (visão da plataforma)
+async function buildPlatformSummary({ from, to }) {
+  return runAsPlatform(async () => {
+    const [tenants, events, orders] = await Promise.all([
+      db.tenants.list(),
+      db.events.list(),
+      db.orders.list()
+    ]);
+
+    const inPeriod = date => date && new Date(date) >= from && new Date(date) < to;
+    const byTenant = new Map(tenants.map(t => [t.id, {
+      tenantId: t.id,
+      slug: t.slug,
+      name: t.name,
+      active: t.active,
+      ...emptyTotals()
+    }]));
+    const totals = emptyTotals();
+    const rowsOf = tenantId => [byTenant.get(tenantId), totals].filter(Boolean);
+
+    for (const event of events) {
+      for (const row of rowsOf(event.tenantId)) row.events++;
+    }
+
+    for (const order of orders) {
+      const rows = rowsOf(order.tenantId);
+
+      if (inPeriod(order.createdAt)) {
+        for (const row of rows) row.orders++;
+      }
+
+      if (isPaid(order) && inPeriod(order.paidAt)) {
+        const tickets = ticketCount(order);
+        const refunded = order.refundedCents || 0;
+
+        for (const row of rows) {
+          row.paidOrders++;
+          row.ticketsSold += tickets;
+          row.grossCents += order.totalCents;
+          row.refundedCents += refunded;
+          row.revenueCents += order.totalCents - refunded;
+        }
+      }
+    }
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      tenants: [...byTenant.values()].map(withReais).sort((a, b) => b.revenueCents - a.revenueCents),
+      totals: { tenants: tenants.length, ...withReais(totals) }
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  generateAnalyticsKey,
+  findTenant,
+  resolveTenant,
+  tenantContext,
+  createTenant,
+  buildPlatformSummary
+};
@@ -0,0 +1,177 @@
+// lib/tickets.js
+// Emissão de ingressos individuais com token assinado (HMAC-SHA256) para o QR Code
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { HttpError } = require('./errors');
+const { generateQrCode } = require('./pix');
+
+const TICKETS = 'tickets';
+const TOKEN_PREFIX = 'GMT1';
+
+let TICKET_SECRET = process.env.TICKET_SECRET;
+if (!TICKET_SECRET) {
+  // Sem segredo fixo os QR Codes emitidos deixam de valer quando o processo reinicia
+  TICKET_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  TICKET_SECRET não definido - ingressos emitidos não sobrevivem a reinícios');
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TOKEN DO QR CODE
+// ═══════════════════════════════════════════════════════════════════
+
+function sign(data) {
+  return crypto.createHmac('sha256', TICKET_SECRET).update(data).digest('base64url');
+}
+
+// A versão muda a cada reemissão, invalidando o QR Code anterior
+function signTicketToken(ticket) {
+  const body = Buffer.from(JSON.stringify({
+    t: ticket.id,
+    e: ticket.eventId,
+    v: ticket.version
+  })).toString('base64url');
+
+  return `${TOKEN_PREFIX}.${body}.${sign(`${TOKEN_PREFIX}.${body}`)}`;
+}
+
+// Retorna { ticketId, eventId, version } se a assinatura confere, senão null
+function verifyTicketToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { t, e, v } = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return { ticketId: t, eventId: e, version: v };
+  } catch (error) {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EMISSÃO (dentro da transação do pedido)
+// ═══════════════════════════════════════════════════════════════════
+
+// Um ingresso por unidade de cada item do pedido
+function issueTickets(tx, order) {
+  const now = new Date().toISOString();
+  const issued = [];
+
+  for (const item of order.items) {
+    for (let i = 0; i < item.quantity; i++) {
+      const ticket = {
+        id: uuidv4(),
+        orderId: order.id,
+        eventId: order.eventId,
+        ticketTypeId: item.ticketTypeId,
+        title: item.title,
+        holderName: order.customer.name,
+        holderCpf: order.customer.cpf,
+        status: 'valid',
+        version: 1,
+        issuedAt: now,
+        history: []
+      };
+      ticket.token = signTicketToken(ticket);
+      issued.push(tx.insert(TICKETS, ticket));
+    }
+  }
+
+  return issued;
+}
+
+// Invalida os ingressos de um pedido reembolsado
+function voidTickets(tx, order) {
+  const now = new Date().toISOString();
+
+  for (const ticket of tx.list(TICKETS, t => t.orderId === order.id && t.status === 'valid')) {
+    tx.update(TICKETS, ticket.id, { status: 'void', voidedAt: now });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REEMISSÃO / TRANSFERÊNCIA
+// ═══════════════════════════════════════════════════════════════════
+
+// Gera um novo token (o anterior deixa de valer) e, se informado, troca o titular
+function reissueTicket(tx, ticketId, { holderName, holderCpf, actor } = {}) {
+  const ticket = tx.get(TICKETS, ticketId);
+
+  if (!ticket) {
+    throw new HttpError(404, 'Ingresso não encontrado');
+  }
+  if (ticket.status !== 'valid') {
+    throw new HttpError(409, `Ingresso não pode ser reemitido (status: ${ticket.status})`);
+  }
+
+  const transfer = Boolean(holderName || holderCpf);
+  if (transfer && (!holderName || !holderCpf)) {
+    throw new HttpError(400, 'Para transferir informe holderName e holderCpf');
+  }
+
+  const updated = {
+    ...ticket,
+    version: ticket.version + 1,
+    holderName: transfer ? holderName : ticket.holderName,
+    holderCpf: transfer ? String(holderCpf).replace(/\D/g, '') : ticket.holderCpf,
+    reissuedAt: new Date().toISOString()
+  };
+  updated.token = signTicketToken(updated);
+  updated.history = [
+    ...(ticket.history || []),
+    {
+      at: updated.reissuedAt,
+      action: transfer ? 'transfer' : 'reissue',
+      version: updated.version,
+      ...(transfer && {
+        from: { holderName: ticket.holderName, holderCpf: ticket.holderCpf },
+        to: { holderName: updated.holderName, holderCpf: updated.holderCpf }
+      }),
+      actor: actor || { type: 'customer' }
+    }
+  ];
+
+  return tx.update(TICKETS, ticketId, updated);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EXIBIÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+function maskCpf(cpf) {
+  const digits = String(cpf || '');
+  return digits.length === 11 ? `***.${digits.substring(3, 6)}.***-${digits.substring(9)}` : digits;
+}
+
+// Ingresso como o cliente vê: CPF mascarado e QR Code só enquanto válido
+async function publicTicket(ticket) {
+  return {
+    id: ticket.id,
+    title: ticket.title,
+    eventId: ticket.eventId,
+    ticketTypeId: ticket.ticketTypeId,
+    holderName: ticket.holderName,
+    holderCpf: maskCpf(ticket.holderCpf),
+    status: ticket.status,
+    token: ticket.status === 'valid' ? ticket.token : null,
+    qrCode: ticket.status === 'valid' ? await generateQrCode(ticket.token) : null,
+    issuedAt: ticket.issuedAt,
+    reissuedAt: ticket.reissuedAt
+  };
+}
+
+module.exports = {
+  signTicketToken,
+  verifyTicketToken,
+  issueTickets,
+  voidTickets,
+  reissueTicket,
+  publicTicket
+};
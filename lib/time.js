@@ -0,0 +1,79 @@
+// lib/time.js
+// Datas no fuso do público (America/Sao_Paulo), independente do fuso do servidor
+
+const DEFAULT_TZ = process.env.APP_TIMEZONE || 'America/Sao_Paulo';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// { year, month, day, hour, minute, weekday (0 = domingo), date: 'AAAA-MM-DD' }
+function zonedParts(date, timeZone = DEFAULT_TZ) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+// Diferença (ms) entre o horário local no fuso e o UTC no instante informado
+function offsetAt(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return wall - Math.floor(instant / 60000) * 60000;
+}
+
+// Meia-noite local de 'AAAA-MM-DD' no fuso, como instante UTC
+// (refaz o cálculo com o offset do resultado para acertar dias com horário de verão)
+function zonedMidnight(date, timeZone = DEFAULT_TZ) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day);
+
+  let instant = wall - offsetAt(wall, timeZone);
+  const corrected = wall - offsetAt(instant, timeZone);
+  if (corrected !== instant) instant = corrected;
+
+  return new Date(instant);
+}
+
+// 'AAAA-MM-DD' deslocada em days dias (aritmética de calendário, sem fuso)
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { DEFAULT_TZ, zonedParts, zonedMidnight, addDays, isValidTimeZone };
@@ -0,0 +1,269 @@
+// lib/validation.js
+// Validação de corpos de requisição: regras por campo, documentos brasileiros
+// (CPF/CNPJ), e-mail, telefone e chaves PIX conforme o tipo
+
+const { HttpError, sendError } = require('./errors');
+
+const PIX_KEY_TYPES = ['cpf', 'cnpj', 'email', 'phone', 'evp'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const EVP_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ═══════════════════════════════════════════════════════════════════
+// DOCUMENTOS E CONTATOS
+// ═══════════════════════════════════════════════════════════════════
+
+function onlyDigits(value) {
+  return String(value).replace(/\D/g, '');
+}
+
+// Dígito verificador módulo 11 sobre os pesos informados
+function checkDigit(digits, weights) {
+  const sum = weights.reduce((acc, weight, i) => acc + Number(digits[i]) * weight, 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+}
+
+function isValidCpf(value) {
+  const digits = onlyDigits(value);
+  if (digits.length !== 11 || /^(\d)\1+$/.test(digits)) return false;
+
+  const first = checkDigit(digits, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = checkDigit(digits, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return first === Number(digits[9]) && second === Number(digits[10]);
+}
+
+function isValidCnpj(value) {
+  const digits = onlyDigits(value);
+  if (digits.length !== 14 || /^(\d)\1+$/.test(digits)) return false;
+
+  const first = checkDigit(digits, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = checkDigit(digits, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return first === Number(digits[12]) && second === Number(digits[13]);
+}
+
+function isValidEmail(value) {
+  return typeof value === 'string' && value.length <= 254 && EMAIL_REGEX.test(value.trim());
+}
+
+// Telefone brasileiro: DDD + 8 ou 9 dígitos, com ou sem +55
+function isValidPhone(value) {
+  let digits = onlyDigits(value);
+  if (digits.length > 11 && digits.startsWith('55')) digits = digits.slice(2);
+  return /^[1-9]{2}9?\d{8}$/.test(digits);
+}
+
+// Mensagem de erro da chave para o tipo informado (null se válida)
+function pixKeyError(key, type) {
+  if (!PIX_KEY_TYPES.includes(type)) {
+    return `Tipo de chave inválido. Use: ${PIX_KEY_TYPES.join(', ')}`;
+  }
+
+  const value = String(key).trim();
+
+  switch (type) {
+    case 'cpf':
+      return /^[\d.\-]+$/.test(value) && isValidCpf(value) ? null : 'CPF inválido';
+    case 'cnpj':
+      return /^[\d.\-\/]+$/.test(value) && isValidCnpj(value) ? null : 'CNPJ inválido';
+    case 'email':
+      return isValidEmail(value) ? null : 'E-mail inválido';
+    case 'phone':
+      return /^\+?[\d\s()\-]+$/.test(value) && isValidPhone(value) ? null : 'Telefone inválido';
+    case 'evp':
+      return EVP_REGEX.test(value) ? null : 'Chave aleatória (EVP) inválida';
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REGRAS
+// ═══════════════════════════════════════════════════════════════════
+// Cada regra recebe (valor, caminho, erros) e devolve o valor normalizado;
+// problemas são acumulados em erros como { field, message }
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function rule(options, check) {
+  return (value, path, errors) => {
+    if (isMissing(value)) {
+      if (!options.optional) errors.push({ field: path, message: 'Campo obrigatório' });
+      return options.optional && value === null ? null : undefined;
+    }
+    return check(value, path, errors);
+  };
+}
+
+function fail(errors, path, message) {
+  errors.push({ field: path, message });
+  return undefined;
+}
+
+function string({ optional = false, max = 200, pattern, message } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (typeof value !== 'string') return fail(errors, path, 'Deve ser um texto');
+
+    const trimmed = value.trim();
+    if (!trimmed) return fail(errors, path, 'Campo obrigatório');
+    if (trimmed.length > max) return fail(errors, path, `Máximo de ${max} caracteres`);
+    if (pattern && !pattern.test(trimmed)) return fail(errors, path, message || 'Formato inválido');
+    return trimmed;
+  });
+}
+
+function email({ optional = false } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (!isValidEmail(value)) return fail(errors, path, 'E-mail inválido');
+    return value.trim().toLowerCase();
+  });
+}
+
+// CPF normalizado para apenas dígitos
+function cpf({ optional = false } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (typeof value !== 'string' || !/^[\d.\-\s]+$/.test(value) || !isValidCpf(value)) {
+      return fail(errors, path, 'CPF inválido');
+    }
+    return onlyDigits(value);
+  });
+}
+
+// Telefone normalizado para apenas dígitos
+function phone({ optional = false } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (typeof value !== 'string' || !/^\+?[\d\s()\-]+$/.test(value) || !isValidPhone(value)) {
+      return fail(errors, path, 'Telefone inválido');
+    }
+    return onlyDigits(value);
+  });
+}
+
+function integer({ optional = false, min, max } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (!Number.isInteger(value)) return fail(errors, path, 'Deve ser um número inteiro');
+    if (min !== undefined && value < min) return fail(errors, path, `Deve ser maior ou igual a ${min}`);
+    if (max !== undefined && value > max) return fail(errors, path, `Deve ser menor ou igual a ${max}`);
+    return value;
+  });
+}
+
+function number({ optional = false, min } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return fail(errors, path, 'Deve ser um número');
+    if (min !== undefined && value < min) return fail(errors, path, `Deve ser maior ou igual a ${min}`);
+    return value;
+  });
+}
+
+// Data em qualquer formato aceito por Date, normalizada para ISO
+function date({ optional = false } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    const parsed = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!parsed || isNaN(parsed.getTime())) return fail(errors, path, 'Data inválida');
+    return parsed.toISOString();
+  });
+}
+
+function boolean({ optional = false } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (typeof value !== 'boolean') return fail(errors, path, 'Deve ser true ou false');
+    return value;
+  });
+}
+
+function oneOf(values, { optional = false } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (!values.includes(value)) return fail(errors, path, `Use: ${values.join(', ')}`);
+    return value;
+  });
+}
+
+function array(item, { optional = false, min = 0, max = 100 } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (!Array.isArray(value)) return fail(errors, path, 'Deve ser uma lista');
+    if (value.length < min) return fail(errors, path, min === 1 ? 'Informe ao menos um item' : `Mínimo de ${min} itens`);
+    if (value.length > max) return fail(errors, path, `Máximo de ${max} itens`);
+    return value.map((entry, i) => item(entry, `${path}[${i}]`, errors));
+  });
+}
+
+// Só os campos declarados passam adiante (exceto com passthrough);
+// check valida combinações entre campos
+function object(shape, { optional = false, passthrough = false, check } = {}) {
+  return rule({ optional }, (value, path, errors) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return fail(errors, path || 'body', 'Deve ser um objeto');
+
+    const result = passthrough ? { ...value } : {};
+    const before = errors.length;
+
+    for (const [key, fieldRule] of Object.entries(shape)) {
+      const cleaned = fieldRule(value[key], path ? `${path}.${key}` : key, errors);
+      if (cleaned !== undefined) result[key] = cleaned;
+    }
+
+    if (check && errors.length === before) {
+      for (const problem of check(result) || []) {
+        errors.push({ ...problem, field: path ? `${path}.${problem.field}` : problem.field });
+      }
+    }
+
+    return result;
+  });
+}
+
+// Aceita o valor como veio (validado adiante pela regra de negócio)
+function any() {
+  return value => value;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// APLICAÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+// Valida e devolve o valor normalizado; 400 com a lista de campos se inválido
+function assertValid(schema, value) {
+  const errors = [];
+  const cleaned = schema(value === undefined ? {} : value, '', errors);
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Dados inválidos', errors);
+  }
+
+  return cleaned;
+}
+
+// Middleware: substitui req[source] pelo valor normalizado
+function validate(schema, source = 'body') {
+  return (req, res, next) => {
+    try {
+      req[source] = assertValid(schema, req[source]);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+module.exports = {
+  PIX_KEY_TYPES,
+  isValidCpf,
+  isValidCnpj,
+  isValidEmail,
+  isValidPhone,
+  pixKeyError,
+  string,
+  email,
+  cpf,
+  phone,
+  integer,
+  number,
+  date,
+  boolean,
+  oneOf,
+  array,
+  object,
+  any,
+  assertValid,
+  validate
+};
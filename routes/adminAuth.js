@@ -0,0 +1,201 @@
+// routes/adminAuth.js
+// Login de administradores e gestão de usuários do painel
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../lib/db');
+const { signToken, requireAdmin } = require('../lib/auth');
+const { hashPassword, verifyPassword } = require('../lib/password');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+const { parseLimit, rateLimit } = require('../lib/rateLimit');
+
+const router = express.Router();
+
+// Tentativas de login por IP (força bruta)
+const LOGIN_LIMIT = parseLimit(process.env.RATE_LIMIT_LOGIN_IP, '10/15m');
+
+// Nunca expor o hash da senha
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// LOGIN
+// ═══════════════════════════════════════════════════════════════════
+
+router.post('/login', rateLimit('login', LOGIN_LIMIT), validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await db.adminUsers.findByEmail(email);
+    const valid = user && user.active && await verifyPassword(password, user.passwordHash);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Credenciais inválidas'
+      });
+    }
+
+    await db.adminUsers.update(user.id, { lastLoginAt: new Date().toISOString() });
+
+    const { token, expiresAt } = signToken(user);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: publicUser(user)
+    });
+
+  } catch (error) {
+    console.error('Erro no login:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/me', requireAdmin(), (req, res) => {
+  res.json({
+    success: true,
+    user: req.admin
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// USUÁRIOS
+// ═══════════════════════════════════════════════════════════════════
+
+router.get('/users', requireAdmin('users:manage'), async (req, res) => {
+  try {
+    const users = await db.adminUsers.list();
+
+    res.json({
+      success: true,
+      users: users.map(publicUser),
+      total: users.length
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/users', requireAdmin('users:manage'), validate(schemas.adminUserCreate), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+
+    if (await db.adminUsers.findByEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Usuário já cadastrado'
+      });
+    }
+
+    const user = await db.adminUsers.create({
+      id: uuidv4(),
+      email,
+      name: name || '',
+      role,
+      passwordHash: await hashPassword(password),
+      active: true,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      user: publicUser(user),
+      message: 'Usuário criado'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.put('/users/:id', requireAdmin('users:manage'), validate(schemas.adminUserUpdate), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, password, role, active } = req.body;
+
+    // Evita que o owner se tranque fora do painel
+    if (id === req.admin.id && ((role && role !== 'owner') || active === false)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Não é possível rebaixar ou desativar o próprio usuário'
+      });
+    }
+
+    const changes = { updatedAt: new Date().toISOString() };
+    if (name !== undefined) changes.name = name || '';
+    if (role !== undefined) changes.role = role;
+    if (active !== undefined) changes.active = active;
+    if (password) changes.passwordHash = await hashPassword(password);
+
+    const updated = await db.adminUsers.update(id, changes);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuário não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: publicUser(updated),
+      message: 'Usuário atualizado'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/users/:id', requireAdmin('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.admin.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Não é possível remover o próprio usuário'
+      });
+    }
+
+    const removed = await db.adminUsers.remove(id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuário não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Usuário removido'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
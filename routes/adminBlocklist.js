@@ -0,0 +1,98 @@
+// routes/adminBlocklist.js
+// Gestão do bloqueio de IPs, CPFs e e-mails abusivos
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../lib/db');
+const { requireAdmin, actorOf } = require('../lib/auth');
+const { normalizeBlockValue } = require('../lib/blocklist');
+const { HttpError, sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// Montado em /api/admin/blocklist
+const router = express.Router();
+
+router.get('/', requireAdmin('blocklist:manage'), async (req, res) => {
+  try {
+    const { type } = req.query;
+    const entries = await db.blocklist.list(e => !type || e.type === type);
+
+    res.json({
+      success: true,
+      entries,
+      total: entries.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// { type: ip | cpf | email, value, reason?, expiresAt? }
+router.post('/', requireAdmin('blocklist:manage'), validate(schemas.blockCreate), async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    const value = normalizeBlockValue(type, req.body.value);
+
+    let expiresAt = null;
+    if (req.body.expiresAt) {
+      const date = new Date(req.body.expiresAt);
+      if (isNaN(date.getTime())) {
+        throw new HttpError(400, 'Dados inválidos', [{ field: 'expiresAt', message: 'Data inválida' }]);
+      }
+      expiresAt = date.toISOString();
+    }
+
+    if (await db.blocklist.find(e => e.type === type && e.value === value)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bloqueio já cadastrado'
+      });
+    }
+
+    const entry = await db.blocklist.create({
+      id: uuidv4(),
+      type,
+      value,
+      reason: reason || null,
+      expiresAt,
+      createdBy: actorOf(req),
+      createdAt: new Date().toISOString()
+    });
+
+    console.log('⛔ Bloqueio adicionado:', type, value);
+
+    res.json({
+      success: true,
+      entry,
+      message: 'Bloqueio adicionado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id', requireAdmin('blocklist:manage'), async (req, res) => {
+  try {
+    const removed = await db.blocklist.remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bloqueio não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bloqueio removido'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// routes/adminCoupons.js
+// Gestão de cupons de desconto e consulta de resgates
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../lib/db');
+const { requireAdmin } = require('../lib/auth');
+const { normalizeCode } = require('../lib/coupons');
+const { HttpError, sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// Montado em /api/admin/coupons
+const router = express.Router();
+
+// Cupom com a contagem de usos ativos (pedidos pendentes ou pagos)
+async function withUsage(coupon) {
+  const redemptions = await db.coupons.listRedemptions(r => r.couponId === coupon.id && r.status === 'active');
+
+  return {
+    ...coupon,
+    redemptions: redemptions.length,
+    discountGivenCents: redemptions.reduce((sum, r) => sum + r.discountCents, 0)
+  };
+}
+
+router.get('/', requireAdmin('catalog:read'), async (req, res) => {
+  try {
+    const { eventId } = req.query;
+    const coupons = await db.coupons.list(c => !eventId || c.eventId === eventId);
+
+    res.json({
+      success: true,
+      coupons: await Promise.all(coupons.map(withUsage)),
+      total: coupons.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:id', requireAdmin('catalog:read'), async (req, res) => {
+  try {
+    const coupon = await db.coupons.get(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cupom não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      coupon: await withUsage(coupon),
+      redemptions: await db.coupons.listRedemptions(r => r.couponId === coupon.id)
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/', requireAdmin('catalog:write'), validate(schemas.couponCreate), async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+
+    if (await db.coupons.findByCode(code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Código de cupom já cadastrado'
+      });
+    }
+
+    if (req.body.eventId && !await db.events.get(req.body.eventId)) {
+      throw new HttpError(404, 'Evento não encontrado');
+    }
+
+    const coupon = await db.coupons.create({
+      id: uuidv4(),
+      eventId: null,
+      ticketTypeIds: [],
+      maxRedemptions: null,
+      maxPerCpf: null,
+      minQuantity: null,
+      validFrom: null,
+      validUntil: null,
+      active: true,
+      ...req.body,
+      code,
+      createdAt: new Date().toISOString()
+    });
+
+    console.log('🏷️  Cupom criado:', coupon.code);
+
+    res.json({
+      success: true,
+      coupon,
+      message: 'Cupom criado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.put('/:id', requireAdmin('catalog:write'), validate(schemas.couponUpdate), async (req, res) => {
+  try {
+    const current = await db.coupons.get(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cupom não encontrado'
+      });
+    }
+
+    // Confere a combinação final (ex.: só value mudou em um cupom percentual)
+    const merged = { ...current, ...req.body };
+    if (merged.type === 'percent' && merged.value > 100) {
+      throw new HttpError(400, 'Dados inválidos', [{ field: 'value', message: 'Percentual deve ser de 1 a 100' }]);
+    }
+
+    const updated = await db.coupons.update(current.id, {
+      ...req.body,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      coupon: await withUsage(updated),
+      message: 'Cupom atualizado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id', requireAdmin('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Cupons usados ficam no histórico dos pedidos: desative-os
+    if ((await db.coupons.listRedemptions(r => r.couponId === id)).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cupom já utilizado. Desative-o em vez de remover'
+      });
+    }
+
+    const removed = await db.coupons.remove(id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cupom não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cupom removido'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+// routes/adminEvents.js
+// CRUD administrativo de eventos e tipos de ingresso
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../lib/db');
+const { requireAdmin } = require('../lib/auth');
+const { normalizeLots, normalizeCapacity } = require('../lib/catalog');
+const { sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+const router = express.Router();
+
+// ═══════════════════════════════════════════════════════════════════
+// EVENTOS
+// ═══════════════════════════════════════════════════════════════════
+
+router.get('/events', requireAdmin('catalog:read'), async (req, res) => {
+  try {
+    const events = await db.events.list();
+
+    res.json({
+      success: true,
+      events,
+      total: events.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/events/:eventId', requireAdmin('catalog:read'), async (req, res) => {
+  try {
+    const event = await db.events.get(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evento não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      event,
+      ticketTypes: await db.ticketTypes.listByEvent(event.id)
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/events', requireAdmin('catalog:write'), validate(schemas.eventCreate), async (req, res) => {
+  try {
+    const { name, venue, date, description, salesStart, salesEnd } = req.body;
+
+    const event = await db.events.create({
+      id: uuidv4(),
+      name,
+      venue,
+      date,
+      description: description || '',
+      salesStart: salesStart || null,
+      salesEnd: salesEnd || null,
+      active: true,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      event,
+      message: 'Evento criado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.put('/events/:eventId', requireAdmin('catalog:write'), validate(schemas.eventUpdate), async (req, res) => {
+  try {
+    const { name, venue, date, description, salesStart, salesEnd, active } = req.body;
+
+    const changes = { updatedAt: new Date().toISOString() };
+    if (name !== undefined) changes.name = name;
+    if (venue !== undefined) changes.venue = venue;
+    if (date !== undefined) changes.date = date;
+    if (description !== undefined) changes.description = description || '';
+    if (salesStart !== undefined) changes.salesStart = salesStart;
+    if (salesEnd !== undefined) changes.salesEnd = salesEnd;
+    if (active !== undefined) changes.active = active;
+
+    const updated = await db.events.update(req.params.eventId, changes);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evento não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      event: updated,
+      message: 'Evento atualizado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/events/:eventId', requireAdmin('catalog:write'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    // Eventos com vendas não podem sumir do histórico: desative-os
+    if (await db.orders.count(o => o.eventId === eventId) > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Evento possui pedidos. Desative-o em vez de remover'
+      });
+    }
+
+    const removed = await db.events.remove(eventId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evento não encontrado'
+      });
+    }
+
+    for (const ticketType of await db.ticketTypes.listByEvent(eventId)) {
+      await db.ticketTypes.remove(ticketType.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Evento removido'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// TIPOS DE INGRESSO
+// ═══════════════════════════════════════════════════════════════════
+
+router.get('/events/:eventId/ticket-types', requireAdmin('catalog:read'), async (req, res) => {
+  try {
+    const ticketTypes = await db.ticketTypes.listByEvent(req.params.eventId);
+
+    res.json({
+      success: true,
+      ticketTypes,
+      total: ticketTypes.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/events/:eventId/ticket-types', requireAdmin('catalog:write'), validate(schemas.ticketTypeCreate), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { name, description, lots, capacity } = req.body;
+
+    if (!await db.events.get(eventId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evento não encontrado'
+      });
+    }
+
+    const ticketType = await db.ticketTypes.create({
+      id: uuidv4(),
+      eventId,
+      name,
+      description: description || '',
+      lots: normalizeLots(lots),
+      capacity: normalizeCapacity(capacity),
+      reserved: 0,
+      sold: 0,
+      active: true,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      ticketType,
+      message: 'Tipo de ingresso criado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.put('/ticket-types/:id', requireAdmin('catalog:write'), validate(schemas.ticketTypeUpdate), async (req, res) => {
+  try {
+    const { name, description, lots, capacity, active } = req.body;
+
+    const current = await db.ticketTypes.get(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tipo de ingresso não encontrado'
+      });
+    }
+
+    const changes = { updatedAt: new Date().toISOString() };
+    if (name !== undefined) changes.name = name;
+    if (description !== undefined) changes.description = description || '';
+    if (lots !== undefined) changes.lots = normalizeLots(lots);
+    if (active !== undefined) changes.active = active;
+
+    if (capacity !== undefined) {
+      changes.capacity = normalizeCapacity(capacity);
+
+      // Não pode ficar abaixo do que já foi vendido ou está reservado
+      const committed = (current.reserved || 0) + (current.sold || 0);
+      if (changes.capacity !== null && changes.capacity < committed) {
+        return res.status(400).json({
+          success: false,
+          error: `Capacidade menor que o já vendido/reservado (${committed})`
+        });
+      }
+    }
+
+    const updated = await db.ticketTypes.update(req.params.id, changes);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tipo de ingresso não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      ticketType: updated,
+      message: 'Tipo de ingresso atualizado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/ticket-types/:id', requireAdmin('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sold = await db.orders.count(o => o.items.some(item => item.ticketTypeId === id));
+    if (sold > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tipo de ingresso possui pedidos. Desative-o em vez de remover'
+      });
+    }
+
+    const removed = await db.ticketTypes.remove(id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tipo de ingresso não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tipo de ingresso removido'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
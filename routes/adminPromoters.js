@@ -0,0 +1,183 @@
+// routes/adminPromoters.js
+// Gestão de promoters (afiliados), regras de comissão e relatório de comissões.
+// O link de divulgação é qualquer página do site com ?ref=CODIGO
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../lib/db');
+const { requireAdmin } = require('../lib/auth');
+const { normalizeCode } = require('../lib/coupons');
+const { buildCommissionReport } = require('../lib/promoters');
+const { parseAnalyticsQuery } = require('../lib/analytics');
+const { HttpError, sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// Montado em /api/admin/promoters
+const router = express.Router();
+
+async function assertEventsExist(eventIds) {
+  for (const eventId of eventIds || []) {
+    if (!await db.events.get(eventId)) {
+      throw new HttpError(404, `Evento não encontrado: ${eventId}`);
+    }
+  }
+}
+
+router.get('/', requireAdmin('promoters:read'), async (req, res) => {
+  try {
+    const promoters = await db.promoters.list();
+
+    res.json({
+      success: true,
+      promoters,
+      total: promoters.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Comissões por promoter, campanha e evento dos pedidos pagos no período
+// (?from=&to= como no dashboard de analytics; filtros eventId e promoterId)
+router.get('/report', requireAdmin('promoters:read'), async (req, res) => {
+  try {
+    const { from, to } = parseAnalyticsQuery(req.query);
+
+    const report = await buildCommissionReport({
+      from,
+      to,
+      eventId: req.query.eventId || null,
+      promoterId: req.query.promoterId || null
+    });
+
+    res.json({ success: true, report });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:id', requireAdmin('promoters:read'), async (req, res) => {
+  try {
+    const promoter = await db.promoters.get(req.params.id);
+
+    if (!promoter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promoter não encontrado'
+      });
+    }
+
+    res.json({ success: true, promoter });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/', requireAdmin('promoters:write'), validate(schemas.promoterCreate), async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+
+    if (await db.promoters.findByCode(code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Código de promoter já cadastrado'
+      });
+    }
+
+    await assertEventsExist(req.body.eventIds);
+
+    const promoter = await db.promoters.create({
+      id: uuidv4(),
+      email: null,
+      eventIds: [],
+      active: true,
+      ...req.body,
+      code,
+      createdAt: new Date().toISOString()
+    });
+
+    console.log('📣 Promoter criado:', promoter.code);
+
+    res.json({
+      success: true,
+      promoter,
+      message: 'Promoter criado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Alterações na comissão valem para pedidos novos; os já feitos mantêm a regra da compra
+router.put('/:id', requireAdmin('promoters:write'), validate(schemas.promoterUpdate), async (req, res) => {
+  try {
+    const current = await db.promoters.get(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promoter não encontrado'
+      });
+    }
+
+    const merged = { ...current, ...req.body };
+    if (merged.commissionType === 'percent' && merged.commissionValue > 100) {
+      throw new HttpError(400, 'Dados inválidos', [{ field: 'commissionValue', message: 'Percentual deve ser de 0 a 100' }]);
+    }
+
+    await assertEventsExist(req.body.eventIds);
+
+    const updated = await db.promoters.update(current.id, {
+      ...req.body,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      promoter: updated,
+      message: 'Promoter atualizado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id', requireAdmin('promoters:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Vendas atribuídas entram no relatório de comissões: desative em vez de remover
+    const sold = await db.orders.count(o => o.attribution && o.attribution.promoter && o.attribution.promoter.id === id);
+    if (sold > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Promoter com vendas atribuídas. Desative-o em vez de remover'
+      });
+    }
+
+    const removed = await db.promoters.remove(id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promoter não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promoter removido'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
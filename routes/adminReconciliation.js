@@ -0,0 +1,136 @@
+// routes/adminReconciliation.js
+// Importação de extratos bancários e fila de revisão da conciliação
+
+const express = require('express');
+const db = require('../lib/db');
+const { requireAdmin, actorOf } = require('../lib/auth');
+const { importStatement, manualMatch, rejectEntry, REVIEW_REASONS } = require('../lib/reconciliation');
+const { sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+const router = express.Router();
+
+// O extrato é enviado como texto puro no corpo (OFX ou CSV)
+const statementBody = express.text({
+  type: ['text/*', 'application/x-ofx', 'application/ofx', 'application/octet-stream'],
+  limit: '5mb'
+});
+
+function publicEntry(entry) {
+  return {
+    ...entry,
+    reasonMessage: entry.reason ? REVIEW_REASONS[entry.reason] : null
+  };
+}
+
+// POST /import?format=ofx|csv&pixKeyId=...&fileName=...
+router.post('/import', requireAdmin('reconciliation:manage'), statementBody, async (req, res) => {
+  try {
+    const content = typeof req.body === 'string' ? req.body : '';
+    const { format, pixKeyId, fileName } = req.query;
+
+    if (!content.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Envie o conteúdo do extrato no corpo (Content-Type: text/plain)'
+      });
+    }
+
+    if (format && !['ofx', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Formato inválido. Use: ofx, csv'
+      });
+    }
+
+    const statementImport = await importStatement(content, {
+      format,
+      pixKeyId,
+      fileName,
+      actor: actorOf(req)
+    });
+
+    console.log('🏦 Extrato importado:', statementImport.id, statementImport.summary);
+
+    res.json({
+      success: true,
+      import: statementImport,
+      message: 'Extrato importado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/imports', requireAdmin('reconciliation:read'), async (req, res) => {
+  try {
+    const imports = await db.reconciliation.listImports();
+
+    res.json({
+      success: true,
+      imports: imports.sort((a, b) => b.importedAt.localeCompare(a.importedAt)),
+      total: imports.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Lançamentos por status (padrão: fila de revisão)
+router.get('/entries', requireAdmin('reconciliation:read'), async (req, res) => {
+  try {
+    const { status = 'review', importId } = req.query;
+
+    const entries = await db.reconciliation.listEntries(e =>
+      (status === 'all' || e.status === status) &&
+      (!importId || e.importId === importId)
+    );
+
+    res.json({
+      success: true,
+      entries: entries
+        .sort((a, b) => b.postedAt.localeCompare(a.postedAt))
+        .map(publicEntry),
+      total: entries.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/entries/:entryId/match', requireAdmin('reconciliation:manage'), validate(schemas.reconciliationMatch), async (req, res) => {
+  try {
+    const { orderId } = req.body;
+    const entry = await manualMatch(req.params.entryId, orderId, actorOf(req));
+
+    res.json({
+      success: true,
+      entry: publicEntry(entry),
+      message: 'Crédito conciliado manualmente'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/entries/:entryId/reject', requireAdmin('reconciliation:manage'), validate(schemas.reconciliationReject), async (req, res) => {
+  try {
+    const entry = await rejectEntry(req.params.entryId, actorOf(req), req.body.note);
+
+    res.json({
+      success: true,
+      entry: publicEntry(entry),
+      message: 'Lançamento rejeitado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// routes/adminSettlements.js
+// Repasses do produtor (somente leitura): demonstrativos gerados pela plataforma
+// e regras de taxa aplicadas aos pedidos
+
+const express = require('express');
+const db = require('../lib/db');
+const { requireAdmin } = require('../lib/auth');
+const { summarize } = require('../lib/settlements');
+const { renderSettlementPdf } = require('../lib/settlementPdf');
+const { sendError } = require('../lib/errors');
+
+// Montado em /api/admin/settlements
+const router = express.Router();
+
+router.get('/', requireAdmin('settlements:read'), async (req, res) => {
+  try {
+    const settlements = (await db.settlements.list())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.json({
+      success: true,
+      settlements: settlements.map(summarize),
+      total: settlements.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Regra padrão do produtor (eventId null) e regras por evento
+router.get('/fee-rules', requireAdmin('settlements:read'), async (req, res) => {
+  try {
+    const rules = await db.feeRules.list();
+
+    res.json({
+      success: true,
+      rules,
+      total: rules.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Demonstrativo completo; ?format=pdf para o PDF
+router.get('/:id', requireAdmin('settlements:read'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Formato inválido. Use: json, pdf'
+      });
+    }
+
+    const settlement = await db.settlements.get(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Repasse não encontrado'
+      });
+    }
+
+    if (format === 'pdf') {
+      res.attachment(`repasse-${settlement.number}.pdf`);
+      res.type('application/pdf');
+      return res.send(await renderSettlementPdf(settlement));
+    }
+
+    res.json({ success: true, settlement });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
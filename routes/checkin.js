@@ -0,0 +1,132 @@
+// routes/checkin.js
+// Portaria: validação de ingressos, contadores ao vivo e sincronização offline
+
+const express = require('express');
+const db = require('../lib/db');
+const { requireAdmin } = require('../lib/auth');
+const { compareScans, processScan, describe } = require('../lib/checkin');
+const { sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+const router = express.Router();
+
+function toResponse(record) {
+  return {
+    result: record.result,
+    reason: record.reason,
+    message: describe(record),
+    ticketId: record.ticketId,
+    holderName: record.holderName,
+    title: record.title,
+    scannedAt: record.scannedAt,
+    gate: record.gate,
+    ...(record.firstCheckin && { firstCheckin: record.firstCheckin })
+  };
+}
+
+// Leitura online: { token, eventId, gate, deviceId }
+router.post('/', requireAdmin('checkin:scan'), validate(schemas.checkinScan), async (req, res) => {
+  try {
+    const { token, eventId, gate, deviceId } = req.body;
+
+    const record = db.store.transaction(tx => processScan(tx, {
+      token,
+      eventId,
+      gate,
+      deviceId,
+      operatorId: req.admin.id,
+      scannedAt: new Date().toISOString(),
+      offline: false
+    }));
+
+    const accepted = record.result === 'accepted';
+
+    console.log(accepted ? '✅ Entrada:' : '⛔ Recusado:', record.ticketId || '-', record.reason || '', gate || '');
+
+    res.status(accepted ? 200 : 409).json({
+      success: accepted,
+      ...toResponse(record),
+      ...(!accepted && { error: describe(record) })
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Lote de leituras feitas sem conexão: { deviceId, scans: [{ token, eventId, gate, scannedAt }] }.
+// As leituras são processadas em ordem cronológica; em conflito vale a mais antiga.
+router.post('/sync', requireAdmin('checkin:scan'), validate(schemas.checkinSync), async (req, res) => {
+  try {
+    const { deviceId, scans } = req.body;
+
+    const ordered = scans
+      .map((scan, index) => ({
+        index,
+        token: scan.token,
+        eventId: scan.eventId,
+        gate: scan.gate,
+        deviceId: scan.deviceId || deviceId,
+        scannedAt: scan.scannedAt,
+        operatorId: req.admin.id,
+        offline: true
+      }))
+      .sort((a, b) => compareScans(a, b) || String(a.token).localeCompare(String(b.token)));
+
+    const results = db.store.transaction(tx =>
+      ordered.map(scan => ({ index: scan.index, ...toResponse(processScan(tx, scan)) }))
+    );
+
+    results.sort((a, b) => a.index - b.index);
+
+    res.json({
+      success: true,
+      results,
+      accepted: results.filter(r => r.result === 'accepted').length,
+      rejected: results.filter(r => r.result === 'rejected').length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Contadores ao vivo do evento: entradas x ingressos vendidos
+router.get('/events/:eventId/stats', requireAdmin('checkin:read'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const tickets = await db.tickets.list(t => t.eventId === eventId && t.status === 'valid');
+    const checkedIn = tickets.filter(t => t.checkinId);
+
+    const byGate = checkedIn.reduce((acc, t) => {
+      const gate = t.checkedInGate || 'sem portão';
+      acc[gate] = (acc[gate] || 0) + 1;
+      return acc;
+    }, {});
+
+    const byTicketType = tickets.reduce((acc, t) => {
+      if (!acc[t.ticketTypeId]) acc[t.ticketTypeId] = { sold: 0, checkedIn: 0 };
+      acc[t.ticketTypeId].sold++;
+      if (t.checkinId) acc[t.ticketTypeId].checkedIn++;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      eventId,
+      sold: tickets.length,
+      checkedIn: checkedIn.length,
+      remaining: tickets.length - checkedIn.length,
+      rejectedScans: await db.checkins.count(c => c.eventId === eventId && c.result === 'rejected'),
+      byGate,
+      byTicketType,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
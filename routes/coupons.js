@@ -0,0 +1,48 @@
+// routes/coupons.js
+// Prévia pública do desconto de um cupom no carrinho
+
+const express = require('express');
+const { priceCart } = require('../lib/catalog');
+const { applyCoupon } = require('../lib/coupons');
+const { toReais } = require('../lib/money');
+const { sendError } = require('../lib/errors');
+const { parseLimit, rateLimit } = require('../lib/rateLimit');
+const { blockListedIps } = require('../lib/blocklist');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// Montado em /api/coupons
+const router = express.Router();
+
+// Tentativas por IP (evita varrer códigos de cupom)
+const VALIDATE_LIMIT = parseLimit(process.env.RATE_LIMIT_COUPON_IP, '30/1m');
+
+const guards = [blockListedIps(), rateLimit('coupon', VALIDATE_LIMIT), validate(schemas.couponValidate)];
+
+router.post('/validate', guards, async (req, res) => {
+  try {
+    const { couponCode, items, cpf } = req.body;
+
+    const cart = await priceCart(items);
+    const priced = applyCoupon(couponCode, cart, { cpf });
+
+    res.json({
+      success: true,
+      coupon: {
+        code: priced.coupon.code,
+        description: priced.coupon.description || null,
+        type: priced.coupon.type,
+        value: priced.coupon.value
+      },
+      subtotalCents: priced.subtotalCents,
+      discountCents: priced.discountCents,
+      totalCents: priced.totalCents,
+      total: toReais(priced.totalCents)
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+// routes/customer.js
+// Área do cliente: código de uso único por e-mail e consulta de "meus pedidos"
+
+const express = require('express');
+const db = require('../lib/db');
+const { requireCustomer } = require('../lib/auth');
+const { requestLoginCode, verifyLoginCode } = require('../lib/customerOtp');
+const { ownsOrder } = require('../lib/orderAccess');
+const { publicTicket } = require('../lib/tickets');
+const { runNotifications } = require('../lib/notifications');
+const { parseLimit, rateLimit, clientIp } = require('../lib/rateLimit');
+const { blockListedIps } = require('../lib/blocklist');
+const { sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// Montado em /api/customer
+const router = express.Router();
+
+const OTP_LIMIT = parseLimit(process.env.RATE_LIMIT_OTP, '5/15m');
+const VERIFY_LIMIT = parseLimit(process.env.RATE_LIMIT_OTP_VERIFY, '10/15m');
+
+// Por IP e por e-mail/CPF (evita disparar e-mails em massa para a mesma pessoa)
+const otpGuards = [
+  blockListedIps(),
+  rateLimit('otp', OTP_LIMIT),
+  validate(schemas.otpRequest),
+  rateLimit('otp-subject', OTP_LIMIT, req => [req.body.email || req.body.cpf])
+];
+
+router.post('/otp/request', otpGuards, async (req, res) => {
+  try {
+    const { email, cpf } = req.body;
+    const sent = await requestLoginCode({ email, cpf });
+
+    if (sent) {
+      // O cliente está esperando o código: envia sem aguardar o worker
+      runNotifications().catch(error => console.error('Erro no envio de e-mails:', error));
+      console.log('🔑 Código de acesso enviado:', sent.sentTo.join(', '), clientIp(req));
+    }
+
+    // Mesma resposta com ou sem pedidos, para não revelar quem é cliente
+    res.json({
+      success: true,
+      message: 'Se houver pedidos para estes dados, enviamos um código para o e-mail de cada compra'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/otp/verify', rateLimit('otp-verify', VERIFY_LIMIT), validate(schemas.otpVerify), async (req, res) => {
+  try {
+    const { token, expiresAt } = await verifyLoginCode(req.body);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Pedidos (e ingressos dos pagos) do e-mail verificado (e do CPF, se entrou por ele)
+router.get('/orders', requireCustomer(), async (req, res) => {
+  try {
+    const orders = (await db.orders.list(o => ownsOrder(req.customer, o)))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const events = await db.events.list();
+
+    res.json({
+      success: true,
+      orders: await Promise.all(orders.map(async order => ({
+        id: order.id,
+        code: order.code,
+        status: order.status,
+        eventId: order.eventId,
+        eventName: events.find(e => e.id === order.eventId)?.name || null,
+        items: order.items,
+        totalCents: order.totalCents,
+        total: order.total,
+        createdAt: order.createdAt,
+        expiresAt: order.expiresAt,
+        paidAt: order.paidAt || null,
+        tickets: await Promise.all((await db.tickets.listByOrder(order.id)).map(publicTicket))
+      }))),
+      total: orders.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// routes/events.js
+// Catálogo público de eventos e ingressos
+
+const express = require('express');
+const db = require('../lib/db');
+const { isEventOnSale, publicTicketType } = require('../lib/catalog');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+function publicEvent(event, now) {
+  return {
+    id: event.id,
+    name: event.name,
+    venue: event.venue,
+    date: event.date,
+    description: event.description,
+    onSale: isEventOnSale(event, now)
+  };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const now = new Date();
+    const events = await db.events.list(e => e.active);
+
+    res.json({
+      success: true,
+      events: events
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(event => publicEvent(event, now))
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:eventId', async (req, res) => {
+  try {
+    const now = new Date();
+    const event = await db.events.get(req.params.eventId);
+
+    if (!event || !event.active) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evento não encontrado'
+      });
+    }
+
+    const ticketTypes = await db.ticketTypes.listByEvent(event.id);
+
+    res.json({
+      success: true,
+      event: {
+        ...publicEvent(event, now),
+        ticketTypes: ticketTypes
+          .filter(t => t.active)
+          .map(t => publicTicketType(t, event, now))
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
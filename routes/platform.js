@@ -0,0 +1,239 @@
+// routes/platform.js
+// Visão da plataforma (super-admin): login, cadastro de produtores e totais consolidados.
+// Roda fora do contexto de produtor; para operar um produtor, o super-admin usa as
+// rotas do painel com o header X-Tenant.
+
+const express = require('express');
+const db = require('../lib/db');
+const { PLATFORM_ROLE, signToken, requireAdmin } = require('../lib/auth');
+const { verifyPassword } = require('../lib/password');
+const { createTenant, generateAnalyticsKey, buildPlatformSummary } = require('../lib/tenants');
+const { parseAnalyticsQuery } = require('../lib/analytics');
+const { REVIEW_REASONS } = require('../lib/reconciliation');
+const { HttpError, sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+const { parseLimit, rateLimit } = require('../lib/rateLimit');
+
+// Montado em /api/platform
+const router = express.Router();
+
+const LOGIN_LIMIT = parseLimit(process.env.RATE_LIMIT_LOGIN_IP, '10/15m');
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// LOGIN
+// ═══════════════════════════════════════════════════════════════════
+
+router.post('/login', rateLimit('platform-login', LOGIN_LIMIT), validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await db.adminUsers.findPlatformAdmin(email, PLATFORM_ROLE);
+    const valid = user && user.active && await verifyPassword(password, user.passwordHash);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Credenciais inválidas'
+      });
+    }
+
+    await db.adminUsers.update(user.id, { lastLoginAt: new Date().toISOString() });
+
+    const { token, expiresAt } = signToken(user);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: publicUser(user)
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// PRODUTORES
+// ═══════════════════════════════════════════════════════════════════
+
+router.get('/tenants', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const tenants = await db.tenants.list();
+
+    res.json({
+      success: true,
+      tenants,
+      total: tenants.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/tenants/:id', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const tenant = await db.tenants.get(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Produtor não encontrado'
+      });
+    }
+
+    res.json({ success: true, tenant });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cria o produtor com o primeiro usuário owner do painel dele
+router.post('/tenants', requireAdmin('platform:manage'), validate(schemas.tenantCreate), async (req, res) => {
+  try {
+    const { tenant, owner } = await createTenant(req.body);
+
+    console.log('🏢 Produtor criado:', tenant.slug, req.admin.email);
+
+    res.json({
+      success: true,
+      tenant,
+      owner: publicUser(owner),
+      message: 'Produtor criado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Produtor desativado recebe 403 em todas as rotas (vendas, painel e analytics)
+router.put('/tenants/:id', requireAdmin('platform:manage'), validate(schemas.tenantUpdate), async (req, res) => {
+  try {
+    const updated = await db.tenants.update(req.params.id, {
+      ...req.body,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Produtor não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      tenant: updated,
+      message: 'Produtor atualizado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Nova chave do dashboard de analytics do produtor (a anterior deixa de valer)
+router.post('/tenants/:id/analytics-key', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const updated = await db.tenants.update(req.params.id, {
+      analyticsKey: generateAnalyticsKey(),
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Produtor não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      analyticsKey: updated.analyticsKey,
+      message: 'Chave de analytics gerada'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// TOTAIS
+// ═══════════════════════════════════════════════════════════════════
+
+// Pedidos e receita por produtor e da plataforma (?from=&to=&tz= como no dashboard)
+router.get('/summary', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const { from, to } = parseAnalyticsQuery(req.query);
+
+    res.json({
+      success: true,
+      summary: await buildPlatformSummary({ from, to }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// CONCILIAÇÃO
+// ═══════════════════════════════════════════════════════════════════
+
+// Créditos do PSP sem pedido cuja chave não identificou o produtor
+router.get('/reconciliation/unassigned', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const entries = await db.reconciliation.listEntries(e => !e.tenantId && e.status === 'review');
+
+    res.json({
+      success: true,
+      entries: entries
+        .sort((a, b) => b.postedAt.localeCompare(a.postedAt))
+        .map(entry => ({ ...entry, reasonMessage: entry.reason ? REVIEW_REASONS[entry.reason] : null })),
+      total: entries.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Entrega o crédito à fila de revisão do produtor, que casa ou rejeita pelo painel
+router.post('/reconciliation/:entryId/assign', requireAdmin('platform:manage'), validate(schemas.reconciliationAssign), async (req, res) => {
+  try {
+    const entry = await db.reconciliation.getEntry(req.params.entryId);
+
+    if (!entry || entry.tenantId) {
+      throw new HttpError(404, 'Lançamento sem produtor não encontrado');
+    }
+    if (!await db.tenants.get(req.body.tenantId)) {
+      throw new HttpError(404, 'Produtor não encontrado');
+    }
+
+    const updated = await db.reconciliation.updateEntry(entry.id, {
+      tenantId: req.body.tenantId,
+      assignedBy: req.admin.email,
+      assignedAt: new Date().toISOString()
+    });
+
+    console.log('📥 Crédito do PSP entregue ao produtor:', entry.id, req.body.tenantId);
+
+    res.json({ success: true, entry: updated });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
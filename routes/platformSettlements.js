@@ -0,0 +1,261 @@
+// routes/platformSettlements.js
+// Taxas da plataforma e repasses aos produtores (super-admin): regras por produtor e
+// por evento, geração do demonstrativo do período e fluxo rascunho → aprovado → pago
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../lib/db');
+const { requireAdmin, actorOf } = require('../lib/auth');
+const {
+  SETTLEMENT_STATUSES,
+  createSettlement,
+  approveSettlement,
+  markSettlementPaid,
+  discardSettlement,
+  summarize
+} = require('../lib/settlements');
+const { renderSettlementPdf } = require('../lib/settlementPdf');
+const { HttpError, sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// Montado em /api/platform
+const router = express.Router();
+
+// ═══════════════════════════════════════════════════════════════════
+// TAXAS
+// ═══════════════════════════════════════════════════════════════════
+
+// ?tenantId= restringe a um produtor
+router.get('/fee-rules', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const { tenantId } = req.query;
+    const rules = await db.feeRules.list(r => !tenantId || r.tenantId === tenantId);
+
+    res.json({
+      success: true,
+      rules,
+      total: rules.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Uma regra por produtor (padrão) e uma por evento; valem para pedidos pagos daqui em diante
+router.post('/fee-rules', requireAdmin('platform:manage'), validate(schemas.feeRuleCreate), async (req, res) => {
+  try {
+    const { tenantId, eventId, percent, perTicketCents } = req.body;
+
+    if (!await db.tenants.get(tenantId)) {
+      throw new HttpError(404, 'Produtor não encontrado');
+    }
+
+    if (eventId) {
+      const event = await db.events.get(eventId);
+      if (!event || event.tenantId !== tenantId) {
+        throw new HttpError(404, 'Evento não encontrado neste produtor');
+      }
+    }
+
+    if (await db.feeRules.findFor(tenantId, eventId)) {
+      throw new HttpError(400, eventId ? 'Evento já tem regra de taxa' : 'Produtor já tem regra de taxa padrão');
+    }
+
+    const rule = await db.feeRules.create({
+      id: uuidv4(),
+      tenantId,
+      eventId: eventId || null,
+      percent,
+      perTicketCents,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      rule,
+      message: 'Regra de taxa criada'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.put('/fee-rules/:id', requireAdmin('platform:manage'), validate(schemas.feeRuleUpdate), async (req, res) => {
+  try {
+    const updated = await db.feeRules.update(req.params.id, {
+      ...req.body,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Regra de taxa não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      rule: updated,
+      message: 'Regra de taxa atualizada'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/fee-rules/:id', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const removed = await db.feeRules.remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Regra de taxa não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Regra de taxa removida'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// REPASSES
+// ═══════════════════════════════════════════════════════════════════
+
+// ?tenantId= e ?status= (draft, approved, paid)
+router.get('/settlements', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const { tenantId, status } = req.query;
+
+    if (status && !SETTLEMENT_STATUSES.includes(status)) {
+      throw new HttpError(400, 'Parâmetros inválidos', [
+        { field: 'status', message: `Use: ${SETTLEMENT_STATUSES.join(', ')}` }
+      ]);
+    }
+
+    const settlements = (await db.settlements.list(s =>
+      (!tenantId || s.tenantId === tenantId) && (!status || s.status === status)
+    )).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.json({
+      success: true,
+      settlements: settlements.map(summarize),
+      total: settlements.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/settlements', requireAdmin('platform:manage'), validate(schemas.settlementCreate), async (req, res) => {
+  try {
+    const { tenantId, from, to } = req.body;
+    const settlement = await createSettlement(tenantId, { from, to }, actorOf(req));
+
+    res.json({
+      success: true,
+      settlement,
+      message: 'Repasse gerado (rascunho)'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Demonstrativo completo; ?format=pdf para o PDF
+router.get('/settlements/:id', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Formato inválido. Use: json, pdf'
+      });
+    }
+
+    const settlement = await db.settlements.get(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Repasse não encontrado'
+      });
+    }
+
+    if (format === 'pdf') {
+      res.attachment(`repasse-${settlement.number}.pdf`);
+      res.type('application/pdf');
+      return res.send(await renderSettlementPdf(settlement));
+    }
+
+    res.json({ success: true, settlement });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/settlements/:id/approve', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    const settlement = await approveSettlement(req.params.id, actorOf(req));
+
+    console.log('✅ Repasse aprovado:', settlement.id, req.admin.email);
+
+    res.json({
+      success: true,
+      settlement: summarize(settlement),
+      message: 'Repasse aprovado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Registra a transferência feita ao produtor
+router.post('/settlements/:id/pay', requireAdmin('platform:manage'), validate(schemas.settlementPay), async (req, res) => {
+  try {
+    const settlement = await markSettlementPaid(req.params.id, actorOf(req), req.body);
+
+    console.log('💸 Repasse pago:', settlement.id, req.admin.email);
+
+    res.json({
+      success: true,
+      settlement: summarize(settlement),
+      message: 'Repasse marcado como pago'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/settlements/:id', requireAdmin('platform:manage'), async (req, res) => {
+  try {
+    await discardSettlement(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Rascunho de repasse descartado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
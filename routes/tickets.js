@@ -0,0 +1,73 @@
+// routes/tickets.js
+// Ingressos de um pedido pago: listagem com QR Code e reemissão/transferência
+
+const express = require('express');
+const db = require('../lib/db');
+const { reissueTicket, publicTicket } = require('../lib/tickets');
+const { actorOf } = require('../lib/auth');
+const { requireOrderAccess } = require('../lib/orderAccess');
+const { sendError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// Montado em /api/order/:orderId/tickets
+const router = express.Router({ mergeParams: true });
+
+// Acesso: equipe, sessão do cliente ou token do pedido (ver lib/orderAccess.js)
+router.use(requireOrderAccess());
+
+router.get('/', async (req, res) => {
+  try {
+    const { order } = req;
+
+    const tickets = await db.tickets.listByOrder(order.id);
+
+    res.json({
+      success: true,
+      order: {
+        id: order.id,
+        code: order.code,
+        status: order.status
+      },
+      tickets: await Promise.all(tickets.map(publicTicket)),
+      total: tickets.length
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Sem holderName/holderCpf apenas gera um novo QR Code; com eles transfere o ingresso
+router.post('/:ticketId/reissue', validate(schemas.ticketReissue), async (req, res) => {
+  try {
+    const { order } = req;
+
+    const { holderName, holderCpf } = req.body;
+    const ticket = await db.tickets.get(req.params.ticketId);
+
+    if (!ticket || ticket.orderId !== order.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ingresso não encontrado'
+      });
+    }
+
+    const updated = db.store.transaction(tx =>
+      reissueTicket(tx, ticket.id, { holderName, holderCpf, actor: actorOf(req, 'customer') })
+    );
+
+    console.log('🎟️  Ingresso reemitido:', updated.id, `v${updated.version}`);
+
+    res.json({
+      success: true,
+      ticket: await publicTicket(updated),
+      message: holderName ? 'Ingresso transferido' : 'Ingresso reemitido'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+// routes/webhooks.js
+// Notificações do PSP (PIX recebido) e simulação local com o PSP mock
+
+const express = require('express');
+const db = require('../lib/db');
+const { getProvider } = require('../lib/psp');
+const { handlePixWebhook } = require('../lib/psp/webhook');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.post('/pix', async (req, res) => {
+  try {
+    const provider = getProvider();
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: 'Nenhum PSP configurado'
+      });
+    }
+
+    const results = await handlePixWebhook(provider, {
+      rawBody: req.rawBody || '',
+      headers: req.headers,
+      body: req.body
+    });
+
+    // Sempre 200 com assinatura válida: divergências ficam na fila de revisão
+    res.json({ success: true, results });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Simula o pagamento de um pedido no PSP mock (apenas fora de produção).
+// amountCents opcional para testar pagamentos com valor divergente.
+router.post('/pix/mock/pay/:orderId', async (req, res) => {
+  try {
+    const provider = getProvider();
+
+    if (!provider || provider.name !== 'mock' || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        error: 'Simulação indisponível'
+      });
+    }
+
+    const order = await db.orders.findByIdOrCode(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pedido não encontrado'
+      });
+    }
+
+    const { rawBody, headers } = provider.buildPaymentWebhook(order, { amountCents: req.body.amountCents });
+    const results = await handlePixWebhook(provider, {
+      rawBody,
+      headers,
+      body: JSON.parse(rawBody)
+    });
+
+    res.json({ success: true, results });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
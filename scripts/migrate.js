@@ -0,0 +1,16 @@
+// scripts/migrate.js
+// Aplica migrações e seeds pendentes: npm run migrate
+
+require('dotenv').config();
+
+// O carregamento do módulo executa as migrações pendentes (no Postgres, em db.ready)
+const db = require('../lib/db');
+
+db.ready().then(() => {
+  const applied = db.store.getMeta('migrations') || [];
+  console.log(`✅ Banco atualizado (${applied.length} migrações aplicadas)`);
+  process.exit(0);
+}, error => {
+  console.error('❌ Falha ao migrar:', error.message);
+  process.exit(1);
+});
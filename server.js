@@ -2,88 +2,135 @@
 // Backend para Sistema de Ingressos com Chaves PIX
 
 const dotenv = require('dotenv');
-const express = require('express');
-const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
 
+// Carrega o .env antes dos módulos que leem process.env na inicialização
 dotenv.config();
 
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { buildOrderPix, generateQrCode } = require('./lib/pix');
+const db = require('./lib/db');
+const { storageReady } = require('./lib/db/requests');
+const { requireAdmin, actorOf, can, tokenFromQuery } = require('./lib/auth');
+const { priceCart } = require('./lib/catalog');
+const { applyCoupon, normalizeCode } = require('./lib/coupons');
+const {
+  findDuplicateOrder,
+  createOrder,
+  confirmOrder,
+  cancelOrder,
+  refundOrder,
+  sweepIfDue,
+  startOrderSweeper
+} = require('./lib/orders');
+const { HttpError, sendError } = require('./lib/errors');
+const { validate, pixKeyError } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { parseLimit, rateLimit, clientIp } = require('./lib/rateLimit');
+const { assertNotBlocked, blockListedIps } = require('./lib/blocklist');
+const { DEFAULT_ORIGINS, parseOrigins, corsPolicy } = require('./lib/cors');
+const { generateAccessToken, hashAccessToken, requireOrderAccess } = require('./lib/orderAccess');
+const { parseOrderQuery, filterOrders, searchOrders } = require('./lib/orderQuery');
+const { buildExportRows, toCsv, toXlsx } = require('./lib/orderExport');
+const { runNotificationsIfDue, startNotificationWorker } = require('./lib/notifications');
+const { recordEvent, parseAnalyticsQuery, computeFunnel, buildDashboard } = require('./lib/analytics');
+const { resolveAttribution } = require('./lib/promoters');
+const { openStream, eventStats } = require('./lib/realtime');
+const { idempotent } = require('./lib/idempotency');
+const { toReais } = require('./lib/money');
+const { tenantContext } = require('./lib/tenants');
+const adminAuthRoutes = require('./routes/adminAuth');
+const adminEventRoutes = require('./routes/adminEvents');
+const eventRoutes = require('./routes/events');
+const ticketRoutes = require('./routes/tickets');
+const checkinRoutes = require('./routes/checkin');
+const adminReconciliationRoutes = require('./routes/adminReconciliation');
+const adminBlocklistRoutes = require('./routes/adminBlocklist');
+const adminCouponRoutes = require('./routes/adminCoupons');
+const adminPromoterRoutes = require('./routes/adminPromoters');
+const couponRoutes = require('./routes/coupons');
+const customerRoutes = require('./routes/customer');
+const webhookRoutes = require('./routes/webhooks');
+const platformRoutes = require('./routes/platform');
+const platformSettlementRoutes = require('./routes/platformSettlements');
+const adminSettlementRoutes = require('./routes/adminSettlements');
+const { attachCharge } = require('./lib/psp');
+const {
+  selectPixKey,
+  normalizeRoutingFields,
+  getRoutingSettings,
+  updateRoutingSettings,
+  buildKeyReport
+} = require('./lib/pixRouting');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Atrás de proxy (Vercel, nginx) o IP do cliente vem do X-Forwarded-For; TRUST_PROXY = nº de proxies
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY, 10);
+app.set('trust proxy', Number.isInteger(TRUST_PROXY) ? TRUST_PROXY : process.env.VERCEL === '1');
+
 // ═══════════════════════════════════════════════════════════════════
-// CORS CORRIGIDO - Aceita origens específicas
+// LIMITES ANTIABUSO
 // ═══════════════════════════════════════════════════════════════════
-const allowedOrigins = [
-  'https://guiche-master-frontend.vercel.app',
-  'http://localhost:5173',
-];
 
-app.use(cors({
-  origin: function (origin, callback) {
-    // Permite requisições sem origin (como Postman, curl)
-    if (!origin) return callback(null, true);
+const LIMITS = {
+  paymentIp: parseLimit(process.env.RATE_LIMIT_PAYMENT_IP, '10/1m'),
+  paymentCustomer: parseLimit(process.env.RATE_LIMIT_PAYMENT_CUSTOMER, '5/10m'),
+  analyticsIp: parseLimit(process.env.RATE_LIMIT_ANALYTICS_IP, '120/1m')
+};
 
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true);
-    } else {
-      console.log('❌ Origem bloqueada:', origin);
-      callback(null, true); // Temporariamente aceita todas durante debug
-    }
-  },
-  credentials: false,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-}));
+// ═══════════════════════════════════════════════════════════════════
+// CORS - origens por variável de ambiente; painel com política mais restrita
+// ═══════════════════════════════════════════════════════════════════
 
-// Headers CORS adicionais
-app.use((req, res, next) => {
-  const origin = req.headers.origin;
-  if (allowedOrigins.includes(origin)) {
-    res.header('Access-Control-Allow-Origin', origin);
-  } else {
-    res.header('Access-Control-Allow-Origin', '*'); // Fallback
-  }
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+const PUBLIC_ORIGINS = parseOrigins(process.env.CORS_ORIGINS || DEFAULT_ORIGINS);
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+// Sem ADMIN_CORS_ORIGINS, o painel aceita só as origens exatas (previews com * ficam de fora)
+const ADMIN_ORIGINS = process.env.ADMIN_CORS_ORIGINS
+  ? parseOrigins(process.env.ADMIN_CORS_ORIGINS)
+  : PUBLIC_ORIGINS.filter(origin => !origin.includes('*'));
 
-  next();
+const ADMIN_PATHS = ['/api/admin', '/api/platform', '/api/checkin', '/api/analytics/dashboard', '/api/analytics/funnel', '/api/analytics/reset'];
+
+const publicCors = corsPolicy(PUBLIC_ORIGINS, {
+  methods: ['GET', 'POST'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Order-Token', 'Idempotency-Key', 'Last-Event-ID', 'X-Tenant'],
+  exposedHeaders: ['Retry-After', 'Idempotent-Replayed']
 });
 
-app.use(express.json());
+const adminCors = corsPolicy(ADMIN_ORIGINS, {
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Tenant'],
+  exposedHeaders: ['Content-Disposition']
+});
 
-// ═══════════════════════════════════════════════════════════════════
-// BANCO DE DADOS DE CHAVES PIX
-// ═══════════════════════════════════════════════════════════════════
+app.use((req, res, next) => {
+  const strict = ADMIN_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`));
+  const [guard, headers] = strict ? adminCors : publicCors;
 
-let pixKeys = [
-  {
-    id: '1',
-    key: 'a9d156cf-2e35-4728-b5de-5bd3191f0485',
-    type: 'cpf',
-    name: 'Empresa LTDA',
-    active: true,
-    createdAt: new Date().toISOString()
-  },
-];
+  guard(req, res, () => headers(req, res, next));
+});
 
-let orders = [];
+app.use(express.json({
+  limit: process.env.BODY_LIMIT || '100kb',
+  // Corpo bruto preservado para validar assinaturas de webhooks
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
+
+// Dados carregados e atualizados antes da rota; resposta só depois de gravar (Postgres)
+app.use(storageReady());
+
+// Produtor da requisição (X-Tenant, subdomínio, token ou evento/pedido citado);
+// daqui em diante cada rota só enxerga os dados dele
+app.use(tenantContext());
 
 // ═══════════════════════════════════════════════════════════════════
 // FUNÇÕES AUXILIARES
 // ═══════════════════════════════════════════════════════════════════
 
-function getRandomPixKey() {
-  const activeKeys = pixKeys.filter(k => k.active);
-  if (activeKeys.length === 0) return null;
-  const randomIndex = Math.floor(Math.random() * activeKeys.length);
-  return activeKeys[randomIndex];
-}
-
 function generateOrderCode() {
   const prefix = 'GM';
   const timestamp = Date.now().toString(36).toUpperCase();
@@ -102,53 +149,165 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       health: 'GET /health',
+      events: 'GET /api/events',
       payment: 'POST /api/payment',
       order: 'GET /api/order/:orderId',
-      pixKeys: 'GET /api/admin/pix-keys'
+      orderPix: 'GET /api/order/:orderId/pix',
+      orderTickets: 'GET /api/order/:orderId/tickets',
+      checkin: 'POST /api/checkin',
+      adminLogin: 'POST /api/admin/login',
+      pixKeys: 'GET /api/admin/pix-keys',
+      platformLogin: 'POST /api/platform/login'
     }
   });
 });
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    message: 'Backend rodando!',
-    pixKeysCount: pixKeys.filter(k => k.active).length,
-    ordersCount: orders.length,
-    timestamp: new Date().toISOString()
-  });
+app.get('/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'ok',
+      message: 'Backend rodando!',
+      pixKeysCount: await db.pixKeys.count(k => k.active),
+      ordersCount: await db.orders.count(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
+// ═══════════════════════════════════════════════════════════════════
+// ENDPOINTS - CATÁLOGO
+// ═══════════════════════════════════════════════════════════════════
+
+app.use('/api/events', eventRoutes);
+
+// Prévia de desconto de cupom
+app.use('/api/coupons', couponRoutes);
+
+// ═══════════════════════════════════════════════════════════════════
+// ENDPOINTS - ÁREA DO CLIENTE
+// ═══════════════════════════════════════════════════════════════════
+
+app.use('/api/customer', customerRoutes);
+
 // ═══════════════════════════════════════════════════════════════════
 // ENDPOINTS - PAGAMENTO PIX
 // ═══════════════════════════════════════════════════════════════════
 
-app.post('/api/payment', async (req, res) => {
+const paymentGuards = [
+  blockListedIps(),
+  rateLimit('payment', LIMITS.paymentIp),
+  validate(schemas.payment),
+  // Idempotency-Key: repetição devolve o mesmo pedido; corpo diferente, 409.
+  // Guarda só o id do pedido: a resposta (QR Code) é remontada na repetição, sem token
+  // (só o hash dele é guardado; quem perdeu o token entra com o código por e-mail)
+  idempotent('payment', {
+    save: body => ({ orderId: body.order.id, duplicate: Boolean(body.duplicate) }),
+    replay: async ({ orderId, duplicate }) => {
+      const order = await db.orders.get(orderId);
+      return duplicate ? duplicateResponse(order) : paymentResponse(order, null);
+    }
+  }),
+  // Por CPF e por e-mail, para barrar o mesmo cliente trocando de IP
+  rateLimit('payment-customer', LIMITS.paymentCustomer, req => [
+    `cpf:${req.body.customer.cpf}`,
+    `email:${req.body.customer.email}`
+  ])
+];
+
+// Resposta da compra (também usada quando um pedido igual recente é reaproveitado)
+async function paymentResponse(order, accessToken, extra = {}) {
+  const qrCode = await generateQrCode(order.pix.payload);
+
+  // ⚠️ IMPORTANTE: Retorna dados sem expor chave completa nos logs
+  return {
+    success: true,
+    order: {
+      id: order.id,
+      code: order.code,
+      status: order.status,
+      expiresAt: order.expiresAt,
+      accessToken
+    },
+    pix: {
+      key: order.pixKey.key,
+      type: order.pixKey.type,
+      name: order.pixKey.name,
+      txid: order.pix.txid,
+      payload: order.pix.payload,
+      qrCode
+    },
+    subtotalCents: order.subtotalCents,
+    discountCents: order.discountCents,
+    couponCode: order.coupon ? order.coupon.code : null,
+    total: order.total,
+    totalCents: order.totalCents,
+    message: 'Copie o código PIX ou escaneie o QR Code para pagar',
+    ...extra
+  };
+}
+
+// Compra repetida de um pedido igual recente: só id e status, sem token nem PIX.
+// Quem repete pode não ser o dono (CPF, e-mail e carrinho não são segredo); o dono
+// já recebeu o token na primeira resposta.
+function duplicateResponse(order) {
+  console.log('🔁 Compra repetida, pedido reaproveitado:', order.code);
+
+  return {
+    success: true,
+    duplicate: true,
+    order: {
+      id: order.id,
+      status: order.status
+    },
+    message: 'Você já tem um pedido igual aguardando pagamento'
+  };
+}
+
+app.post('/api/payment', paymentGuards, async (req, res) => {
   try {
-    const { customer, items, total } = req.body;
+    const { customer, items, couponCode, sessionId, utm, promoterCode } = req.body;
+
+    await assertNotBlocked({ cpf: customer.cpf, email: customer.email });
 
     console.log('🔥 Nova solicitação:', {
-      customer: customer?.email,
-      total,
-      itemsCount: items?.length,
-      origin: req.headers.origin
+      customer: customer.email,
+      itemsCount: items.length,
+      origin: req.headers.origin,
+      ip: clientIp(req)
     });
 
-    if (!customer || !customer.name || !customer.email || !customer.cpf) {
-      return res.status(400).json({
-        success: false,
-        error: 'Dados do cliente incompletos'
-      });
-    }
+    // Preços e total vêm do catálogo; valores enviados pelo cliente são ignorados
+    const cart = await priceCart(items);
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Nenhum item no carrinho'
-      });
+    // A mesma compra repetida em seguida (clique duplo, reenvio) devolve o pedido pendente
+    // antes do cupom e da escolha da chave, que a contariam como uma nova compra
+    const duplicate = await findDuplicateOrder({
+      customer,
+      eventId: cart.event.id,
+      items: cart.items,
+      coupon: couponCode ? { code: normalizeCode(couponCode) } : null
+    });
+
+    if (duplicate) {
+      return res.json(duplicateResponse(duplicate));
     }
 
-    const pixKey = getRandomPixKey();
+    // Desconto do cupom (validade, escopo e limites); o uso é registrado junto com o pedido
+    const priced = couponCode
+      ? applyCoupon(couponCode, cart, { cpf: customer.cpf })
+      : { coupon: null, subtotalCents: cart.totalCents, discountCents: 0, totalCents: cart.totalCents };
+
+    // Libera reservas de pedidos vencidos antes de checar o estoque
+    await sweepIfDue();
+
+    // Origem da venda (UTM/promoter) e regra de comissão vigente na compra
+    const attribution = await resolveAttribution({ utm, promoterCode, sessionId, eventId: cart.event.id });
+
+    // Chave escolhida pela estratégia de roteamento, respeitando limites e horários
+    const pixKey = await selectPixKey({ eventId: cart.event.id, amountCents: priced.totalCents });
 
     if (!pixKey) {
       return res.status(500).json({
@@ -157,21 +316,29 @@ app.post('/api/payment', async (req, res) => {
       });
     }
 
+    // Token de acesso ao pedido: entregue só nesta resposta, gravado como hash
+    const accessToken = generateAccessToken();
+
     const order = {
       id: uuidv4(),
       code: generateOrderCode(),
+      accessTokenHash: hashAccessToken(accessToken),
       customer: {
         name: customer.name,
         email: customer.email,
-        cpf: customer.cpf.replace(/\D/g, ''),
-        phone: customer.phone?.replace(/\D/g, '') || ''
+        cpf: customer.cpf,
+        phone: customer.phone || ''
       },
-      items: items.map(item => ({
-        title: item.title,
-        unitPrice: item.unitPrice || item.unit_price,
-        quantity: item.quantity
-      })),
-      total: total,
+      eventId: cart.event.id,
+      // Sessão de navegação: liga o pedido pago ao funil de analytics
+      sessionId: sessionId || null,
+      attribution,
+      items: cart.items,
+      subtotalCents: priced.subtotalCents,
+      discountCents: priced.discountCents,
+      coupon: priced.coupon && { id: priced.coupon.id, code: priced.coupon.code },
+      totalCents: priced.totalCents,
+      total: toReais(priced.totalCents),
       pixKey: {
         id: pixKey.id,
         key: pixKey.key,
@@ -183,53 +350,49 @@ app.post('/api/payment', async (req, res) => {
       expiresAt: new Date(Date.now() + 30 * 60 * 1000).toISOString()
     };
 
-    orders.push(order);
+    // BR Code "copia e cola" com valor e código do pedido como txid
+    order.pix = buildOrderPix(order);
+
+    // Reserva os ingressos junto com a gravação do pedido (409 se esgotado);
+    // uma repetição simultânea que passou pela consulta acima reaproveita o pedido aqui
+    const { order: saved, created } = await createOrder(order);
+
+    if (!created) {
+      return res.json(duplicateResponse(saved));
+    }
+
+    // Com PSP configurado, usa a cobrança dinâmica (confirmação instantânea via webhook)
+    order.pix = await attachCharge(order);
+
+    // Sem worker contínuo (Vercel), o e-mail do pedido sai a partir das próprias requisições
+    runNotificationsIfDue();
 
     //console.log('✅ Pedido criado:', order.code);
 
-    // ⚠️ IMPORTANTE: Retorna dados sem expor chave completa nos logs
-    res.json({
-      success: true,
-      order: {
-        id: order.id,
-        code: order.code,
-        status: order.status,
-        expiresAt: order.expiresAt
-      },
-      pix: {
-        key: pixKey.key,
-        type: pixKey.type,
-        name: pixKey.name,
-        // Não incluir qrcode aqui, ou incluir apenas para geração de QR Code
-      },
-      total: order.total,
-      message: 'Copie a chave PIX e faça o pagamento'
-    });
+    res.json(await paymentResponse(order, accessToken));
 
   } catch (error) {
-    console.error('💥 Erro:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor',
-      message: error.message
-    });
+    sendError(res, error);
   }
 });
 
-app.post('/api/payment/:orderId/confirm', async (req, res) => {
+// Confirmação manual pela equipe (a automática vem da conciliação de extratos)
+app.post('/api/payment/:orderId/confirm', requireAdmin('orders:manage'), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const order = orders.find(o => o.id === orderId || o.code === orderId);
+    const found = await db.orders.findByIdOrCode(orderId);
 
-    if (!order) {
+    if (!found) {
       return res.status(404).json({
         success: false,
         error: 'Pedido não encontrado'
       });
     }
 
-    order.status = 'paid';
-    order.paidAt = new Date().toISOString();
+    const order = await confirmOrder(found.id, actorOf(req), {
+      method: 'pix',
+      source: 'manual'
+    });
 
     console.log('✅ Pagamento confirmado:', order.code);
 
@@ -245,25 +408,16 @@ app.post('/api/payment/:orderId/confirm', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro ao confirmar:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
-app.get('/api/order/:orderId', async (req, res) => {
+// Acesso: equipe, sessão do cliente ou token do pedido (X-Order-Token ou ?token=)
+app.get('/api/order/:orderId', requireOrderAccess(), async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const order = orders.find(o => o.id === orderId || o.code === orderId);
+    await sweepIfDue();
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        error: 'Pedido não encontrado'
-      });
-    }
+    const order = await db.orders.get(req.order.id);
 
     res.json({
       success: true,
@@ -271,7 +425,11 @@ app.get('/api/order/:orderId', async (req, res) => {
         id: order.id,
         code: order.code,
         status: order.status,
+        eventId: order.eventId,
         total: order.total,
+        totalCents: order.totalCents,
+        discountCents: order.discountCents || 0,
+        couponCode: order.coupon ? order.coupon.code : null,
         customer: {
           name: order.customer.name,
           email: order.customer.email
@@ -279,7 +437,16 @@ app.get('/api/order/:orderId', async (req, res) => {
         items: order.items,
         createdAt: order.createdAt,
         expiresAt: order.expiresAt,
-        paidAt: order.paidAt
+        paidAt: order.paidAt,
+        // Histórico e reembolsos só para a equipe
+        ...(req.admin && can(req.admin.role, 'orders:read') && {
+          refundedCents: order.refundedCents,
+          cancelledAt: order.cancelledAt,
+          expiredAt: order.expiredAt,
+          refundedAt: order.refundedAt,
+          oversold: order.oversold || null,
+          history: order.history || []
+        })
       }
     });
 
@@ -292,38 +459,153 @@ app.get('/api/order/:orderId', async (req, res) => {
   }
 });
 
+// Ingressos emitidos após o pagamento
+app.use('/api/order/:orderId/tickets', ticketRoutes);
+
+// Status do pedido em tempo real (SSE), no lugar de consultar o pedido repetidamente.
+// Mesmo acesso do pedido (token em ?token=, já que EventSource não envia headers);
+// reconexão com Last-Event-ID reenvia as mudanças perdidas
+app.get('/api/order/:orderId/stream', requireOrderAccess(), async (req, res) => {
+  try {
+    await sweepIfDue();
+
+    const order = await db.orders.get(req.order.id);
+
+    openStream(req, res, {
+      filter: e => e.orderId === order.id && e.type.startsWith('order.'),
+      snapshot: {
+        orderId: order.id,
+        code: order.code,
+        status: order.status,
+        expiresAt: order.expiresAt,
+        paidAt: order.paidAt || null
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Reexibe o PIX do pedido (ex.: após recarregar a página de pagamento)
+app.get('/api/order/:orderId/pix', requireOrderAccess(), async (req, res) => {
+  try {
+    const { format } = req.query;
+    const { order } = req;
+
+    const qrCode = await generateQrCode(order.pix.payload, format === 'svg' ? 'svg' : 'png');
+
+    res.json({
+      success: true,
+      order: {
+        id: order.id,
+        code: order.code,
+        status: order.status,
+        expiresAt: order.expiresAt
+      },
+      pix: {
+        key: order.pixKey.key,
+        type: order.pixKey.type,
+        name: order.pixKey.name,
+        txid: order.pix.txid,
+        payload: order.pix.payload,
+        qrCode
+      },
+      total: order.total,
+      totalCents: order.totalCents
+    });
+
+  } catch (error) {
+    console.error('Erro ao gerar PIX:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// ENDPOINTS - WEBHOOKS DO PSP
+// ═══════════════════════════════════════════════════════════════════
+
+app.use('/api/webhooks', webhookRoutes);
+
+// ═══════════════════════════════════════════════════════════════════
+// ENDPOINTS - PLATAFORMA (SUPER-ADMIN)
+// ═══════════════════════════════════════════════════════════════════
+
+// Produtores e totais consolidados de todos eles
+app.use('/api/platform', platformRoutes);
+
+// Taxas da plataforma e repasses aos produtores
+app.use('/api/platform', platformSettlementRoutes);
+
+// ═══════════════════════════════════════════════════════════════════
+// ENDPOINTS - PORTARIA (CHECK-IN)
+// ═══════════════════════════════════════════════════════════════════
+
+app.use('/api/checkin', checkinRoutes);
+
 // ═══════════════════════════════════════════════════════════════════
 // ADMIN ENDPOINTS
 // ═══════════════════════════════════════════════════════════════════
 
-app.get('/api/admin/pix-keys', (req, res) => {
-  res.json({
-    success: true,
-    keys: pixKeys,
-    total: pixKeys.length,
-    active: pixKeys.filter(k => k.active).length
-  });
+// Login e usuários do painel
+app.use('/api/admin', adminAuthRoutes);
+
+// Catálogo de eventos e tipos de ingresso
+app.use('/api/admin', adminEventRoutes);
+
+// Conciliação de extratos bancários
+app.use('/api/admin/reconciliation', adminReconciliationRoutes);
+
+// Bloqueio de IPs, CPFs e e-mails
+app.use('/api/admin/blocklist', adminBlocklistRoutes);
+
+// Cupons de desconto
+app.use('/api/admin/coupons', adminCouponRoutes);
+
+// Promoters (afiliados) e relatório de comissões
+app.use('/api/admin/promoters', adminPromoterRoutes);
+
+// Demonstrativos de repasse do produtor
+app.use('/api/admin/settlements', adminSettlementRoutes);
+
+app.get('/api/admin/pix-keys', requireAdmin('pix-keys:read'), async (req, res) => {
+  try {
+    const pixKeys = await db.pixKeys.list();
+
+    res.json({
+      success: true,
+      keys: pixKeys,
+      total: pixKeys.length,
+      active: pixKeys.filter(k => k.active).length
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-app.post('/api/admin/pix-keys', (req, res) => {
+app.post('/api/admin/pix-keys', requireAdmin('pix-keys:write'), validate(schemas.pixKeyCreate), async (req, res) => {
   try {
     const { key, type, name } = req.body;
 
-    if (!key || !type || !name) {
-      return res.status(400).json({
-        success: false,
-        error: 'Campos obrigatórios: key, type, name'
-      });
-    }
+    const { maxKeys } = await getRoutingSettings();
 
-    if (pixKeys.length >= 5) {
+    if (await db.pixKeys.count() >= maxKeys) {
       return res.status(400).json({
         success: false,
-        error: 'Limite de 5 chaves atingido'
+        error: `Limite de ${maxKeys} chaves atingido`
       });
     }
 
-    if (pixKeys.some(k => k.key === key)) {
+    const routing = normalizeRoutingFields(req.body);
+
+    if (await db.pixKeys.findByKey(key)) {
       return res.status(400).json({
         success: false,
         error: 'Chave já cadastrada'
@@ -335,11 +617,17 @@ app.post('/api/admin/pix-keys', (req, res) => {
       key,
       type,
       name,
+      weight: 1,
+      dailyLimitCents: null,
+      monthlyLimitCents: null,
+      schedule: null,
+      eventIds: [],
+      ...routing,
       active: true,
       createdAt: new Date().toISOString()
     };
 
-    pixKeys.push(newKey);
+    await db.pixKeys.create(newKey);
 
     res.json({
       success: true,
@@ -348,61 +636,67 @@ app.post('/api/admin/pix-keys', (req, res) => {
     });
 
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
-app.put('/api/admin/pix-keys/:id', (req, res) => {
+app.put('/api/admin/pix-keys/:id', requireAdmin('pix-keys:write'), validate(schemas.pixKeyUpdate), async (req, res) => {
   try {
     const { id } = req.params;
     const { key, type, name, active } = req.body;
+    const current = await db.pixKeys.get(id);
 
-    const keyIndex = pixKeys.findIndex(k => k.id === id);
-
-    if (keyIndex === -1) {
+    if (!current) {
       return res.status(404).json({
         success: false,
         error: 'Chave não encontrada'
       });
     }
 
-    if (key !== undefined) pixKeys[keyIndex].key = key;
-    if (type !== undefined) pixKeys[keyIndex].type = type;
-    if (name !== undefined) pixKeys[keyIndex].name = name;
-    if (active !== undefined) pixKeys[keyIndex].active = active;
-    pixKeys[keyIndex].updatedAt = new Date().toISOString();
+    // Chave e tipo são validados juntos, mesmo quando só um deles muda
+    if (key !== undefined || type !== undefined) {
+      const message = pixKeyError(key ?? current.key, type ?? current.type);
+      if (message) throw new HttpError(400, 'Dados inválidos', [{ field: 'key', message }]);
+    }
+
+    const changes = { ...normalizeRoutingFields(req.body), updatedAt: new Date().toISOString() };
+    if (key !== undefined) changes.key = key;
+    if (type !== undefined) changes.type = type;
+    if (name !== undefined) changes.name = name;
+    if (active !== undefined) changes.active = active;
+
+    const updated = await db.pixKeys.update(id, changes);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chave não encontrada'
+      });
+    }
 
     res.json({
       success: true,
-      key: pixKeys[keyIndex],
+      key: updated,
       message: 'Chave atualizada'
     });
 
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
-app.delete('/api/admin/pix-keys/:id', (req, res) => {
+app.delete('/api/admin/pix-keys/:id', requireAdmin('pix-keys:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const keyIndex = pixKeys.findIndex(k => k.id === id);
+    const removed = await db.pixKeys.remove(id);
 
-    if (keyIndex === -1) {
+    if (!removed) {
       return res.status(404).json({
         success: false,
         error: 'Chave não encontrada'
       });
     }
 
-    pixKeys.splice(keyIndex, 1);
-
     res.json({
       success: true,
       message: 'Chave removida'
@@ -416,81 +710,228 @@ app.delete('/api/admin/pix-keys/:id', (req, res) => {
   }
 });
 
-app.get('/api/admin/orders', (req, res) => {
-  res.json({
-    success: true,
-    orders: orders.map(o => ({
-      id: o.id,
-      code: o.code,
-      customer: o.customer.name,
-      email: o.customer.email,
-      total: o.total,
-      status: o.status,
-      createdAt: o.createdAt
-    })),
-    total: orders.length
-  });
+// Volume recebido por chave e uso dos limites (?from=&to= como no dashboard de analytics)
+app.get('/api/admin/pix-keys/report', requireAdmin('pix-keys:read'), async (req, res) => {
+  try {
+    const { from, to } = parseAnalyticsQuery(req.query);
+
+    res.json({
+      success: true,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      keys: await buildKeyReport({ from, to }),
+      settings: await getRoutingSettings(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
-// ═══════════════════════════════════════════════════════════════════
-// ANALYTICS DATABASE
-// ═══════════════════════════════════════════════════════════════════
+app.get('/api/admin/settings/pix-routing', requireAdmin('pix-keys:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await getRoutingSettings()
+    });
 
-let analytics = {
-  pageViews: [],
-  events: {},
-  sessions: [],
-  conversions: []
-};
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// { strategy: random | weighted | round_robin, maxKeys }
+app.put('/api/admin/settings/pix-routing', requireAdmin('pix-keys:write'), validate(schemas.pixRoutingSettings), async (req, res) => {
+  try {
+    const { strategy, maxKeys } = req.body;
+
+    res.json({
+      success: true,
+      settings: await updateRoutingSettings({ strategy, maxKeys }),
+      message: 'Roteamento atualizado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Stream da equipe (SSE): pedidos novos, mudanças de status, check-ins e contadores
+// por evento (event.stats). ?eventId= restringe a um evento; token em ?access_token=
+app.get('/api/admin/stream', tokenFromQuery(), requireAdmin('orders:read'), async (req, res) => {
+  try {
+    const { eventId } = req.query;
+    const eventIds = eventId ? [eventId] : (await db.events.list()).map(e => e.id);
+
+    openStream(req, res, {
+      filter: e => !eventId || e.eventId === eventId,
+      snapshot: { events: eventIds.map(id => eventStats(db.store, id)) },
+      withStats: true
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Filtros: status (lista com vírgula), eventId, pixKeyId, couponCode, q (nome/e-mail/CPF/código),
+// from/to (+ dateField), minCents/maxCents; sort (-createdAt), limit e cursor
+app.get('/api/admin/orders', requireAdmin('orders:read'), async (req, res) => {
+  try {
+    const filters = parseOrderQuery(req.query);
+    const { orders, total, nextCursor } = await searchOrders(filters);
+
+    res.json({
+      success: true,
+      orders: orders.map(o => ({
+        id: o.id,
+        code: o.code,
+        customer: o.customer.name,
+        email: o.customer.email,
+        eventId: o.eventId,
+        pixKeyId: o.pixKey ? o.pixKey.id : null,
+        couponCode: o.coupon ? o.coupon.code : null,
+        promoterCode: o.attribution && o.attribution.promoter ? o.attribution.promoter.code : null,
+        utmCampaign: o.attribution ? o.attribution.utmCampaign : null,
+        total: o.total,
+        totalCents: o.totalCents,
+        discountCents: o.discountCents || 0,
+        refundedCents: o.refundedCents || 0,
+        status: o.status,
+        // Pago após expiração sem estoque para todos os ingressos
+        oversold: Boolean(o.oversold),
+        createdAt: o.createdAt,
+        paidAt: o.paidAt || null
+      })),
+      total,
+      limit: filters.limit,
+      nextCursor
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Mesmos filtros da listagem, sem paginação; format = csv (padrão) | xlsx
+app.get('/api/admin/orders/export', requireAdmin('orders:read'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Formato inválido. Use: csv, xlsx'
+      });
+    }
+
+    const orders = await filterOrders(parseOrderQuery({ ...req.query, limit: undefined, cursor: undefined }));
+    const rows = await buildExportRows(orders);
+    const fileName = `pedidos-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    console.log('📤 Exportação de pedidos:', format, orders.length, 'pedidos', req.admin.email);
+
+    res.attachment(fileName);
+
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(await toXlsx(rows));
+    }
+
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(rows));
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/admin/orders/:orderId/cancel', requireAdmin('orders:manage'), validate(schemas.orderCancel), async (req, res) => {
+  try {
+    const found = await db.orders.findByIdOrCode(req.params.orderId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pedido não encontrado'
+      });
+    }
 
-// Estatísticas por evento
-function initEventAnalytics(eventId) {
-  if (!analytics.events[eventId]) {
-    analytics.events[eventId] = {
-      views: 0,
-      uniqueViews: new Set(),
-      clicks: {
-        ingressos: 0,
-        info: 0,
-        local: 0,
-        pdv: 0,
-        checkout: 0
+    const order = await cancelOrder(found.id, actorOf(req), req.body.reason);
+
+    console.log('🚫 Pedido cancelado:', order.code);
+
+    res.json({
+      success: true,
+      order: {
+        id: order.id,
+        code: order.code,
+        status: order.status,
+        cancelledAt: order.cancelledAt
       },
-      ticketSelections: [],
-      checkouts: 0,
-      conversions: 0,
-      totalRevenue: 0
-    };
+      message: 'Pedido cancelado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
   }
-}
+});
+
+// Sem amountCents o reembolso é do valor restante; com amountCents é parcial
+app.post('/api/admin/orders/:orderId/refund', requireAdmin('orders:manage'), validate(schemas.orderRefund), async (req, res) => {
+  try {
+    const { amountCents, reason } = req.body;
+    const found = await db.orders.findByIdOrCode(req.params.orderId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pedido não encontrado'
+      });
+    }
+
+    const order = await refundOrder(found.id, actorOf(req), { amountCents, reason });
+
+    console.log('↩️  Reembolso registrado:', order.code, order.status);
+
+    res.json({
+      success: true,
+      order: {
+        id: order.id,
+        code: order.code,
+        status: order.status,
+        totalCents: order.totalCents,
+        refundedCents: order.refundedCents,
+        refundedAt: order.refundedAt
+      },
+      message: 'Reembolso registrado'
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
 // ═══════════════════════════════════════════════════════════════════
 // ANALYTICS ENDPOINTS
 // ═══════════════════════════════════════════════════════════════════
 
+app.use('/api/analytics', blockListedIps(), rateLimit('analytics', LIMITS.analyticsIp));
+
 // Track Page View
-app.post('/api/analytics/pageview', (req, res) => {
+app.post('/api/analytics/pageview', validate(schemas.pageView), async (req, res) => {
   try {
-    const { page, eventId, sessionId, referrer } = req.body;
+    const { page, eventId, sessionId, referrer, utm, promoterCode } = req.body;
 
-    const pageView = {
-      id: uuidv4(),
+    await recordEvent(req, 'page_view', {
       page,
       eventId,
       sessionId,
-      referrer,
-      userAgent: req.headers['user-agent'],
-      ip: req.ip || req.connection.remoteAddress,
-      timestamp: new Date().toISOString()
-    };
-
-    analytics.pageViews.push(pageView);
-
-    if (eventId) {
-      initEventAnalytics(eventId);
-      analytics.events[eventId].views++;
-      analytics.events[eventId].uniqueViews.add(sessionId);
-    }
+      referrer: referrer || null,
+      utm: utm || null,
+      promoterCode: promoterCode || null
+    });
 
     res.json({ success: true });
   } catch (error) {
@@ -499,26 +940,13 @@ app.post('/api/analytics/pageview', (req, res) => {
   }
 });
 
-// Track Click Event
-app.post('/api/analytics/click', (req, res) => {
+// Track Click Event (action 'ticket_select' é a etapa de seleção do funil)
+app.post('/api/analytics/click', validate(schemas.click), async (req, res) => {
   try {
     const { eventId, action, sessionId, data } = req.body;
+    const type = action === 'ticket_select' ? 'ticket_select' : 'click';
 
-    if (eventId) {
-      initEventAnalytics(eventId);
-
-      if (analytics.events[eventId].clicks[action] !== undefined) {
-        analytics.events[eventId].clicks[action]++;
-      }
-
-      if (action === 'ticket_select') {
-        analytics.events[eventId].ticketSelections.push({
-          sessionId,
-          ...data,
-          timestamp: new Date().toISOString()
-        });
-      }
-    }
+    await recordEvent(req, type, { eventId, sessionId, action, data: data || null });
 
     res.json({ success: true });
   } catch (error) {
@@ -527,23 +955,16 @@ app.post('/api/analytics/click', (req, res) => {
 });
 
 // Track Checkout Started
-app.post('/api/analytics/checkout', (req, res) => {
+app.post('/api/analytics/checkout', validate(schemas.checkout), async (req, res) => {
   try {
-    const { eventId, sessionId, items, total } = req.body;
+    const { eventId, sessionId, items, utm, promoterCode } = req.body;
 
-    if (eventId) {
-      initEventAnalytics(eventId);
-      analytics.events[eventId].checkouts++;
-    }
-
-    analytics.conversions.push({
-      id: uuidv4(),
+    await recordEvent(req, 'checkout_started', {
       eventId,
       sessionId,
-      items,
-      total,
-      status: 'started',
-      timestamp: new Date().toISOString()
+      data: items ? { items } : null,
+      utm: utm || null,
+      promoterCode: promoterCode || null
     });
 
     res.json({ success: true });
@@ -553,25 +974,12 @@ app.post('/api/analytics/checkout', (req, res) => {
 });
 
 // Track Conversion (Payment Completed)
-app.post('/api/analytics/conversion', (req, res) => {
+// Só registra o aviso do navegador; pagamento e receita vêm dos pedidos pagos
+app.post('/api/analytics/conversion', validate(schemas.conversion), async (req, res) => {
   try {
-    const { eventId, orderId, sessionId, total } = req.body;
-
-    if (eventId) {
-      initEventAnalytics(eventId);
-      analytics.events[eventId].conversions++;
-      analytics.events[eventId].totalRevenue += total;
-    }
-
-    const conversion = analytics.conversions.find(c =>
-      c.sessionId === sessionId && c.status === 'started'
-    );
+    const { eventId, orderId, sessionId } = req.body;
 
-    if (conversion) {
-      conversion.status = 'completed';
-      conversion.orderId = orderId;
-      conversion.completedAt = new Date().toISOString();
-    }
+    await recordEvent(req, 'conversion_reported', { eventId, sessionId, orderId: orderId || null });
 
     res.json({ success: true });
   } catch (error) {
@@ -585,108 +993,64 @@ app.post('/api/analytics/conversion', (req, res) => {
 
 const ANALYTICS_SECRET = process.env.ANALYTICS_SECRET || 'guiche2024@analytics';
 
-app.get('/api/analytics/dashboard', (req, res) => {
-  try {
-    const { key } = req.query;
+// Cada produtor tem a própria chave; o produtor padrão (sem chave) usa ANALYTICS_SECRET
+function analyticsKeyOf(tenant) {
+  return tenant.analyticsKey || ANALYTICS_SECRET;
+}
 
-    if (key !== ANALYTICS_SECRET) {
-      return res.status(401).json({
-        success: false,
-        error: 'Chave de acesso inválida'
-      });
-    }
+function requireAnalyticsKey(req, res, next) {
+  if (req.query.key !== analyticsKeyOf(req.tenant)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Chave de acesso inválida'
+    });
+  }
+  next();
+}
 
-    // Calcular estatísticas gerais
-    const totalPageViews = analytics.pageViews.length;
-    const uniqueSessions = new Set(analytics.pageViews.map(pv => pv.sessionId)).size;
-    const totalCheckouts = analytics.conversions.filter(c => c.status === 'started').length;
-    const totalConversions = analytics.conversions.filter(c => c.status === 'completed').length;
-    const conversionRate = totalCheckouts > 0
-      ? ((totalConversions / totalCheckouts) * 100).toFixed(2)
-      : 0;
-
-    // Estatísticas por evento
-    const eventStats = Object.entries(analytics.events).map(([eventId, data]) => ({
-      eventId,
-      views: data.views,
-      uniqueViews: data.uniqueViews.size,
-      clicks: data.clicks,
-      checkouts: data.checkouts,
-      conversions: data.conversions,
-      revenue: data.totalRevenue,
-      conversionRate: data.checkouts > 0
-        ? ((data.conversions / data.checkouts) * 100).toFixed(2)
-        : 0
-    }));
-
-    // Top páginas
-    const pageViewsByPage = analytics.pageViews.reduce((acc, pv) => {
-      acc[pv.page] = (acc[pv.page] || 0) + 1;
-      return acc;
-    }, {});
-
-    // Últimas conversões
-    const recentConversions = analytics.conversions
-      .filter(c => c.status === 'completed')
-      .slice(-10)
-      .reverse();
-
-    // Tráfego por hora (últimas 24h)
-    const now = new Date();
-    const last24h = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-    const trafficByHour = Array.from({ length: 24 }, (_, i) => {
-      const hour = new Date(now.getTime() - i * 60 * 60 * 1000).getHours();
-      const count = analytics.pageViews.filter(pv => {
-        const pvDate = new Date(pv.timestamp);
-        return pvDate > last24h && pvDate.getHours() === hour;
-      }).length;
-
-      return { hour, views: count };
-    }).reverse();
+// Período: ?from=&to= (ISO ou AAAA-MM-DD), tz (padrão APP_TIMEZONE) e
+// granularity (hour, day, week); padrão últimos 30 dias por dia. ?eventId= filtra um evento
+app.get('/api/analytics/dashboard', requireAnalyticsKey, async (req, res) => {
+  try {
+    const dashboard = await buildDashboard(parseAnalyticsQuery(req.query));
 
     res.json({
       success: true,
-      summary: {
-        totalPageViews,
-        uniqueSessions,
-        totalOrders: orders.length,
-        totalCheckouts,
-        totalConversions,
-        conversionRate: `${conversionRate}%`,
-        totalRevenue: analytics.conversions
-          .filter(c => c.status === 'completed')
-          .reduce((sum, c) => sum + c.total, 0)
-      },
-      events: eventStats,
-      pages: pageViewsByPage,
-      recentConversions,
-      trafficByHour,
+      ...dashboard,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Dashboard error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// Reset Analytics (apenas para testes)
-app.post('/api/analytics/reset', (req, res) => {
-  const { key } = req.body;
+// Funil visita → seleção → checkout → pago, opcionalmente de um evento (?eventId=)
+app.get('/api/analytics/funnel', requireAnalyticsKey, async (req, res) => {
+  try {
+    const funnel = await computeFunnel(parseAnalyticsQuery(req.query));
 
-  if (key !== ANALYTICS_SECRET) {
-    return res.status(401).json({ success: false, error: 'Não autorizado' });
+    res.json({ success: true, funnel });
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  analytics = {
-    pageViews: [],
-    events: {},
-    sessions: [],
-    conversions: []
-  };
+// Reset Analytics (apenas para testes)
+app.post('/api/analytics/reset', validate(schemas.analyticsReset), async (req, res) => {
+  try {
+    const { key } = req.body;
 
-  res.json({ success: true, message: 'Analytics resetado' });
+    if (key !== analyticsKeyOf(req.tenant)) {
+      return res.status(401).json({ success: false, error: 'Não autorizado' });
+    }
+
+    await db.analytics.reset();
+
+    res.json({ success: true, message: 'Analytics resetado' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 // ═══════════════════════════════════════════════════════════════════
@@ -694,6 +1058,14 @@ app.post('/api/analytics/reset', (req, res) => {
 // ═══════════════════════════════════════════════════════════════════
 
 app.use((err, req, res, next) => {
+  // Erros do parser de corpo (JSON malformado, corpo acima do limite)
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'Corpo da requisição muito grande' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'JSON inválido' });
+  }
+
   console.error('Erro não tratado:', err);
   res.status(500).json({
     success: false,
@@ -707,17 +1079,27 @@ app.use((err, req, res, next) => {
 
 if (process.env.VERCEL !== '1') {
   // Apenas roda localmente
-  const server = app.listen(PORT, () => {
+  const server = app.listen(PORT, async () => {
+    await db.ready();
+    const activeKeys = await db.pixKeys.count(k => k.active);
     console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║   🎫  GUICHÊ MASTER - BACKEND                                ║
 ║   Status: ✅ Rodando                                         ║
 ║   Porta: ${PORT}                                                ║
-║   Chaves PIX: ${pixKeys.filter(k => k.active).length} ativas                                     ║
+║   Chaves PIX: ${activeKeys} ativas                                     ║
 ╚═══════════════════════════════════════════════════════════════╝
     `);
   });
 
+  db.ready().then(() => {
+    // Expira pedidos pendentes vencidos e devolve os ingressos ao estoque
+    startOrderSweeper();
+
+    // Envia os e-mails da fila (confirmação, lembrete, ingressos, estorno)
+    startNotificationWorker();
+  }, error => console.error('❌ Armazenamento indisponível:', error.message));
+
   server.on('error', (error) => {
     console.error('❌ Erro ao iniciar:', error);
     process.exit(1);